@@ -0,0 +1,22 @@
+// PPM (personally procured move) incentive rates used by the PPM planner.
+// The real incentive is a share of the government constructed cost (GCC) that
+// the transportation office calculates from your orders; these rates are a
+// planning stand-in. Update them from a recent counseling estimate so the
+// planner tracks your move more closely.
+const PPM_RATE_TABLE = {
+  source: "Planning rates per 100 lbs by one-way distance (not an official GCC quote)",
+  // Share of the government constructed cost paid as the incentive.
+  incentivePercent: 100,
+  // Federal withholding applied to the taxable part of the incentive.
+  withholdingPercent: 22,
+  // Dollars per hundred pounds (cwt), by distance band in miles.
+  bands: [
+    { maxMiles: 250, ratePerCwt: 55 },
+    { maxMiles: 500, ratePerCwt: 70 },
+    { maxMiles: 1000, ratePerCwt: 90 },
+    { maxMiles: 1500, ratePerCwt: 105 },
+    { maxMiles: 2000, ratePerCwt: 120 },
+    { maxMiles: 2500, ratePerCwt: 135 },
+    { maxMiles: null, ratePerCwt: 150 },
+  ],
+};
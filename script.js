@@ -1,26 +1,359 @@
-// Persist checklist progress using localStorage.
-const STORAGE_KEY = "pcs-checklist";
+// Generated files (labels, calendars) download client-side to avoid any backend dependency.
+const downloadFile = (contents, filename, type) => {
+  const blob = new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement("a");
+  anchor.href = url;
+  anchor.download = filename;
+  document.body.appendChild(anchor);
+  anchor.click();
+  document.body.removeChild(anchor);
+  URL.revokeObjectURL(url);
+};
 
-const checklistCheckboxes = Array.from(
-  document.querySelectorAll("input[type='checkbox'][data-id]")
-);
-const checklistItems = Array.from(document.querySelectorAll(".checklist-item"));
+// Escapes user-entered text before it is placed in generated markup.
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Versioned storage layer: every record is saved as { schemaVersion, data } and
+// older shapes are upgraded one migration at a time when they are read.
+const STORAGE_SCHEMAS = {};
+const RECOVERY_KEY_MARKER = ":recovery:";
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// Each schema lists migrations[n], which upgrades a record from version n to n + 1.
+// Version 0 is the original unversioned format written before schemas existed.
+// Schemas marked perProfile are stored separately for every move profile.
+const registerStorageSchema = (key, schema) => {
+  STORAGE_SCHEMAS[key] = schema;
+};
+
+// The first (default) profile keeps the original keys so existing data never moves.
+const DEFAULT_PROFILE_ID = "default";
+let activeProfileId = DEFAULT_PROFILE_ID;
+
+const profileStorageKey = (baseKey, profileId = activeProfileId) =>
+  !STORAGE_SCHEMAS[baseKey].perProfile || profileId === DEFAULT_PROFILE_ID
+    ? baseKey
+    : `${baseKey}:${profileId}`;
+
+const migrateRecordData = (key, data, fromVersion) => {
+  const schema = STORAGE_SCHEMAS[key];
+  if (fromVersion > schema.version) {
+    throw new Error(`Saved by a newer version of PCS Pro (schema v${fromVersion}).`);
+  }
+  let migrated = data;
+  for (let version = fromVersion; version < schema.version; version += 1) {
+    migrated = schema.migrations[version](migrated);
+  }
+  if (!schema.isValid(migrated)) {
+    throw new Error("Saved data does not match the expected format.");
+  }
+  return migrated;
+};
+
+// Unreadable records are moved aside under a recovery key instead of being dropped.
+const quarantineRecord = (key, storageKey, raw, reason) => {
+  const recoveredAt = new Date().toISOString();
+  try {
+    localStorage.setItem(
+      `${storageKey}${RECOVERY_KEY_MARKER}${Date.now()}`,
+      JSON.stringify({ key, reason, recoveredAt, raw, acknowledged: false })
+    );
+    localStorage.removeItem(storageKey);
+  } catch (error) {
+    console.error(`Unable to quarantine unreadable data for "${storageKey}".`, error);
+    return;
+  }
+  console.warn(
+    `Saved data for "${storageKey}" was unreadable and has been quarantined.`
+  );
+  document.dispatchEvent(new CustomEvent("pcs-storage-recovered"));
+};
 
-const loadState = () => {
-  const stored = localStorage.getItem(STORAGE_KEY);
+const readStoredRecord = (key, { profileId } = {}) => {
+  const schema = STORAGE_SCHEMAS[key];
+  const storageKey = profileStorageKey(key, profileId);
+  const stored = localStorage.getItem(storageKey);
   if (!stored) {
-    return {};
+    return schema.createEmpty();
+  }
+  let parsed = null;
+  try {
+    parsed = JSON.parse(stored);
+  } catch (error) {
+    quarantineRecord(key, storageKey, stored, "The saved data is not valid JSON.");
+    return schema.createEmpty();
   }
+  const isVersioned =
+    isPlainObject(parsed) &&
+    Number.isInteger(parsed.schemaVersion) &&
+    "data" in parsed;
+  const storedVersion = isVersioned ? parsed.schemaVersion : 0;
   try {
-    return JSON.parse(stored);
+    const data = migrateRecordData(
+      key,
+      isVersioned ? parsed.data : parsed,
+      storedVersion
+    );
+    if (storedVersion !== schema.version) {
+      writeStoredRecord(key, data, { profileId });
+    }
+    return data;
   } catch (error) {
-    console.warn("Unable to parse checklist state.", error);
-    return {};
+    quarantineRecord(key, storageKey, stored, error.message);
+    return schema.createEmpty();
+  }
+};
+
+const writeStoredRecord = (key, data, { replacer, profileId } = {}) => {
+  localStorage.setItem(
+    profileStorageKey(key, profileId),
+    JSON.stringify(
+      { schemaVersion: STORAGE_SCHEMAS[key].version, data },
+      replacer
+    )
+  );
+};
+
+// Move profiles: each PCS move keeps its own checklist, inventory, and logistics.
+const PROFILES_KEY = "pcs-profiles";
+
+// Installations offered as suggestions for a move's origin and destination.
+const DUTY_STATIONS = [
+  "Fort Belvoir",
+  "Fort Bliss",
+  "Fort Bragg",
+  "Fort Campbell",
+  "Fort Carson",
+  "Fort Cavazos",
+  "Fort Drum",
+  "Fort Eisenhower",
+  "Fort Gregg-Adams",
+  "Fort Huachuca",
+  "Fort Jackson",
+  "Fort Johnson",
+  "Fort Knox",
+  "Fort Leonard Wood",
+  "Fort Meade",
+  "Fort Moore",
+  "Fort Riley",
+  "Fort Sill",
+  "Fort Stewart",
+  "Joint Base Lewis-McChord",
+];
+
+const createDefaultProfile = () => ({
+  id: DEFAULT_PROFILE_ID,
+  name: "My PCS move",
+  origin: "",
+  destination: "",
+  reportDate: "",
+});
+
+registerStorageSchema(PROFILES_KEY, {
+  label: "move profiles",
+  version: 1,
+  createEmpty: () => ({
+    activeProfileId: DEFAULT_PROFILE_ID,
+    profiles: [createDefaultProfile()],
+  }),
+  isValid: (registry) =>
+    isPlainObject(registry) &&
+    typeof registry.activeProfileId === "string" &&
+    Array.isArray(registry.profiles) &&
+    registry.profiles.length > 0 &&
+    registry.profiles.every(
+      (profile) => isPlainObject(profile) && typeof profile.id === "string"
+    ),
+  migrations: [
+    // v0 → v1: no shape change; profiles were always written with a version.
+    (registry) => registry,
+  ],
+});
+
+const loadProfiles = () => readStoredRecord(PROFILES_KEY);
+
+const saveProfiles = (registry) => {
+  writeStoredRecord(PROFILES_KEY, registry);
+};
+
+const profileRegistry = loadProfiles();
+if (
+  !profileRegistry.profiles.some(
+    (profile) => profile.id === profileRegistry.activeProfileId
+  )
+) {
+  profileRegistry.activeProfileId = profileRegistry.profiles[0].id;
+}
+activeProfileId = profileRegistry.activeProfileId;
+
+const getActiveProfile = () =>
+  profileRegistry.profiles.find((profile) => profile.id === activeProfileId);
+
+// Persistent ids for profiles, rooms, and items; the prefix keeps them readable in storage.
+const createRecordId = (prefix) =>
+  `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Persist checklist progress using localStorage.
+const STORAGE_KEY = "pcs-checklist";
+
+const keepCheckboxStates = (checklist) =>
+  Object.entries(checklist).reduce((states, [id, value]) => {
+    if (typeof value === "boolean") {
+      states[id] = value;
+    }
+    return states;
+  }, {});
+
+registerStorageSchema(STORAGE_KEY, {
+  label: "checklist progress",
+  perProfile: true,
+  version: 4,
+  createEmpty: () => ({
+    checked: {},
+    customItems: [],
+    hiddenItems: [],
+    household: [],
+    assignments: {},
+  }),
+  isValid: (checklist) =>
+    isPlainObject(checklist) &&
+    isPlainObject(checklist.checked) &&
+    Array.isArray(checklist.hiddenItems) &&
+    Array.isArray(checklist.household) &&
+    isPlainObject(checklist.assignments) &&
+    Array.isArray(checklist.customItems) &&
+    checklist.customItems.every(
+      (item) =>
+        isPlainObject(item) &&
+        typeof item.id === "string" &&
+        Array.isArray(item.subtasks)
+    ),
+  migrations: [
+    // v0 → v1: the bare { [data-id]: boolean } map, minus any non-boolean values.
+    (checklist) => {
+      if (!isPlainObject(checklist)) {
+        throw new Error("Checklist progress is not an object.");
+      }
+      return keepCheckboxStates(checklist);
+    },
+    // v1 → v2: checkbox states move under `checked`, next to the household's own
+    // items and the ids of items they have hidden.
+    (checklist) => ({ checked: checklist, customItems: [], hiddenItems: [] }),
+    // v2 → v3: a household roster and who is assigned to each item or subtask.
+    (checklist) => ({ ...checklist, household: [], assignments: {} }),
+    // v3 → v4: five items took on their step guide's steps (<item>-guide-N) next
+    // to their four original subtasks. Items already finished start with those
+    // steps checked so they stay complete.
+    (checklist) => {
+      const guideStepCounts = {
+        "service-orders-review": 6,
+        "service-finance-advance": 5,
+        "service-report-date": 5,
+        "service-required-briefings": 6,
+        "service-personnel-record": 5,
+      };
+      const checked = { ...checklist.checked };
+      Object.entries(guideStepCounts).forEach(([itemId, stepCount]) => {
+        const wasComplete =
+          checked[itemId] === true ||
+          [1, 2, 3, 4].every((subtask) => checked[`${itemId}-${subtask}`] === true);
+        if (wasComplete) {
+          for (let step = 1; step <= stepCount; step += 1) {
+            checked[`${itemId}-guide-${step}`] = true;
+          }
+        }
+      });
+      return { ...checklist, checked };
+    },
+  ],
+});
+
+// Outline of the checklist page (sections, items, subtask ids, and timing) cached
+// so the home dashboard can report progress without the checklist markup. The
+// checklist page rewrites it whenever its structure changes.
+const CHECKLIST_OUTLINE_KEY = "pcs-checklist-outline";
+
+registerStorageSchema(CHECKLIST_OUTLINE_KEY, {
+  label: "checklist outline",
+  perProfile: false,
+  version: 1,
+  createEmpty: () => ({ sections: [] }),
+  isValid: (outline) =>
+    isPlainObject(outline) &&
+    Array.isArray(outline.sections) &&
+    outline.sections.every(
+      (section) =>
+        isPlainObject(section) &&
+        Array.isArray(section.items) &&
+        section.items.every(
+          (item) =>
+            isPlainObject(item) &&
+            typeof item.id === "string" &&
+            Array.isArray(item.taskIds)
+        )
+    ),
+  migrations: [
+    // v0 → v1: no shape change; the outline was always written with a version.
+    (outline) => outline,
+  ],
+});
+
+// The household roster lives in the checklist record as [{ id, name, role }], and
+// `assignments` maps an item's data-item or a subtask's data-id to the ids of the
+// people handling it.
+const HOUSEHOLD_ROLES = {
+  "service-member": "Service member",
+  spouse: "Spouse",
+  child: "Child",
+  helper: "Helper",
+};
+
+const normalizeHouseholdMember = (member) => {
+  if (!isPlainObject(member) || typeof member.name !== "string" || !member.name.trim()) {
+    return null;
   }
+  return {
+    id: typeof member.id === "string" && member.id ? member.id : createRecordId("person"),
+    name: member.name.trim(),
+    role: Object.keys(HOUSEHOLD_ROLES).includes(member.role) ? member.role : "helper",
+  };
 };
 
+// Keeps assignments to people on the roster only, without repeats or empty lists.
+const normalizeChecklistAssignments = (assignments, household) =>
+  Object.entries(assignments).reduce((kept, [taskId, personIds]) => {
+    const people = Array.isArray(personIds)
+      ? Array.from(new Set(personIds)).filter((personId) =>
+          household.some((member) => member.id === personId)
+        )
+      : [];
+    if (people.length > 0) {
+      kept[taskId] = people;
+    }
+    return kept;
+  }, {});
+
+const checklistCheckboxes = Array.from(
+  document.querySelectorAll("input[type='checkbox'][data-id]")
+);
+const checklistItems = Array.from(document.querySelectorAll(".checklist-item"));
+
+// Includes the household's own items, which are rendered after the page loads.
+const getChecklistItems = () => Array.from(document.querySelectorAll(".checklist-item"));
+
+const loadState = () => readStoredRecord(STORAGE_KEY);
+
 const saveState = (state) => {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  writeStoredRecord(STORAGE_KEY, state);
 };
 
 const state = loadState();
@@ -36,6 +369,267 @@ const areSubtasksComplete = (item) => {
   return subtasks.every((subtask) => subtask.checked);
 };
 
+// Checklist timeline: each item's data-timing-start / data-timing-end give a window
+// in days before its anchor date (negative days fall after it). The anchors stay
+// null until the timeline module below reads the report and pack-out dates.
+const CHECKLIST_DUE_SOON_DAYS = 7;
+const CHECKLIST_TIMELINE_ANCHORS = {
+  report: "report date",
+  "pack-out": "pack-out date",
+};
+let checklistTimelineAnchors = null;
+let checklistView = "all";
+let showHiddenChecklistItems = false;
+let checklistAssigneeFilter = "";
+
+const checklistTimelineSummary = document.querySelector("#checklist-timeline-summary");
+const checklistWeekEmpty = document.querySelector("#checklist-week-empty");
+
+const parseDateKey = (dateKey) => {
+  const date = new Date(`${dateKey}T00:00:00`);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const formatShortDate = (date) =>
+  date.toLocaleDateString("en-US", { month: "short", day: "numeric" });
+
+const countDaysUntil = (date) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return Math.round((date - today) / 86400000);
+};
+
+// Shared by the checklist page and the home dashboard, which reads the same
+// timing from the cached checklist outline. Items added by the household may
+// have a set due date instead of a window.
+const computeChecklistTiming = ({ anchor, start, end, dueDate }, anchors) => {
+  const fixedDate = dueDate ? parseDateKey(dueDate) : null;
+  if (fixedDate) {
+    return { startDate: fixedDate, dueDate: fixedDate };
+  }
+  const anchorKey = anchors?.[anchor];
+  const anchorDate = anchorKey ? parseDateKey(anchorKey) : null;
+  const startDays = Number(start);
+  const endDays = Number(end);
+  if (!anchorDate || !Number.isFinite(startDays) || !Number.isFinite(endDays)) {
+    return null;
+  }
+  const daysBefore = (days) =>
+    new Date(anchorDate.getFullYear(), anchorDate.getMonth(), anchorDate.getDate() - days);
+  return { startDate: daysBefore(startDays), dueDate: daysBefore(endDays) };
+};
+
+const getChecklistItemTiming = (item) =>
+  computeChecklistTiming(
+    {
+      anchor: item.dataset.timingAnchor,
+      start: item.dataset.timingStart,
+      end: item.dataset.timingEnd,
+      dueDate: item.dataset.dueDate,
+    },
+    checklistTimelineAnchors
+  );
+
+const getChecklistTimingStatus = (timing, isComplete) => {
+  if (isComplete) {
+    return "complete";
+  }
+  const daysLeft = countDaysUntil(timing.dueDate);
+  if (daysLeft < 0) {
+    return "overdue";
+  }
+  return daysLeft < CHECKLIST_DUE_SOON_DAYS ? "due-soon" : "upcoming";
+};
+
+const describeChecklistTiming = (timing, status) => {
+  const due = formatShortDate(timing.dueDate);
+  if (status === "complete") {
+    return `Done · due ${due}`;
+  }
+  if (status === "overdue") {
+    return `Overdue · due ${due}`;
+  }
+  const daysLeft = countDaysUntil(timing.dueDate);
+  if (daysLeft === 0) {
+    return "Due today";
+  }
+  if (daysLeft === 1) {
+    return "Due tomorrow";
+  }
+  if (status === "upcoming" && countDaysUntil(timing.startDate) > 0) {
+    return `Start ${formatShortDate(timing.startDate)} · due ${due}`;
+  }
+  return `Due ${due}`;
+};
+
+// Adds or refreshes the due-date badge in an item's header.
+const syncChecklistItemTiming = (item, isComplete) => {
+  const header = item.querySelector(".item-header");
+  const timing = getChecklistItemTiming(item);
+  let badge = item.querySelector(".item-due");
+  if (!header || !timing) {
+    badge?.remove();
+    delete item.dataset.timingStatus;
+    return;
+  }
+  if (!badge) {
+    badge = document.createElement("span");
+    badge.className = "item-due";
+    header.insertBefore(badge, header.querySelector(".accordion-toggle"));
+  }
+  const status = getChecklistTimingStatus(timing, isComplete);
+  item.dataset.timingStatus = status;
+  badge.dataset.status = status;
+  badge.textContent = describeChecklistTiming(timing, status);
+  badge.title = item.dataset.dueDate
+    ? "Set due date"
+    : `Counted from your ${CHECKLIST_TIMELINE_ANCHORS[item.dataset.timingAnchor]}`;
+};
+
+const isChecklistItemDueThisWeek = (item) =>
+  item.dataset.timingStatus === "overdue" ||
+  item.dataset.timingStatus === "due-soon";
+
+const isChecklistItemHiddenByUser = (item) => item.classList.contains("is-hidden-task");
+
+// A subtask nobody is assigned to goes to whoever has the whole item.
+const getChecklistTaskAssignees = (item, subtask) => {
+  const own = state.assignments[subtask.dataset.id] || [];
+  return own.length > 0 ? own : state.assignments[item.dataset.item] || [];
+};
+
+const countOpenTasksFor = (item, personId) =>
+  Array.from(item.querySelectorAll(".sub-checklist input[type='checkbox'][data-id]")).filter(
+    (subtask) => !subtask.checked && getChecklistTaskAssignees(item, subtask).includes(personId)
+  ).length;
+
+// Names everyone with a part in the item on a badge in its header, and tags
+// subtasks that have assignees of their own.
+const syncChecklistItemAssignees = (item) => {
+  const subtasks = Array.from(
+    item.querySelectorAll(".sub-checklist input[type='checkbox'][data-id]")
+  );
+  const namesFor = (personIds) =>
+    state.household
+      .filter((member) => personIds.includes(member.id))
+      .map((member) => member.name);
+  subtasks.forEach((subtask) => {
+    const label = subtask.closest("label");
+    const names = namesFor(state.assignments[subtask.dataset.id] || []);
+    let tag = label?.querySelector(".subtask-assignees");
+    if (!label || names.length === 0) {
+      tag?.remove();
+      return;
+    }
+    if (!tag) {
+      tag = document.createElement("span");
+      tag.className = "subtask-assignees";
+      label.appendChild(tag);
+    }
+    tag.textContent = names.join(", ");
+  });
+  const header = item.querySelector(".item-header");
+  const names = namesFor([
+    ...(state.assignments[item.dataset.item] || []),
+    ...subtasks.flatMap((subtask) => state.assignments[subtask.dataset.id] || []),
+  ]);
+  let badge = item.querySelector(".item-assignees");
+  if (!header || names.length === 0) {
+    badge?.remove();
+    return;
+  }
+  if (!badge) {
+    badge = document.createElement("span");
+    badge.className = "item-assignees";
+    header.insertBefore(
+      badge,
+      header.querySelector(".item-due") || header.querySelector(".accordion-toggle")
+    );
+  }
+  badge.textContent = names.join(", ");
+  badge.title = `Assigned to ${names.join(", ")}`;
+};
+
+// Items the household hid stay out of view unless "Show hidden tasks" is on, the
+// "This week" view also hides everything that is not overdue or due within a
+// week, and picking a person leaves only items where they have open tasks.
+const refreshChecklistVisibility = () => {
+  const isWeekView = checklistView === "week";
+  const isFiltered = isWeekView || Boolean(checklistAssigneeFilter);
+  const items = getChecklistItems();
+  items.forEach((item) => {
+    item.hidden =
+      (isChecklistItemHiddenByUser(item) && !showHiddenChecklistItems) ||
+      (isWeekView && !isChecklistItemDueThisWeek(item)) ||
+      (Boolean(checklistAssigneeFilter) &&
+        countOpenTasksFor(item, checklistAssigneeFilter) === 0);
+  });
+  const sections = Array.from(document.querySelectorAll(".checklist-main .checklist-section"));
+  sections.forEach((section) => {
+    const hasVisibleItems = Array.from(section.querySelectorAll(".checklist-item")).some(
+      (item) => !item.hidden
+    );
+    section.hidden = isFiltered && !hasVisibleItems;
+    if (isFiltered && hasVisibleItems) {
+      section.open = true;
+    }
+  });
+  if (checklistWeekEmpty) {
+    const person = state.household.find((member) => member.id === checklistAssigneeFilter);
+    checklistWeekEmpty.hidden = !isFiltered || items.some((item) => !item.hidden);
+    checklistWeekEmpty.textContent = person
+      ? `${person.name} has no open tasks${isWeekView ? " due this week" : ""}.`
+      : "Nothing is due this week. Switch to All tasks to work ahead.";
+  }
+  if (!checklistTimelineSummary) {
+    return;
+  }
+  const timedItems = items.filter(
+    (item) => item.dataset.timingStatus && !isChecklistItemHiddenByUser(item)
+  );
+  if (timedItems.length === 0) {
+    checklistTimelineSummary.textContent =
+      "Add your report date to see a due date for each task.";
+    return;
+  }
+  const countStatus = (status) =>
+    timedItems.filter((item) => item.dataset.timingStatus === status).length;
+  checklistTimelineSummary.textContent = [
+    `${countStatus("overdue")} overdue`,
+    `${countStatus("due-soon")} due this week`,
+    `${countStatus("upcoming")} upcoming`,
+  ].join(" · ");
+};
+
+const formatTaskProgress = (done, total) =>
+  `${done} of ${total} ${total === 1 ? "task" : "tasks"}`;
+
+// Adds or refreshes a "3 of 5 tasks" meter inside the host element.
+const renderChecklistProgress = (host, done, total) => {
+  if (!host) {
+    return;
+  }
+  let progress = host.querySelector(".checklist-progress");
+  if (total === 0) {
+    progress?.remove();
+    return;
+  }
+  if (!progress) {
+    progress = document.createElement("span");
+    progress.className = "checklist-progress";
+    progress.innerHTML = `
+      <meter min="0"></meter>
+      <span class="checklist-progress-text"></span>
+    `;
+    host.appendChild(progress);
+  }
+  const meter = progress.querySelector("meter");
+  meter.max = total;
+  meter.value = done;
+  progress.querySelector(".checklist-progress-text").textContent =
+    formatTaskProgress(done, total);
+};
+
 const syncParentCheckboxState = (item) => {
   const parentCheckbox = item.querySelector(
     "input[type='checkbox'][data-role='parent']"
@@ -46,6 +640,67 @@ const syncParentCheckboxState = (item) => {
   const isComplete = areSubtasksComplete(item);
   parentCheckbox.checked = isComplete;
   item.classList.toggle("is-complete", isComplete);
+  syncChecklistItemTiming(item, isComplete);
+  syncChecklistItemAssignees(item);
+  const subtasks = Array.from(
+    item.querySelectorAll(".sub-checklist input[type='checkbox']")
+  );
+  renderChecklistProgress(
+    item.querySelector(".item-parent"),
+    subtasks.filter((subtask) => subtask.checked).length,
+    subtasks.length
+  );
+};
+
+// Section meters on the checklist page count every subtask in the section.
+const refreshChecklistSectionProgress = () => {
+  document.querySelectorAll(".checklist-main .checklist-section").forEach((section) => {
+    const subtasks = Array.from(
+      section.querySelectorAll(
+        ".checklist-item:not(.is-hidden-task) .sub-checklist input[type='checkbox']"
+      )
+    );
+    renderChecklistProgress(
+      section.querySelector("summary"),
+      subtasks.filter((subtask) => subtask.checked).length,
+      subtasks.length
+    );
+  });
+};
+
+// Snapshot of the checklist markup for CHECKLIST_OUTLINE_KEY.
+const buildChecklistOutline = () => ({
+  sections: Array.from(
+    document.querySelectorAll(".checklist-main .checklist-section[data-section]")
+  ).map((section) => ({
+    id: section.dataset.section,
+    title: section.querySelector("summary h2")?.textContent.trim() || "",
+    items: Array.from(
+      section.querySelectorAll(".checklist-item:not([data-custom-item])")
+    ).map((item) => ({
+      id: item.dataset.item,
+      title:
+        item.querySelector(".item-title")?.textContent.replace(/\s+/g, " ").trim() || "",
+      taskIds: Array.from(
+        item.querySelectorAll(".sub-checklist input[type='checkbox'][data-id]")
+      ).map((subtask) => subtask.dataset.id),
+      timing: item.dataset.timingAnchor
+        ? {
+            anchor: item.dataset.timingAnchor,
+            start: Number(item.dataset.timingStart),
+            end: Number(item.dataset.timingEnd),
+          }
+        : null,
+    })),
+  })),
+});
+
+const saveChecklistOutline = () => {
+  const outline = buildChecklistOutline();
+  // Only write when the structure changed so other tabs are not woken for nothing.
+  if (JSON.stringify(outline) !== JSON.stringify(readStoredRecord(CHECKLIST_OUTLINE_KEY))) {
+    writeStoredRecord(CHECKLIST_OUTLINE_KEY, outline);
+  }
 };
 
 const setAccordionState = (item, isOpen) => {
@@ -83,25 +738,27 @@ const setupAccordionItem = (item) => {
   });
 };
 
-if (checklistCheckboxes.length > 0) {
-  checklistCheckboxes.forEach((checkbox) => {
-    const id = checkbox.dataset.id;
-    const isParent = checkbox.dataset.role === "parent";
-    if (!isParent) {
-      checkbox.checked = Boolean(state[id]);
-    }
-
-    if (!isParent) {
-      checkbox.addEventListener("change", (event) => {
-        state[id] = event.target.checked;
-        saveState(state);
-        const item = event.target.closest(".checklist-item");
-        if (item) {
-          syncParentCheckboxState(item);
-        }
-      });
+// Parent checkboxes are derived, so only subtasks are restored and saved.
+const setupChecklistCheckbox = (checkbox) => {
+  if (checkbox.dataset.role === "parent") {
+    return;
+  }
+  const id = checkbox.dataset.id;
+  checkbox.checked = Boolean(state.checked[id]);
+  checkbox.addEventListener("change", (event) => {
+    state.checked[id] = event.target.checked;
+    saveState(state);
+    const item = event.target.closest(".checklist-item");
+    if (item) {
+      syncParentCheckboxState(item);
+      refreshChecklistSectionProgress();
+      refreshChecklistVisibility();
     }
   });
+};
+
+if (checklistCheckboxes.length > 0) {
+  checklistCheckboxes.forEach(setupChecklistCheckbox);
 }
 
 if (checklistItems.length > 0) {
@@ -109,297 +766,2459 @@ if (checklistItems.length > 0) {
     syncParentCheckboxState(item);
     setupAccordionItem(item);
   });
+  refreshChecklistSectionProgress();
+  if (document.querySelector(".checklist-main")) {
+    saveChecklistOutline();
+  }
 }
 
-// Move inventory state management using localStorage.
-const INVENTORY_KEY = "pcs-move-inventory";
+// The checklist and the step guides share one record, so progress saved in another
+// tab reloads the whole of it here; otherwise the next tick would save stale data
+// over the other tab's changes. Page modules redraw on "pcs-checklist-reloaded".
+if (checklistCheckboxes.length > 0) {
+  window.addEventListener("storage", (event) => {
+    if (event.key !== null && event.key !== profileStorageKey(STORAGE_KEY)) {
+      return;
+    }
+    Object.assign(state, readStoredRecord(STORAGE_KEY));
+    document
+      .querySelectorAll("input[type='checkbox'][data-id]:not([data-role='parent'])")
+      .forEach((checkbox) => {
+        checkbox.checked = Boolean(state.checked[checkbox.dataset.id]);
+      });
+    getChecklistItems().forEach(syncParentCheckboxState);
+    if (document.querySelector(".checklist-main")) {
+      refreshChecklistSectionProgress();
+      refreshChecklistVisibility();
+    }
+    document.dispatchEvent(new CustomEvent("pcs-checklist-reloaded"));
+  });
+}
 
-const loadInventory = () => {
-  const stored = localStorage.getItem(INVENTORY_KEY);
-  if (!stored) {
-    return { rooms: [] };
-  }
-  try {
-    return JSON.parse(stored);
-  } catch (error) {
-    console.warn("Unable to parse inventory state.", error);
-    return { rooms: [] };
+// Checklist items the household adds themselves. They are stored in the checklist
+// record as { id, section, title, notes, timingText, dueDate, timing, subtasks }
+// where timing matches the built-in data-timing-* window and dueDate is a set date.
+const normalizeCustomChecklistItem = (item) => {
+  if (!isPlainObject(item) || typeof item.title !== "string" || !item.title.trim()) {
+    return null;
   }
+  const text = (value) => (typeof value === "string" ? value.trim() : "");
+  const title = item.title.trim();
+  const timing =
+    isPlainObject(item.timing) &&
+    Object.keys(CHECKLIST_TIMELINE_ANCHORS).includes(item.timing.anchor) &&
+    Number.isFinite(item.timing.start) &&
+    Number.isFinite(item.timing.end)
+      ? { anchor: item.timing.anchor, start: item.timing.start, end: item.timing.end }
+      : null;
+  const subtasks = (Array.isArray(item.subtasks) ? item.subtasks : [])
+    .filter((subtask) => isPlainObject(subtask) && typeof subtask.label === "string")
+    .map((subtask) => ({
+      id: typeof subtask.id === "string" && subtask.id ? subtask.id : createRecordId("subtask"),
+      label: subtask.label.trim(),
+    }))
+    .filter((subtask) => subtask.label);
+  return {
+    id: typeof item.id === "string" && item.id ? item.id : createRecordId("task"),
+    section: text(item.section),
+    title,
+    notes: text(item.notes),
+    timingText: text(item.timingText),
+    dueDate: parseDateKey(text(item.dueDate)) ? text(item.dueDate) : "",
+    timing,
+    // A task without subtasks is tracked as a single step named after it.
+    subtasks:
+      subtasks.length > 0 ? subtasks : [{ id: createRecordId("subtask"), label: title }],
+  };
 };
 
-const saveInventory = (inventory) => {
-  const serialized = JSON.stringify(inventory, (key, value) =>
-    key === "editMode" ? undefined : value
+const customTaskForm = document.querySelector("#custom-task-form");
+
+if (customTaskForm && checklistItems.length > 0) {
+  const addTaskButton = document.querySelector("#add-custom-task");
+  const hiddenToggle = document.querySelector("#toggle-hidden-tasks");
+  const formTitle = customTaskForm.querySelector("#custom-task-form-title");
+  const sectionSelect = customTaskForm.querySelector("select[name='section']");
+  const dueModeSelect = customTaskForm.querySelector("select[name='dueMode']");
+  const checklistSections = Array.from(
+    document.querySelectorAll(".checklist-main .checklist-section[data-section]")
   );
-  localStorage.setItem(INVENTORY_KEY, serialized);
-};
+  let editingTaskId = null;
 
-// Inventory UI helpers are initialized only when the page includes the module elements.
-const inventorySearch = document.querySelector("#inventory-search");
-const roomForm = document.querySelector("#room-form");
-const roomNameInput = document.querySelector("#room-name");
-const roomsContainer = document.querySelector("#rooms-container");
-const totalWeightDisplay = document.querySelector("#total-weight");
-const highValueList = document.querySelector("#high-value-list");
-const highValueEmpty = document.querySelector("#high-value-empty");
+  sectionSelect.innerHTML = checklistSections
+    .map(
+      (section) =>
+        `<option value="${escapeHtml(section.dataset.section)}">${escapeHtml(
+          section.querySelector("summary h2")?.textContent.trim() || section.dataset.section
+        )}</option>`
+    )
+    .join("");
 
-if (inventorySearch && roomForm && roomNameInput && roomsContainer) {
-  let inventory = loadInventory();
-  let currentQuery = "";
-  let activeLabelItem = null;
-  // Track which item's action menu is open so toggles stay scoped per item.
-  let activeMenuItemId = null;
-  let activeRoomMenuIndex = null;
-  let openRoomIndexes = new Set();
-
-  const normalize = (value) => value.trim().toLowerCase();
-
-  // Estimation model note:
-  // The defaults below align with commonly cited household goods weight ranges
-  // used by moving companies and PCS planning guidance:
-  // - Standard moving box ≈ 40 lbs
-  // - Couch/sofa ≈ 200–300 lbs
-  // - Dining table ≈ 150–250 lbs
-  // - Queen bed ≈ 150–200 lbs
-  // - Dresser ≈ 100–200 lbs
-  // - Refrigerator/large appliance ≈ 250–400 lbs
-  // Values are set to midpoints of those ranges for realistic planning.
-  const CATEGORY_DEFINITIONS = [
-    { label: "Moving Box", defaultWeight: 40 },
-    { label: "Couch / Sofa", defaultWeight: 250 },
-    { label: "Chair", defaultWeight: 40 },
-    { label: "Bed", defaultWeight: 175 },
-    { label: "Dresser", defaultWeight: 150 },
-    { label: "Table", defaultWeight: 200 },
-    { label: "Appliance", defaultWeight: 300 },
-    { label: "Miscellaneous", defaultWeight: 40 },
-  ];
+  const findChecklistItem = (itemId) =>
+    getChecklistItems().find((item) => item.dataset.item === itemId);
 
-  const getCategoryDefinition = (categoryLabel) =>
-    CATEGORY_DEFINITIONS.find((category) => category.label === categoryLabel) ||
-    CATEGORY_DEFINITIONS[CATEGORY_DEFINITIONS.length - 1];
+  const findSectionBody = (sectionId) =>
+    (
+      checklistSections.find((section) => section.dataset.section === sectionId) ||
+      checklistSections[0]
+    ).querySelector(".checklist-section-body");
 
-  const inferCategoryFromLabel = (label) => {
-    const normalizedLabel = normalize(label);
-    if (normalizedLabel.includes("box")) {
-      return "Moving Box";
-    }
-    if (normalizedLabel.includes("sofa") || normalizedLabel.includes("couch")) {
-      return "Couch / Sofa";
-    }
-    if (normalizedLabel.includes("bed")) {
-      return "Bed";
-    }
-    if (normalizedLabel.includes("dresser")) {
-      return "Dresser";
-    }
-    if (normalizedLabel.includes("table")) {
-      return "Table";
-    }
-    if (
-      normalizedLabel.includes("fridge") ||
-      normalizedLabel.includes("refrigerator") ||
-      normalizedLabel.includes("appliance")
-    ) {
-      return "Appliance";
+  const buildCustomItemMarkup = (customItem) => `
+    <div
+      class="item-header"
+      role="button"
+      tabindex="0"
+      aria-expanded="false"
+      aria-controls="${escapeHtml(customItem.id)}-details"
+    >
+      <label class="item-parent">
+        <input type="checkbox" data-id="${escapeHtml(customItem.id)}" data-role="parent" disabled />
+        <span class="item-title">
+          ${escapeHtml(customItem.title)}
+          <span class="custom-task-badge">Added by you</span>
+        </span>
+      </label>
+      <button
+        class="accordion-toggle"
+        type="button"
+        aria-expanded="false"
+        aria-controls="${escapeHtml(customItem.id)}-details"
+        aria-label="Toggle details"
+      >
+        <span class="accordion-icon" aria-hidden="true">▾</span>
+      </button>
+    </div>
+    <div
+      class="item-details item-help"
+      id="${escapeHtml(customItem.id)}-details"
+      aria-hidden="true"
+    >
+      ${customItem.notes ? `<p><strong>Notes:</strong> ${escapeHtml(customItem.notes)}</p>` : ""}
+      ${
+        customItem.timingText
+          ? `<p><strong>Timing:</strong> ${escapeHtml(customItem.timingText)}</p>`
+          : ""
+      }
+      <ul class="sub-checklist">
+        ${customItem.subtasks
+          .map(
+            (subtask) => `
+              <li>
+                <label>
+                  <input type="checkbox" data-id="${escapeHtml(subtask.id)}" />
+                  <span>${escapeHtml(subtask.label)}</span>
+                </label>
+              </li>
+            `
+          )
+          .join("")}
+      </ul>
+    </div>
+  `;
+
+  // Edit, reorder, assign, hide, and delete controls at the bottom of an item's details.
+  const renderItemActions = (item) => {
+    const details = item.querySelector(".item-details");
+    if (!details) {
+      return;
     }
-    if (normalizedLabel.includes("chair")) {
-      return "Chair";
+    let actions = details.querySelector(".checklist-item-actions");
+    if (!actions) {
+      actions = document.createElement("div");
+      actions.className = "checklist-item-actions";
+      details.appendChild(actions);
     }
-    return "Miscellaneous";
+    const isCustom = item.dataset.customItem === "true";
+    const isHidden = isChecklistItemHiddenByUser(item);
+    actions.innerHTML = `
+      ${
+        isCustom
+          ? `
+            <button type="button" class="link-button" data-checklist-action="edit">Edit</button>
+            <button type="button" class="link-button" data-checklist-action="move-up">Move up</button>
+            <button type="button" class="link-button" data-checklist-action="move-down">Move down</button>
+          `
+          : ""
+      }
+      <button type="button" class="link-button" data-checklist-action="assign">Assign people</button>
+      <button type="button" class="link-button" data-checklist-action="${
+        isHidden ? "unhide" : "hide"
+      }">${isHidden ? "Show this task again" : "Hide this task"}</button>
+      ${
+        isCustom
+          ? '<button type="button" class="link-button" data-checklist-action="delete">Delete</button>'
+          : ""
+      }
+    `;
   };
 
-  const coerceWeight = (weight, fallbackWeight) => {
-    const numericWeight = Number(weight);
-    if (Number.isFinite(numericWeight) && numericWeight > 0) {
-      return numericWeight;
-    }
-    return fallbackWeight;
+  const applyHiddenItems = () => {
+    getChecklistItems().forEach((item) => {
+      item.classList.toggle("is-hidden-task", state.hiddenItems.includes(item.dataset.item));
+      renderItemActions(item);
+    });
+    const hiddenCount = state.hiddenItems.length;
+    hiddenToggle.hidden = hiddenCount === 0 && !showHiddenChecklistItems;
+    hiddenToggle.setAttribute("aria-pressed", String(showHiddenChecklistItems));
+    hiddenToggle.textContent = showHiddenChecklistItems
+      ? "Stop showing hidden tasks"
+      : `Show hidden tasks (${hiddenCount})`;
   };
 
-  const ensureItemDefaults = (item) => {
-    if (!item.category) {
-      item.category = inferCategoryFromLabel(item.label);
-    }
-    const categoryDefinition = getCategoryDefinition(item.category);
-    item.weight = coerceWeight(item.weight, categoryDefinition.defaultWeight);
-    if (typeof item.includeInEstimate !== "boolean") {
-      item.includeInEstimate = true;
-    }
-    // High-value flag defaults to false so existing inventories remain valid.
-    if (typeof item.isHighValue !== "boolean") {
-      item.isHighValue = false;
-    }
-    if (!item.editMode) {
-      item.editMode = null;
-    }
+  const renderCustomItems = () => {
+    document
+      .querySelectorAll(".checklist-item[data-custom-item]")
+      .forEach((item) => item.remove());
+    state.customItems.forEach((customItem) => {
+      const item = document.createElement("div");
+      item.className = "checklist-item checklist-item--custom";
+      item.dataset.item = customItem.id;
+      item.dataset.customItem = "true";
+      if (customItem.dueDate) {
+        item.dataset.dueDate = customItem.dueDate;
+      } else if (customItem.timing) {
+        item.dataset.timingAnchor = customItem.timing.anchor;
+        item.dataset.timingStart = String(customItem.timing.start);
+        item.dataset.timingEnd = String(customItem.timing.end);
+      }
+      item.innerHTML = buildCustomItemMarkup(customItem);
+      findSectionBody(customItem.section).appendChild(item);
+      item
+        .querySelectorAll("input[type='checkbox'][data-id]")
+        .forEach(setupChecklistCheckbox);
+      setupAccordionItem(item);
+      syncParentCheckboxState(item);
+    });
+    applyHiddenItems();
+    refreshChecklistSectionProgress();
+    refreshChecklistVisibility();
   };
 
-  const buildCategoryOptions = (selectedCategory) =>
-    CATEGORY_DEFINITIONS.map(
-      (category) =>
-        `<option value="${category.label}" ${
-          category.label === selectedCategory ? "selected" : ""
-        }>${category.label}</option>`
-    ).join("");
+  const syncDueFields = () => {
+    const mode = dueModeSelect.value;
+    customTaskForm.querySelector("[data-due-field='date']").hidden = mode !== "date";
+    customTaskForm.querySelector("[data-due-field='days']").hidden =
+      mode !== "report" && mode !== "pack-out";
+  };
 
-  const buildRoomOptions = (selectedRoomIndex) =>
-    inventory.rooms
-      .map(
-        (room, index) =>
-          `<option value="${index}" ${
-            index === selectedRoomIndex ? "selected" : ""
-          }>${room.name}</option>`
-      )
-      .join("");
+  const closeTaskForm = () => {
+    editingTaskId = null;
+    customTaskForm.reset();
+    customTaskForm.hidden = true;
+  };
 
-  const recalculateWeights = () => {
-    let totalWeight = 0;
-    inventory.rooms.forEach((room) => {
-      let roomWeight = 0;
-      room.items.forEach((item) => {
-        ensureItemDefaults(item);
-        if (item.includeInEstimate) {
-          roomWeight += item.weight;
-        }
+  const openTaskForm = (customItem = null, sectionId = "") => {
+    editingTaskId = customItem?.id || null;
+    customTaskForm.reset();
+    formTitle.textContent = customItem ? "Edit your task" : "Add your own task";
+    const fields = customTaskForm.elements;
+    fields.title.value = customItem?.title || "";
+    sectionSelect.value = customItem?.section || sectionId || checklistSections[0].dataset.section;
+    fields.notes.value = customItem?.notes || "";
+    fields.timingText.value = customItem?.timingText || "";
+    dueModeSelect.value = customItem?.dueDate
+      ? "date"
+      : customItem?.timing?.anchor || "";
+    fields.dueDate.value = customItem?.dueDate || "";
+    fields.dueDays.value = customItem?.timing ? String(customItem.timing.end) : "0";
+    fields.subtasks.value = customItem
+      ? customItem.subtasks.map((subtask) => subtask.label).join("\n")
+      : "";
+    syncDueFields();
+    customTaskForm.hidden = false;
+    customTaskForm.scrollIntoView({ block: "start" });
+    fields.title.focus();
+  };
+
+  // Subtasks keep their ids (and checked state) when their wording is unchanged.
+  const readSubtasks = (existing) => {
+    const available = [...(existing?.subtasks || [])];
+    return customTaskForm.elements.subtasks.value
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((label) => {
+        const matchIndex = available.findIndex(
+          (subtask) => subtask.label.toLowerCase() === label.toLowerCase()
+        );
+        const match = matchIndex >= 0 ? available.splice(matchIndex, 1)[0] : null;
+        return { id: match ? match.id : createRecordId("subtask"), label };
       });
-      room.roomWeight = Math.round(roomWeight);
-      totalWeight += room.roomWeight;
-    });
-    inventory.totalWeight = Math.round(totalWeight);
   };
 
-  const syncInventoryState = () => {
-    recalculateWeights();
-    // Persist checkbox state so inclusion choices survive page reloads.
-    saveInventory(inventory);
+  const forgetSubtasks = (subtasks) => {
+    subtasks.forEach((subtask) => {
+      delete state.checked[subtask.id];
+      delete state.assignments[subtask.id];
+    });
   };
 
-  const refreshActiveLabelPanel = () => {
-    if (!labelPanel || labelPanel.hidden) {
+  customTaskForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const fields = customTaskForm.elements;
+    const existing = state.customItems.find((item) => item.id === editingTaskId);
+    const mode = dueModeSelect.value;
+    const days = Math.round(Number(fields.dueDays.value));
+    const customItem = normalizeCustomChecklistItem({
+      id: existing?.id,
+      section: sectionSelect.value,
+      title: fields.title.value,
+      notes: fields.notes.value,
+      timingText: fields.timingText.value,
+      dueDate: mode === "date" ? fields.dueDate.value : "",
+      timing:
+        (mode === "report" || mode === "pack-out") && Number.isFinite(days)
+          ? { anchor: mode, start: days, end: days }
+          : null,
+      subtasks: readSubtasks(existing),
+    });
+    if (!customItem) {
+      fields.title.focus();
       return;
     }
-    const context = getActiveLabelContext();
-    if (!context) {
+    if (existing) {
+      forgetSubtasks(
+        existing.subtasks.filter(
+          (subtask) => !customItem.subtasks.some((kept) => kept.id === subtask.id)
+        )
+      );
+      state.customItems[state.customItems.indexOf(existing)] = customItem;
+    } else {
+      state.customItems.push(customItem);
+    }
+    saveState(state);
+    closeTaskForm();
+    renderCustomItems();
+    const savedItem = findChecklistItem(customItem.id);
+    if (savedItem) {
+      setAccordionState(savedItem, true);
+    }
+  });
+
+  customTaskForm
+    .querySelector("[data-action='cancel-custom-task']")
+    .addEventListener("click", closeTaskForm);
+  dueModeSelect.addEventListener("change", syncDueFields);
+  addTaskButton.addEventListener("click", () => openTaskForm());
+
+  hiddenToggle.addEventListener("click", () => {
+    showHiddenChecklistItems = !showHiddenChecklistItems;
+    applyHiddenItems();
+    refreshChecklistVisibility();
+  });
+
+  // Swaps a household item with its neighbor in the same section.
+  const moveCustomItem = (customItem, direction) => {
+    const siblings = state.customItems.filter((item) => item.section === customItem.section);
+    const neighbor = siblings[siblings.indexOf(customItem) + direction];
+    if (!neighbor) {
+      return false;
+    }
+    const from = state.customItems.indexOf(customItem);
+    const to = state.customItems.indexOf(neighbor);
+    state.customItems[from] = neighbor;
+    state.customItems[to] = customItem;
+    return true;
+  };
+
+  document.querySelector(".checklist-main").addEventListener("click", (event) => {
+    const actionButton = event.target.closest("[data-checklist-action]");
+    const item = actionButton?.closest(".checklist-item");
+    if (!item) {
       return;
     }
-    const settings = ensureLabelSettings(context.room, context.item);
-    syncLabelInputs(settings);
-    applyLabelPreview(settings);
+    const action = actionButton.dataset.checklistAction;
+    const itemId = item.dataset.item;
+    const customItem = state.customItems.find((candidate) => candidate.id === itemId);
+    if (action === "hide" || action === "unhide") {
+      state.hiddenItems = state.hiddenItems.filter((hiddenId) => hiddenId !== itemId);
+      if (action === "hide") {
+        state.hiddenItems.push(itemId);
+      }
+      saveState(state);
+      applyHiddenItems();
+      refreshChecklistSectionProgress();
+      refreshChecklistVisibility();
+      return;
+    }
+    if (!customItem) {
+      return;
+    }
+    if (action === "edit") {
+      openTaskForm(customItem);
+      return;
+    }
+    if (action === "move-up" || action === "move-down") {
+      if (moveCustomItem(customItem, action === "move-up" ? -1 : 1)) {
+        saveState(state);
+        renderCustomItems();
+        const movedItem = findChecklistItem(itemId);
+        setAccordionState(movedItem, true);
+        movedItem.querySelector(`[data-checklist-action="${action}"]`)?.focus();
+      }
+      return;
+    }
+    if (
+      action === "delete" &&
+      window.confirm(`Delete "${customItem.title}"? Its subtasks and progress will be removed.`)
+    ) {
+      forgetSubtasks(customItem.subtasks);
+      delete state.assignments[itemId];
+      state.customItems = state.customItems.filter((candidate) => candidate !== customItem);
+      state.hiddenItems = state.hiddenItems.filter((hiddenId) => hiddenId !== itemId);
+      saveState(state);
+      renderCustomItems();
+    }
+  });
+
+  document.addEventListener("pcs-checklist-reloaded", renderCustomItems);
+
+  renderCustomItems();
+}
+
+// Household roster and task assignments. The roster card sits in the sidebar, and
+// "Assign people" on any item opens one form for the item and its subtasks.
+const householdCard = document.querySelector("#checklist-household");
+
+if (householdCard && checklistItems.length > 0) {
+  const rosterList = householdCard.querySelector("#household-roster");
+  const memberForm = householdCard.querySelector("#household-member-form");
+  const assigneeField = document.querySelector("#checklist-assignee-field");
+  const assigneeSelect = document.querySelector("#checklist-assignee-filter");
+  const assignForm = document.querySelector("#assign-task-form");
+  const assignTitle = assignForm.querySelector("#assign-task-form-title");
+  const assignRows = assignForm.querySelector("#assign-task-rows");
+  let assigningItemId = null;
+
+  memberForm.elements.role.innerHTML = Object.entries(HOUSEHOLD_ROLES)
+    .map(([role, label]) => `<option value="${role}">${label}</option>`)
+    .join("");
+
+  const findItem = (itemId) => getChecklistItems().find((item) => item.dataset.item === itemId);
+
+  // Household items carry an "Added by you" badge inside their title.
+  const getItemTitle = (item) =>
+    state.customItems.find((customItem) => customItem.id === item.dataset.item)?.title ||
+    item.querySelector(".item-title")?.textContent.replace(/\s+/g, " ").trim() ||
+    "";
+
+  const countOpenTasks = (personId) =>
+    getChecklistItems()
+      .filter((item) => !isChecklistItemHiddenByUser(item))
+      .reduce((total, item) => total + countOpenTasksFor(item, personId), 0);
+
+  const renderRoster = () => {
+    if (state.household.length === 0) {
+      rosterList.innerHTML = `
+        <li class="household-empty">Add the people sharing this move to hand out tasks.</li>
+      `;
+      return;
+    }
+    rosterList.innerHTML = state.household
+      .map((member) => {
+        const openTasks = countOpenTasks(member.id);
+        return `
+          <li class="household-member" data-person-id="${escapeHtml(member.id)}">
+            <span class="household-member-name">${escapeHtml(member.name)}</span>
+            <span class="household-member-role">
+              ${HOUSEHOLD_ROLES[member.role]} · ${openTasks} open ${openTasks === 1 ? "task" : "tasks"}
+            </span>
+            <span class="household-member-actions">
+              <button type="button" class="link-button" data-household-action="filter">
+                Show their tasks
+              </button>
+              <button type="button" class="link-button" data-household-action="remove">
+                Remove
+              </button>
+            </span>
+          </li>
+        `;
+      })
+      .join("");
   };
 
-  const closeItemMenus = () => {
-    roomsContainer
-      .querySelectorAll(".inventory-item-menu .item-menu-dropdown")
-      .forEach((menu) => {
-        menu.hidden = true;
-      });
-    roomsContainer
-      .querySelectorAll(".inventory-item-menu .item-menu-trigger")
-      .forEach((button) => {
-        button.setAttribute("aria-expanded", "false");
-      });
-    activeMenuItemId = null;
+  const renderAssigneeFilter = () => {
+    if (!state.household.some((member) => member.id === checklistAssigneeFilter)) {
+      checklistAssigneeFilter = "";
+    }
+    assigneeField.hidden = state.household.length === 0;
+    assigneeSelect.innerHTML = [
+      '<option value="">Everyone</option>',
+      ...state.household.map(
+        (member) =>
+          `<option value="${escapeHtml(member.id)}">${escapeHtml(member.name)}</option>`
+      ),
+    ].join("");
+    assigneeSelect.value = checklistAssigneeFilter;
   };
 
-  // Keep room-level menus isolated from item menus.
-  const closeRoomMenus = () => {
-    roomsContainer
-      .querySelectorAll(".inventory-room-menu .item-menu-dropdown")
-      .forEach((menu) => {
-        menu.hidden = true;
-      });
-    roomsContainer
-      .querySelectorAll(".inventory-room-menu .item-menu-trigger")
-      .forEach((button) => {
-        button.setAttribute("aria-expanded", "false");
-      });
-    activeRoomMenuIndex = null;
+  // Runs after anything that changes who has which open tasks.
+  const refreshAssignments = () => {
+    getChecklistItems().forEach(syncChecklistItemAssignees);
+    renderRoster();
+    renderAssigneeFilter();
+    refreshChecklistVisibility();
   };
 
-  // Per-item edit mode keeps move/rename controls contextual to the active action.
-  const setItemEditMode = (roomIndex, itemIndex, mode, itemCard) => {
-    const item = inventory.rooms[roomIndex]?.items[itemIndex];
+  const closeAssignForm = () => {
+    assigningItemId = null;
+    assignRows.innerHTML = "";
+    assignForm.hidden = true;
+  };
+
+  const openAssignForm = (item) => {
+    if (state.household.length === 0) {
+      householdCard.scrollIntoView({ block: "start" });
+      memberForm.elements.name.focus();
+      return;
+    }
+    assigningItemId = item.dataset.item;
+    assignTitle.textContent = `Assign "${getItemTitle(item)}"`;
+    const targets = [
+      { id: item.dataset.item, label: "Whole task" },
+      ...Array.from(item.querySelectorAll(".sub-checklist input[type='checkbox'][data-id]")).map(
+        (subtask) => ({
+          id: subtask.dataset.id,
+          label: subtask.closest("label")?.querySelector("span")?.textContent.trim() || "",
+        })
+      ),
+    ];
+    assignRows.innerHTML = targets
+      .map(
+        (target) => `
+          <fieldset class="assign-task-row" data-assign-target="${escapeHtml(target.id)}">
+            <legend>${escapeHtml(target.label)}</legend>
+            ${state.household
+              .map(
+                (member) => `
+                  <label class="assign-chip">
+                    <input
+                      type="checkbox"
+                      value="${escapeHtml(member.id)}"
+                      ${(state.assignments[target.id] || []).includes(member.id) ? "checked" : ""}
+                    />
+                    <span>${escapeHtml(member.name)}</span>
+                  </label>
+                `
+              )
+              .join("")}
+          </fieldset>
+        `
+      )
+      .join("");
+    assignForm.hidden = false;
+    assignForm.scrollIntoView({ block: "start" });
+    assignRows.querySelector("input")?.focus();
+  };
+
+  assignForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    assignRows.querySelectorAll("[data-assign-target]").forEach((row) => {
+      const personIds = Array.from(row.querySelectorAll("input:checked")).map(
+        (input) => input.value
+      );
+      if (personIds.length > 0) {
+        state.assignments[row.dataset.assignTarget] = personIds;
+      } else {
+        delete state.assignments[row.dataset.assignTarget];
+      }
+    });
+    saveState(state);
+    const item = findItem(assigningItemId);
+    closeAssignForm();
+    refreshAssignments();
+    if (item && !item.hidden) {
+      setAccordionState(item, true);
+      item.scrollIntoView({ block: "start" });
+    }
+  });
+
+  assignForm
+    .querySelector("[data-action='cancel-assign-task']")
+    .addEventListener("click", closeAssignForm);
+
+  memberForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const member = normalizeHouseholdMember({
+      name: memberForm.elements.name.value,
+      role: memberForm.elements.role.value,
+    });
+    if (!member) {
+      memberForm.elements.name.focus();
+      return;
+    }
+    state.household.push(member);
+    saveState(state);
+    memberForm.reset();
+    refreshAssignments();
+    memberForm.elements.name.focus();
+  });
+
+  rosterList.addEventListener("click", (event) => {
+    const actionButton = event.target.closest("[data-household-action]");
+    const personId = actionButton?.closest("[data-person-id]")?.dataset.personId;
+    const member = state.household.find((candidate) => candidate.id === personId);
+    if (!member) {
+      return;
+    }
+    if (actionButton.dataset.householdAction === "filter") {
+      checklistAssigneeFilter = member.id;
+      assigneeSelect.value = member.id;
+      refreshChecklistVisibility();
+      assigneeField.scrollIntoView({ block: "start" });
+      return;
+    }
+    if (
+      window.confirm(
+        `Remove ${member.name} from your household? Their task assignments will be cleared.`
+      )
+    ) {
+      state.household = state.household.filter((candidate) => candidate !== member);
+      state.assignments = normalizeChecklistAssignments(state.assignments, state.household);
+      saveState(state);
+      closeAssignForm();
+      refreshAssignments();
+    }
+  });
+
+  assigneeSelect.addEventListener("change", () => {
+    checklistAssigneeFilter = assigneeSelect.value;
+    refreshChecklistVisibility();
+  });
+
+  const checklistMain = document.querySelector(".checklist-main");
+  checklistMain.addEventListener("click", (event) => {
+    const actionButton = event.target.closest("[data-checklist-action]");
+    const item = actionButton?.closest(".checklist-item");
     if (!item) {
       return;
     }
-    item.editMode = mode;
-    if (!itemCard) {
+    if (actionButton.dataset.checklistAction === "assign") {
+      openAssignForm(item);
       return;
     }
-    itemCard.querySelectorAll(".inventory-item-panel").forEach((panel) => {
-      panel.hidden = panel.dataset.panel !== mode;
+    // Hiding, showing, and deleting items change the open task counts.
+    renderRoster();
+  });
+
+  checklistMain.addEventListener("change", (event) => {
+    if (event.target.matches(".sub-checklist input[type='checkbox'][data-id]")) {
+      renderRoster();
+    }
+  });
+
+  document.addEventListener("pcs-checklist-reloaded", refreshAssignments);
+
+  refreshAssignments();
+}
+
+// Dashboard links point at pcs-checklist.html#<data-item>, which opens that item.
+if (checklistItems.length > 0 && window.location.hash) {
+  const linkedItem = getChecklistItems().find(
+    (item) => item.dataset.item && `#${item.dataset.item}` === decodeURIComponent(window.location.hash)
+  );
+  if (linkedItem) {
+    linkedItem.hidden = false;
+    setAccordionState(linkedItem, true);
+    linkedItem.scrollIntoView({ block: "start" });
+  }
+}
+
+// Step guide pages share their step ids with the "Step guide" list under the
+// matching checklist item, so the note above the steps reports that item's whole
+// progress from the cached checklist outline.
+const guideChecklistLinks = Array.from(
+  document.querySelectorAll(".guide-checklist-link[data-checklist-item]")
+);
+
+if (guideChecklistLinks.length > 0) {
+  const renderGuideChecklistLinks = () => {
+    const outline = readStoredRecord(CHECKLIST_OUTLINE_KEY);
+    const { checked } = readStoredRecord(STORAGE_KEY);
+    const outlineItems = outline.sections.flatMap((section) => section.items);
+    guideChecklistLinks.forEach((link) => {
+      const itemId = link.dataset.checklistItem;
+      const item = outlineItems.find((candidate) => candidate.id === itemId);
+      // Until the checklist page has been opened the static note stays in place.
+      if (!item) {
+        return;
+      }
+      const done = item.taskIds.filter((taskId) => checked[taskId] === true).length;
+      link.classList.toggle("is-complete", done === item.taskIds.length);
+      link.innerHTML = `
+        These steps count toward
+        <a class="text-link" href="pcs-checklist.html#${encodeURIComponent(itemId)}">${escapeHtml(
+          item.title
+        )}</a>
+        on your PCS checklist: ${formatTaskProgress(done, item.taskIds.length)} done.
+      `;
     });
   };
 
-  // Room-level edit mode mirrors item panels for inline rename controls.
-  const setRoomEditMode = (roomIndex, mode, roomCard) => {
-    const room = inventory.rooms[roomIndex];
-    if (!room) {
-      return;
+  document.addEventListener("change", (event) => {
+    if (event.target.matches("input[type='checkbox'][data-id]")) {
+      renderGuideChecklistLinks();
     }
-    room.editMode = mode;
-    if (!roomCard) {
-      return;
+  });
+
+  // Progress made on the checklist in another tab shows up here too.
+  document.addEventListener("pcs-checklist-reloaded", renderGuideChecklistLinks);
+  window.addEventListener("storage", (event) => {
+    if (event.key === CHECKLIST_OUTLINE_KEY) {
+      renderGuideChecklistLinks();
     }
-    roomCard.querySelectorAll("[data-room-panel]").forEach((panel) => {
-      panel.hidden = panel.dataset.roomPanel !== mode;
+  });
+
+  renderGuideChecklistLinks();
+}
+
+// QR codes for box labels. This is a small offline encoder (byte mode, error
+// correction level M, versions 1–10) following the ISO/IEC 18004 layout, so
+// labels never depend on a network service.
+const QR_MAX_VERSION = 10;
+// Indexed by version; level M only.
+const QR_ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const QR_ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const QR_FORMAT_BITS_LEVEL_M = 0;
+
+const getQrBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+const getQrRawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignmentCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+};
+
+const getQrDataCodewords = (version) =>
+  Math.floor(getQrRawDataModules(version) / 8) -
+  QR_ECC_CODEWORDS_PER_BLOCK[version] * QR_ERROR_CORRECTION_BLOCKS[version];
+
+// Largest UTF-8 payload a version 10 code holds at level M.
+const QR_MAX_PAYLOAD_BYTES = getQrDataCodewords(QR_MAX_VERSION) - 3;
+
+const multiplyQrField = (x, y) => {
+  let product = 0;
+  for (let bit = 7; bit >= 0; bit -= 1) {
+    product = (product << 1) ^ ((product >>> 7) * 0x11d);
+    product ^= ((y >>> bit) & 1) * x;
+  }
+  return product;
+};
+
+const buildQrDivisor = (degree) => {
+  const divisor = new Array(degree).fill(0);
+  divisor[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i += 1) {
+    for (let j = 0; j < divisor.length; j += 1) {
+      divisor[j] = multiplyQrField(divisor[j], root);
+      if (j + 1 < divisor.length) {
+        divisor[j] ^= divisor[j + 1];
+      }
+    }
+    root = multiplyQrField(root, 0x02);
+  }
+  return divisor;
+};
+
+const computeQrRemainder = (data, divisor) => {
+  const remainder = new Array(divisor.length).fill(0);
+  data.forEach((byte) => {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    divisor.forEach((coefficient, index) => {
+      remainder[index] ^= multiplyQrField(coefficient, factor);
     });
+  });
+  return remainder;
+};
+
+const getQrAlignmentPositions = (version) => {
+  if (version === 1) {
+    return [];
+  }
+  const alignmentCount = Math.floor(version / 7) + 2;
+  const step =
+    Math.ceil((version * 4 + 4) / (alignmentCount * 2 - 2)) * 2;
+  const positions = [6];
+  for (
+    let position = version * 4 + 10;
+    positions.length < alignmentCount;
+    position -= step
+  ) {
+    positions.splice(1, 0, position);
+  }
+  return positions;
+};
+
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+// Returns a square matrix of booleans (true = dark module) for the given text.
+const encodeQrCode = (text) => {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  let version = 1;
+  const countBits = (candidate) => (candidate < 10 ? 8 : 16);
+  while (
+    version <= QR_MAX_VERSION &&
+    4 + countBits(version) + bytes.length * 8 > getQrDataCodewords(version) * 8
+  ) {
+    version += 1;
+  }
+  if (version > QR_MAX_VERSION) {
+    throw new Error("The text is too long for a box label QR code.");
+  }
+
+  // Data bits: byte mode indicator, length, payload, terminator, and padding.
+  const bits = [];
+  const appendBits = (value, length) => {
+    for (let i = length - 1; i >= 0; i -= 1) {
+      bits.push((value >>> i) & 1);
+    }
   };
+  appendBits(0b0100, 4);
+  appendBits(bytes.length, countBits(version));
+  bytes.forEach((byte) => appendBits(byte, 8));
+  const capacityBits = getQrDataCodewords(version) * 8;
+  appendBits(0, Math.min(4, capacityBits - bits.length));
+  appendBits(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+    appendBits(pad, 8);
+  }
+  const dataCodewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    dataCodewords.push(parseInt(bits.slice(i, i + 8).join(""), 2));
+  }
 
-  const adjustActiveLabelIndexOnRemoval = (roomIndex, itemIndex) => {
-    if (!activeLabelItem || activeLabelItem.roomIndex !== roomIndex) {
-      return;
+  // Split into blocks, add Reed-Solomon codewords, and interleave.
+  const blockCount = QR_ERROR_CORRECTION_BLOCKS[version];
+  const blockEccLength = QR_ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(getQrRawDataModules(version) / 8);
+  const shortBlockCount = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = buildQrDivisor(blockEccLength);
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i += 1) {
+    const blockData = dataCodewords.slice(
+      offset,
+      offset + shortBlockLength - blockEccLength + (i < shortBlockCount ? 0 : 1)
+    );
+    offset += blockData.length;
+    const ecc = computeQrRemainder(blockData, divisor);
+    if (i < shortBlockCount) {
+      blockData.push(0);
     }
-    if (activeLabelItem.itemIndex > itemIndex) {
-      activeLabelItem = {
-        roomIndex: activeLabelItem.roomIndex,
-        itemIndex: activeLabelItem.itemIndex - 1,
-      };
+    blocks.push([...blockData, ...ecc]);
+  }
+  const codewords = [];
+  for (let i = 0; i < blocks[0].length; i += 1) {
+    blocks.forEach((block, blockIndex) => {
+      if (
+        i !== shortBlockLength - blockEccLength ||
+        blockIndex >= shortBlockCount
+      ) {
+        codewords.push(block[i]);
+      }
+    });
+  }
+
+  // Function patterns: finders, timing, alignment, format and version areas.
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () =>
+    new Array(size).fill(false)
+  );
+  const setFunctionModule = (x, y, isDark) => {
+    modules[y][x] = isDark;
+    isFunction[y][x] = true;
+  };
+  for (let i = 0; i < size; i += 1) {
+    setFunctionModule(6, i, i % 2 === 0);
+    setFunctionModule(i, 6, i % 2 === 0);
+  }
+  [
+    [3, 3],
+    [size - 4, 3],
+    [3, size - 4],
+  ].forEach(([centerX, centerY]) => {
+    for (let dy = -4; dy <= 4; dy += 1) {
+      for (let dx = -4; dx <= 4; dx += 1) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        const x = centerX + dx;
+        const y = centerY + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          setFunctionModule(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+  const alignmentPositions = getQrAlignmentPositions(version);
+  const lastAlignment = alignmentPositions.length - 1;
+  alignmentPositions.forEach((centerX, i) => {
+    alignmentPositions.forEach((centerY, j) => {
+      const overlapsFinder =
+        (i === 0 && j === 0) ||
+        (i === 0 && j === lastAlignment) ||
+        (i === lastAlignment && j === 0);
+      if (overlapsFinder) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy += 1) {
+        for (let dx = -2; dx <= 2; dx += 1) {
+          setFunctionModule(
+            centerX + dx,
+            centerY + dy,
+            Math.max(Math.abs(dx), Math.abs(dy)) !== 1
+          );
+        }
+      }
+    });
+  });
+  const drawFormatBits = (mask) => {
+    const data = (QR_FORMAT_BITS_LEVEL_M << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i += 1) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const formatBits = ((data << 10) | remainder) ^ 0x5412;
+    for (let i = 0; i <= 5; i += 1) {
+      setFunctionModule(8, i, getQrBit(formatBits, i));
+    }
+    setFunctionModule(8, 7, getQrBit(formatBits, 6));
+    setFunctionModule(8, 8, getQrBit(formatBits, 7));
+    setFunctionModule(7, 8, getQrBit(formatBits, 8));
+    for (let i = 9; i < 15; i += 1) {
+      setFunctionModule(14 - i, 8, getQrBit(formatBits, i));
     }
+    for (let i = 0; i < 8; i += 1) {
+      setFunctionModule(size - 1 - i, 8, getQrBit(formatBits, i));
+    }
+    for (let i = 8; i < 15; i += 1) {
+      setFunctionModule(8, size - 15 + i, getQrBit(formatBits, i));
+    }
+    setFunctionModule(8, size - 8, true);
   };
+  drawFormatBits(0);
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i += 1) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const versionBits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i += 1) {
+      const isDark = getQrBit(versionBits, i);
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunctionModule(a, b, isDark);
+      setFunctionModule(b, a, isDark);
+    }
+  }
 
-  // Build the room inventory card with collapsible content and inline add-item form.
-  const renderRoom = (room, roomIndex) => {
-    const filteredQuery = normalize(currentQuery);
-    const roomMatches = normalize(room.name).includes(filteredQuery);
-    const filteredItems = roomMatches
-      ? room.items
-      : room.items.filter((item) => {
-          const labelMatch = normalize(item.label).includes(filteredQuery);
-          const notesMatch = normalize(item.notes || "").includes(filteredQuery);
-          return labelMatch || notesMatch;
-        });
+  // Codewords fill the remaining modules in a two-column zigzag.
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) {
+      right = 5;
+    }
+    for (let vertical = 0; vertical < size; vertical += 1) {
+      for (let j = 0; j < 2; j += 1) {
+        const x = right - j;
+        const isUpward = ((right + 1) & 2) === 0;
+        const y = isUpward ? size - 1 - vertical : vertical;
+        if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = getQrBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+          bitIndex += 1;
+        }
+      }
+    }
+  }
 
-    if (filteredQuery && !roomMatches && filteredItems.length === 0) {
-      return "";
+  // Pick the mask with the lowest penalty score.
+  const applyMask = (mask) => {
+    for (let y = 0; y < size; y += 1) {
+      for (let x = 0; x < size; x += 1) {
+        if (!isFunction[y][x] && QR_MASKS[mask](x, y)) {
+          modules[y][x] = !modules[y][x];
+        }
+      }
     }
+  };
+  const addRunHistory = (runLength, history) => {
+    history.pop();
+    history.unshift(history[0] === 0 ? runLength + size : runLength);
+  };
+  const countFinderPatterns = (history) => {
+    const n = history[1];
+    const isCore =
+      n > 0 &&
+      history[2] === n &&
+      history[3] === n * 3 &&
+      history[4] === n &&
+      history[5] === n;
+    return (
+      (isCore && history[0] >= n * 4 && history[6] >= n ? 1 : 0) +
+      (isCore && history[6] >= n * 4 && history[0] >= n ? 1 : 0)
+    );
+  };
+  const scoreLine = (getModule) => {
+    let score = 0;
+    let runColor = false;
+    let runLength = 0;
+    const history = new Array(7).fill(0);
+    for (let i = 0; i < size; i += 1) {
+      if (getModule(i) === runColor) {
+        runLength += 1;
+        if (runLength === 5) {
+          score += 3;
+        } else if (runLength > 5) {
+          score += 1;
+        }
+      } else {
+        addRunHistory(runLength, history);
+        if (!runColor) {
+          score += countFinderPatterns(history) * 40;
+        }
+        runColor = getModule(i);
+        runLength = 1;
+      }
+    }
+    if (runColor) {
+      addRunHistory(runLength, history);
+      runLength = 0;
+    }
+    addRunHistory(runLength + size, history);
+    return score + countFinderPatterns(history) * 40;
+  };
+  const scorePenalty = () => {
+    let score = 0;
+    let darkCount = 0;
+    for (let i = 0; i < size; i += 1) {
+      score += scoreLine((x) => modules[i][x]);
+      score += scoreLine((y) => modules[y][i]);
+    }
+    for (let y = 0; y < size; y += 1) {
+      for (let x = 0; x < size; x += 1) {
+        if (modules[y][x]) {
+          darkCount += 1;
+        }
+        const color = modules[y][x];
+        if (
+          y < size - 1 &&
+          x < size - 1 &&
+          color === modules[y][x + 1] &&
+          color === modules[y + 1][x] &&
+          color === modules[y + 1][x + 1]
+        ) {
+          score += 3;
+        }
+      }
+    }
+    const total = size * size;
+    score +=
+      (Math.ceil(Math.abs(darkCount * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  };
+  let bestMask = 0;
+  let bestScore = Infinity;
+  QR_MASKS.forEach((_, mask) => {
+    applyMask(mask);
+    drawFormatBits(mask);
+    const score = scorePenalty();
+    if (score < bestScore) {
+      bestMask = mask;
+      bestScore = score;
+    }
+    applyMask(mask);
+  });
+  applyMask(bestMask);
+  drawFormatBits(bestMask);
+  return modules;
+};
 
-    const itemCount = room.items.length;
-    const itemsMarkup =
-      filteredItems.length === 0
-        ? `<p class="inventory-empty">No matching items yet.</p>`
-        : `<ul class="inventory-items">
-            ${filteredItems
-              .map((item, itemIndex) => {
-                const categoryOptions = buildCategoryOptions(item.category);
-                const isIncluded = item.includeInEstimate;
-                const isHighValue = item.isHighValue;
-                const editMode = item.editMode || null;
+// Renders the matrix as a crisp SVG with the standard four-module quiet zone.
+const buildQrSvg = (text, { title = "QR code" } = {}) => {
+  const modules = encodeQrCode(text);
+  const quietZone = 4;
+  const dimension = modules.length + quietZone * 2;
+  const path = modules
+    .flatMap((row, y) =>
+      row.map((isDark, x) =>
+        isDark ? `M${x + quietZone},${y + quietZone}h1v1h-1z` : ""
+      )
+    )
+    .join("");
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges" role="img" aria-label="${title}"><rect width="100%" height="100%" fill="#ffffff"/><path d="${path}" fill="#000000"/></svg>`;
+};
+
+// Photos are kept in IndexedDB because localStorage cannot hold image data.
+// Records are { id, blob, thumbnail, name, type, size, createdAt } and stored
+// data only keeps their ids.
+const PHOTO_DB_NAME = "pcs-pro-media";
+const PHOTO_STORE = "photos";
+// Camera photos are downscaled before saving so a few hundred fit comfortably.
+const PHOTO_MAX_DIMENSION = 1600;
+const PHOTO_THUMBNAIL_DIMENSION = 320;
+const PHOTO_QUALITY = 0.82;
+
+let photoDbRequest = null;
+
+const openPhotoDb = () => {
+  if (!photoDbRequest) {
+    photoDbRequest = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("This browser cannot store photos offline."));
+        return;
+      }
+      const request = window.indexedDB.open(PHOTO_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(PHOTO_STORE, { keyPath: "id" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return photoDbRequest;
+};
+
+const runPhotoTransaction = async (mode, action) => {
+  const db = await openPhotoDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(PHOTO_STORE, mode);
+    const request = action(transaction.objectStore(PHOTO_STORE));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const resizePhoto = async (file, maxDimension) => {
+  const bitmap = await window.createImageBitmap(file);
+  const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close?.();
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("Unable to encode photo."))),
+      "image/jpeg",
+      PHOTO_QUALITY
+    );
+  });
+};
+
+// Formats the browser cannot decode (such as some HEIC photos) are kept as-is.
+const preparePhoto = async (file) => {
+  try {
+    const [resized, thumbnail] = await Promise.all([
+      resizePhoto(file, PHOTO_MAX_DIMENSION),
+      resizePhoto(file, PHOTO_THUMBNAIL_DIMENSION),
+    ]);
+    return { blob: resized.size < file.size ? resized : file, thumbnail };
+  } catch (error) {
+    console.warn("Unable to downscale photo; storing the original.", error);
+    return { blob: file, thumbnail: null };
+  }
+};
+
+const savePhoto = async (file) => {
+  const { blob, thumbnail } = await preparePhoto(file);
+  const record = {
+    id: createRecordId("photo"),
+    blob,
+    thumbnail,
+    name: file.name || "photo.jpg",
+    type: blob.type || file.type || "image/jpeg",
+    size: blob.size + (thumbnail?.size || 0),
+    createdAt: new Date().toISOString(),
+  };
+  await runPhotoTransaction("readwrite", (store) => store.put(record));
+  // Ask once for persistent storage so the browser does not evict photos.
+  navigator.storage?.persist?.().catch(() => {});
+  return record.id;
+};
+
+const loadPhoto = (photoId) =>
+  runPhotoTransaction("readonly", (store) => store.get(photoId));
+
+const loadAllPhotos = () => runPhotoTransaction("readonly", (store) => store.getAll());
+
+// Object URLs are cached per page view; thumbnails fall back to the full photo.
+const photoUrlCache = new Map();
+
+const getPhotoUrl = async (photoId, { full = false } = {}) => {
+  const cacheKey = `${photoId}:${full ? "full" : "thumbnail"}`;
+  if (!photoUrlCache.has(cacheKey)) {
+    const record = await loadPhoto(photoId);
+    const blob = record && (full ? record.blob : record.thumbnail || record.blob);
+    photoUrlCache.set(cacheKey, blob ? URL.createObjectURL(blob) : "");
+  }
+  return photoUrlCache.get(cacheKey);
+};
+
+const deletePhotos = async (photoIds) => {
+  if (photoIds.length === 0) {
+    return;
+  }
+  await runPhotoTransaction("readwrite", (store) => {
+    photoIds.forEach((photoId) => store.delete(photoId));
+  });
+  photoIds.forEach((photoId) => {
+    ["full", "thumbnail"].forEach((variant) => {
+      const url = photoUrlCache.get(`${photoId}:${variant}`);
+      if (url) {
+        URL.revokeObjectURL(url);
+      }
+      photoUrlCache.delete(`${photoId}:${variant}`);
+    });
+  });
+};
+
+// Fills every <img data-photo-id> in a container once its photo has loaded.
+const loadPhotoImages = (container) =>
+  Promise.all(
+    Array.from(container.querySelectorAll("img[data-photo-id]")).map(async (image) => {
+      const { photoId } = image.dataset;
+      let url = "";
+      try {
+        url = await getPhotoUrl(photoId, { full: image.dataset.photoSize === "full" });
+      } catch (error) {
+        console.warn(`Unable to load photo "${photoId}".`, error);
+      }
+      if (url) {
+        image.src = url;
+      } else {
+        image.alt = "Photo unavailable on this device";
+      }
+    })
+  );
+
+const normalizePhotoIds = (photoIds) =>
+  Array.isArray(photoIds) ? photoIds.filter((photoId) => typeof photoId === "string") : [];
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) {
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+  if (bytes < 1024 * 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+};
+
+const readBlobAsDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+const dataUrlToBlob = (dataUrl) => {
+  const [header, data = ""] = dataUrl.split(",");
+  const type = header.slice("data:".length).split(";")[0];
+  const binary = header.endsWith(";base64") ? atob(data) : decodeURIComponent(data);
+  return new Blob([Uint8Array.from(binary, (character) => character.charCodeAt(0))], {
+    type,
+  });
+};
+
+// Backups carry photos as data URLs; ones already on this device are kept as-is.
+const importPhotos = async (photos) => {
+  const existingIds = new Set(
+    await runPhotoTransaction("readonly", (store) => store.getAllKeys())
+  );
+  const records = [];
+  for (const photo of photos.filter((candidate) => !existingIds.has(candidate.id))) {
+    const blob = dataUrlToBlob(photo.dataUrl);
+    const { thumbnail } = await preparePhoto(blob);
+    records.push({
+      id: photo.id,
+      blob,
+      thumbnail,
+      name: photo.name,
+      type: blob.type,
+      size: blob.size + (thumbnail?.size || 0),
+      createdAt: photo.createdAt,
+    });
+  }
+  if (records.length > 0) {
+    await runPhotoTransaction("readwrite", (store) => {
+      records.forEach((record) => store.put(record));
+    });
+  }
+  return records.length;
+};
+
+// Move inventory state management using localStorage.
+const INVENTORY_KEY = "pcs-move-inventory";
+
+const loadInventory = () => readStoredRecord(INVENTORY_KEY);
+
+// Transient editMode flags never leave the page.
+const inventoryReplacer = (key, value) =>
+  key === "editMode" ? undefined : value;
+
+const saveInventory = (inventory) => {
+  writeStoredRecord(INVENTORY_KEY, inventory, { replacer: inventoryReplacer });
+};
+
+// Inventory data model helpers are shared so restored backups get the same normalization.
+const normalize = (value) => value.trim().toLowerCase();
+
+// Estimation model note:
+// The defaults below align with commonly cited household goods weight ranges
+// used by moving companies and PCS planning guidance:
+// - Standard moving box ≈ 40 lbs
+// - Couch/sofa ≈ 200–300 lbs
+// - Dining table ≈ 150–250 lbs
+// - Queen bed ≈ 150–200 lbs
+// - Dresser ≈ 100–200 lbs
+// - Refrigerator/large appliance ≈ 250–400 lbs
+// Values are set to midpoints of those ranges for realistic planning.
+// Volumes (cubic feet) follow movers' cube sheets: a medium box is about 3 cu ft,
+// a sofa about 50, a queen bed with frame about 60, and a refrigerator about 45.
+// Keywords feed inferCategoryFromLabel(); the longest matching keyword wins, so
+// "queen mattress" beats "bed"; pro gear and box keywords outrank the rest. The
+// generic entries (Moving Box, Bed, Table, Appliance, and so on) keep their
+// original labels so existing items still match.
+const CATEGORY_DEFINITIONS = [
+  { group: "Boxes", label: "Small Box / Books", defaultWeight: 30, defaultVolume: 1.5, keywords: ["small box", "book box", "books"] },
+  { group: "Boxes", label: "Moving Box", defaultWeight: 40, defaultVolume: 3, keywords: ["box", "medium box", "carton", "tote"] },
+  { group: "Boxes", label: "Large Box", defaultWeight: 50, defaultVolume: 4.5, keywords: ["large box", "linen box", "lamp box"] },
+  { group: "Boxes", label: "Wardrobe Box", defaultWeight: 60, defaultVolume: 10, keywords: ["wardrobe box", "hanging clothes"] },
+  { group: "Boxes", label: "Dish Pack", defaultWeight: 60, defaultVolume: 5, keywords: ["dish pack", "dish barrel", "dishes", "china"] },
+  { group: "Living room", label: "Couch / Sofa", defaultWeight: 250, defaultVolume: 50, keywords: ["sofa", "couch", "sectional", "futon"] },
+  { group: "Living room", label: "Loveseat", defaultWeight: 150, defaultVolume: 35, keywords: ["loveseat", "love seat"] },
+  { group: "Living room", label: "Chair", defaultWeight: 40, defaultVolume: 10, keywords: ["chair", "stool", "ottoman"] },
+  { group: "Living room", label: "Recliner / Armchair", defaultWeight: 120, defaultVolume: 30, keywords: ["recliner", "armchair", "rocking chair"] },
+  { group: "Living room", label: "TV", defaultWeight: 50, defaultVolume: 8, keywords: ["tv", "television", "monitor"] },
+  { group: "Living room", label: "TV Stand / Console", defaultWeight: 80, defaultVolume: 15, keywords: ["tv stand", "media console", "entertainment center"] },
+  { group: "Living room", label: "Coffee / End Table", defaultWeight: 50, defaultVolume: 10, keywords: ["coffee table", "end table", "side table"] },
+  { group: "Living room", label: "Bookcase", defaultWeight: 100, defaultVolume: 20, keywords: ["bookcase", "bookshelf", "bookshelves", "shelving", "shelf", "shelves"] },
+  { group: "Living room", label: "Piano (upright)", defaultWeight: 500, defaultVolume: 70, keywords: ["piano", "keyboard stand"] },
+  { group: "Bedroom", label: "Bed", defaultWeight: 175, defaultVolume: 60, keywords: ["bed", "bed frame", "headboard", "bunk bed"] },
+  { group: "Bedroom", label: "Mattress", defaultWeight: 70, defaultVolume: 35, keywords: ["mattress"] },
+  { group: "Bedroom", label: "Mattress – Twin", defaultWeight: 50, defaultVolume: 20, keywords: ["twin mattress", "twin bed"] },
+  { group: "Bedroom", label: "Mattress – Full", defaultWeight: 65, defaultVolume: 30, keywords: ["full mattress", "double mattress", "full bed"] },
+  { group: "Bedroom", label: "Mattress – Queen", defaultWeight: 75, defaultVolume: 40, keywords: ["queen mattress", "queen bed", "queen"] },
+  { group: "Bedroom", label: "Mattress – King", defaultWeight: 100, defaultVolume: 50, keywords: ["king mattress", "king bed", "king"] },
+  { group: "Bedroom", label: "Crib", defaultWeight: 60, defaultVolume: 20, keywords: ["crib", "bassinet", "toddler bed"] },
+  { group: "Bedroom", label: "Dresser", defaultWeight: 150, defaultVolume: 30, keywords: ["dresser", "chest of drawers"] },
+  { group: "Bedroom", label: "Nightstand", defaultWeight: 40, defaultVolume: 6, keywords: ["nightstand", "night stand", "bedside table"] },
+  { group: "Bedroom", label: "Wardrobe / Armoire", defaultWeight: 200, defaultVolume: 40, keywords: ["wardrobe", "armoire"] },
+  { group: "Kitchen & appliances", label: "Table", defaultWeight: 200, defaultVolume: 30, keywords: ["table", "dining table", "kitchen table"] },
+  { group: "Kitchen & appliances", label: "Appliance", defaultWeight: 300, defaultVolume: 45, keywords: ["appliance", "freezer"] },
+  { group: "Kitchen & appliances", label: "Refrigerator", defaultWeight: 300, defaultVolume: 50, keywords: ["fridge", "refrigerator"] },
+  { group: "Kitchen & appliances", label: "Washer", defaultWeight: 175, defaultVolume: 25, keywords: ["washer", "washing machine"] },
+  { group: "Kitchen & appliances", label: "Dryer", defaultWeight: 125, defaultVolume: 25, keywords: ["dryer"] },
+  { group: "Kitchen & appliances", label: "Microwave", defaultWeight: 40, defaultVolume: 3, keywords: ["microwave", "toaster oven"] },
+  { group: "Office", label: "Desk", defaultWeight: 150, defaultVolume: 25, keywords: ["desk", "workstation"] },
+  { group: "Office", label: "Filing Cabinet", defaultWeight: 80, defaultVolume: 10, keywords: ["filing cabinet", "file cabinet"] },
+  // Professional books, papers, and equipment are excluded from the allowance.
+  { group: "Office", label: "Professional Gear (PBP&E)", defaultWeight: 40, defaultVolume: 3, keywords: ["pbp&e", "pro gear", "professional"], isProGear: true },
+  { group: "Outdoor & garage", label: "Bicycle", defaultWeight: 35, defaultVolume: 10, keywords: ["bike", "bicycle"] },
+  { group: "Outdoor & garage", label: "Grill", defaultWeight: 100, defaultVolume: 20, keywords: ["grill", "bbq", "smoker"] },
+  { group: "Outdoor & garage", label: "Lawn Mower", defaultWeight: 90, defaultVolume: 15, keywords: ["lawn mower", "mower"] },
+  { group: "Outdoor & garage", label: "Gun Safe", defaultWeight: 600, defaultVolume: 20, keywords: ["gun safe", "safe"] },
+  { group: "Outdoor & garage", label: "Tool Chest", defaultWeight: 150, defaultVolume: 15, keywords: ["tool chest", "toolbox", "tool box"] },
+  { group: "Outdoor & garage", label: "Patio Furniture", defaultWeight: 60, defaultVolume: 15, keywords: ["patio", "outdoor furniture", "lawn chair"] },
+  // Miscellaneous stays last: it is the fallback for unknown categories.
+  { group: "Other", label: "Miscellaneous", defaultWeight: 40, defaultVolume: 5, keywords: [] },
+];
+
+// Household categories and keyword rules are shared by every move on this device.
+// Rules are { id, keyword, category } and win over catalog keywords.
+const CATEGORY_SETTINGS_KEY = "pcs-inventory-categories";
+const CUSTOM_CATEGORY_GROUP = "Your categories";
+
+registerStorageSchema(CATEGORY_SETTINGS_KEY, {
+  label: "inventory categories",
+  perProfile: false,
+  version: 1,
+  createEmpty: () => ({ categories: [], rules: [] }),
+  isValid: (settings) =>
+    isPlainObject(settings) &&
+    Array.isArray(settings.categories) &&
+    Array.isArray(settings.rules) &&
+    settings.categories.every(
+      (category) =>
+        isPlainObject(category) &&
+        typeof category.label === "string" &&
+        Array.isArray(category.keywords) &&
+        category.keywords.every((keyword) => typeof keyword === "string")
+    ) &&
+    settings.rules.every(
+      (rule) =>
+        isPlainObject(rule) &&
+        typeof rule.keyword === "string" &&
+        typeof rule.category === "string"
+    ),
+  migrations: [
+    // v0 → v1: no shape change; settings were always written with a version.
+    (settings) => settings,
+  ],
+});
+
+// Read once per page and kept in memory; saveCategorySettings() refreshes it.
+let categorySettings = null;
+
+const loadCategorySettings = () => {
+  if (!categorySettings) {
+    categorySettings = readStoredRecord(CATEGORY_SETTINGS_KEY);
+  }
+  return categorySettings;
+};
+
+const saveCategorySettings = (settings) => {
+  categorySettings = settings;
+  writeStoredRecord(CATEGORY_SETTINGS_KEY, settings);
+};
+
+// Built-in catalog plus the household's own categories, Miscellaneous last.
+const getCategoryCatalog = () => {
+  const customCategories = loadCategorySettings().categories.map((category) => ({
+    ...category,
+    group: CUSTOM_CATEGORY_GROUP,
+  }));
+  return [
+    ...CATEGORY_DEFINITIONS.slice(0, -1),
+    ...customCategories,
+    CATEGORY_DEFINITIONS[CATEGORY_DEFINITIONS.length - 1],
+  ];
+};
+
+const findCategoryDefinition = (categoryLabel) =>
+  getCategoryCatalog().find((category) => category.label === categoryLabel) || null;
+
+const getCategoryDefinition = (categoryLabel) =>
+  findCategoryDefinition(categoryLabel) ||
+  CATEGORY_DEFINITIONS[CATEGORY_DEFINITIONS.length - 1];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Keywords match whole words, plurals included, so "bed" finds "beds" but not
+// "sofabed" or "bedroom lamp", and "box" skips "boxing bag".
+const matchesKeyword = (normalizedLabel, keyword) =>
+  new RegExp(`(^|[^a-z0-9])${escapeRegExp(normalize(keyword))}(e?s)?($|[^a-z0-9])`).test(
+    normalizedLabel
+  );
+
+const inferCategoryFromLabel = (label) => {
+  const normalizedLabel = normalize(label);
+  const ruleMatch = loadCategorySettings()
+    .rules.filter(
+      (rule) => findCategoryDefinition(rule.category) && matchesKeyword(normalizedLabel, rule.keyword)
+    )
+    .sort((a, b) => b.keyword.length - a.keyword.length)[0];
+  if (ruleMatch) {
+    return ruleMatch.category;
+  }
+  // Anything marked as pro gear stays PBP&E, and "Box 4 – kitchen table legs" is
+  // still a box, so those keywords outrank longer furniture matches.
+  const rankCategory = (category) =>
+    category.isProGear ? 2 : category.group === "Boxes" ? 1 : 0;
+  let bestMatch = null;
+  getCategoryCatalog().forEach((category) => {
+    const rank = rankCategory(category);
+    (category.keywords || []).forEach((keyword) => {
+      if (!matchesKeyword(normalizedLabel, keyword)) {
+        return;
+      }
+      if (
+        !bestMatch ||
+        rank > bestMatch.rank ||
+        (rank === bestMatch.rank && keyword.length > bestMatch.keyword.length)
+      ) {
+        bestMatch = { keyword, rank, category: category.label };
+      }
+    });
+  });
+  return bestMatch?.category || "Miscellaneous";
+};
+
+const coerceWeight = (weight, fallbackWeight) => {
+  const numericWeight = Number(weight);
+  if (Number.isFinite(numericWeight) && numericWeight > 0) {
+    return numericWeight;
+  }
+  return fallbackWeight;
+};
+
+// Volumes in cubic feet follow the same rules as weights.
+const coerceVolume = (volume, fallbackVolume) => coerceWeight(volume, fallbackVolume);
+
+// A row can stand for several identical things ("12 dining chairs"); weight and
+// volume stay per piece and are multiplied when totals are computed.
+const MAX_ITEM_QUANTITY = 999;
+
+const coerceQuantity = (quantity, fallbackQuantity) => {
+  const numericQuantity = Math.floor(Number(quantity));
+  if (Number.isFinite(numericQuantity) && numericQuantity >= 1) {
+    return Math.min(numericQuantity, MAX_ITEM_QUANTITY);
+  }
+  return fallbackQuantity;
+};
+
+// Rows split into numbered boxes remember their place as boxNumber of boxCount.
+const formatBoxNumbering = (boxNumber, boxCount) => `${boxNumber} of ${boxCount}`;
+
+const getBoxNumbering = (item) =>
+  Number.isInteger(item.boxNumber) && Number.isInteger(item.boxCount)
+    ? formatBoxNumbering(item.boxNumber, item.boxCount)
+    : "";
+
+// Movers match boxes to rooms by color and a short code like "KIT" or "BR2".
+// ink is the text color that stays readable on each band.
+const ROOM_COLORS = [
+  { id: "red", label: "Red", hex: "#d64545", ink: "#ffffff" },
+  { id: "blue", label: "Blue", hex: "#2f6fd6", ink: "#ffffff" },
+  { id: "green", label: "Green", hex: "#3f9d5a", ink: "#ffffff" },
+  { id: "yellow", label: "Yellow", hex: "#f2c94c", ink: "#111827" },
+  { id: "orange", label: "Orange", hex: "#e8833a", ink: "#111827" },
+  { id: "purple", label: "Purple", hex: "#7b4fc9", ink: "#ffffff" },
+  { id: "pink", label: "Pink", hex: "#e46aa6", ink: "#111827" },
+  { id: "teal", label: "Teal", hex: "#1f9a9a", ink: "#ffffff" },
+  { id: "brown", label: "Brown", hex: "#8a5a3b", ink: "#ffffff" },
+  { id: "gray", label: "Gray", hex: "#6b7280", ink: "#ffffff" },
+];
+const ROOM_CODE_MAX_LENGTH = 4;
+
+const getRoomColor = (colorId) =>
+  ROOM_COLORS.find((color) => color.id === colorId) || ROOM_COLORS[ROOM_COLORS.length - 1];
+
+const normalizeRoomCode = (code) =>
+  String(code ?? "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "")
+    .slice(0, ROOM_CODE_MAX_LENGTH);
+
+// "Kitchen" becomes KIT and "Bedroom 2" becomes BED2; repeats get a number.
+const deriveRoomCode = (name, takenCodes) => {
+  const letters = normalizeRoomCode(name.replace(/[0-9]/g, "")).slice(0, 3) || "RM";
+  const digits = (name.match(/[0-9]+/) || [""])[0];
+  const baseCode = normalizeRoomCode(`${letters}${digits}`);
+  let code = baseCode;
+  for (let suffix = 2; takenCodes.includes(code); suffix += 1) {
+    code = normalizeRoomCode(`${letters.slice(0, ROOM_CODE_MAX_LENGTH - String(suffix).length)}${suffix}`);
+  }
+  return code;
+};
+
+// Fills a missing code or color, preferring a color no other room uses yet.
+const ensureRoomDefaults = (room, rooms) => {
+  const otherRooms = rooms.filter((candidate) => candidate !== room);
+  room.code =
+    normalizeRoomCode(room.code) ||
+    deriveRoomCode(
+      room.name,
+      otherRooms.map((candidate) => candidate.code).filter(Boolean)
+    );
+  if (!ROOM_COLORS.some((color) => color.id === room.color)) {
+    const usedColors = new Set(otherRooms.map((candidate) => candidate.color));
+    room.color = (
+      ROOM_COLORS.find((color) => !usedColors.has(color.id)) ||
+      ROOM_COLORS[Math.max(rooms.indexOf(room), 0) % ROOM_COLORS.length]
+    ).id;
+  }
+};
+
+// Items are numbered per room ("room") or across the whole house ("house").
+const NUMBERING_MODES = ["room", "house"];
+
+const getNumberingMode = (inventory) =>
+  NUMBERING_MODES.includes(inventory.numberingMode) ? inventory.numberingMode : "room";
+
+const nextItemNumber = (inventory, room) => {
+  const numberedItems =
+    getNumberingMode(inventory) === "house"
+      ? inventory.rooms.flatMap((candidate) => candidate.items)
+      : room.items;
+  return (
+    numberedItems.reduce(
+      (highest, item) =>
+        Number.isInteger(item.itemNumber) ? Math.max(highest, item.itemNumber) : highest,
+      0
+    ) + 1
+  );
+};
+
+const assignMissingItemNumbers = (inventory) => {
+  inventory.rooms.forEach((room) =>
+    room.items.forEach((item) => {
+      if (!Number.isInteger(item.itemNumber) || item.itemNumber < 1) {
+        item.itemNumber = nextItemNumber(inventory, room);
+      }
+    })
+  );
+};
+
+// "KIT-014": the room code plus the item number movers write on their sheets.
+const formatItemTag = (room, item) =>
+  Number.isInteger(item.itemNumber)
+    ? `${room.code}-${String(item.itemNumber).padStart(3, "0")}`
+    : room.code;
+
+// Items saved before categorySource existed only count as inferred when they fell
+// through to Miscellaneous, so no category someone chose is ever replaced.
+const resolveCategorySource = (item) => {
+  if (item.categorySource === "auto" || item.categorySource === "manual") {
+    return item.categorySource;
+  }
+  return item.category && item.category !== "Miscellaneous" ? "manual" : "auto";
+};
+
+// Items whose category was inferred (categorySource "auto") follow the catalog and
+// the household's keyword rules; a category picked by hand is never overridden.
+const ensureItemDefaults = (item) => {
+  item.categorySource = resolveCategorySource(item);
+  if (item.categorySource === "auto") {
+    const inferredCategory = inferCategoryFromLabel(item.label);
+    if (item.category && inferredCategory !== item.category) {
+      // Weights and volumes typed in by hand survive the new category.
+      const previousDefinition = getCategoryDefinition(item.category);
+      if (item.weight === previousDefinition.defaultWeight) {
+        delete item.weight;
+      }
+      if (item.volume === previousDefinition.defaultVolume) {
+        delete item.volume;
+      }
+    }
+    item.category = inferredCategory;
+  }
+  const categoryDefinition = getCategoryDefinition(item.category);
+  item.weight = coerceWeight(item.weight, categoryDefinition.defaultWeight);
+  item.volume = coerceVolume(item.volume, categoryDefinition.defaultVolume);
+  item.quantity = coerceQuantity(item.quantity, 1);
+  if (typeof item.includeInEstimate !== "boolean") {
+    item.includeInEstimate = true;
+  }
+  // High-value flag defaults to false so existing inventories remain valid.
+  if (typeof item.isHighValue !== "boolean") {
+    item.isHighValue = false;
+  }
+  if (!item.editMode) {
+    item.editMode = null;
+  }
+};
+
+// Gives every room and item a unique id, keeping existing ids unless they collide.
+const assignInventoryIds = (inventory, { regenerate = false } = {}) => {
+  const seenIds = new Set();
+  const claimId = (currentId, prefix) => {
+    const id =
+      !regenerate && typeof currentId === "string" && currentId && !seenIds.has(currentId)
+        ? currentId
+        : createRecordId(prefix);
+    seenIds.add(id);
+    return id;
+  };
+  return {
+    ...inventory,
+    rooms: inventory.rooms.map((room) => ({
+      ...room,
+      id: claimId(room.id, "room"),
+      items: room.items.map((item) => ({ ...item, id: claimId(item.id, "item") })),
+    })),
+  };
+};
+
+registerStorageSchema(INVENTORY_KEY, {
+  label: "move inventory",
+  perProfile: true,
+  version: 7,
+  createEmpty: () => ({ rooms: [] }),
+  isValid: (inventory) =>
+    isPlainObject(inventory) &&
+    Array.isArray(inventory.rooms) &&
+    inventory.rooms.every(
+      (room) =>
+        isPlainObject(room) &&
+        typeof room.id === "string" &&
+        typeof room.name === "string" &&
+        typeof room.code === "string" &&
+        typeof room.color === "string" &&
+        Array.isArray(room.photoIds) &&
+        Array.isArray(room.items) &&
+        room.items.every(
+          (item) =>
+            isPlainObject(item) &&
+            typeof item.id === "string" &&
+            Array.isArray(item.photoIds) &&
+            Number.isInteger(item.quantity)
+        )
+    ),
+  // Each step is written out for the shape at its version rather than calling the
+  // live helpers, so an old record upgrades the same way whatever the current
+  // catalog, defaults, or household settings are.
+  migrations: [
+    // v0 → v1: fill the item defaults (category, weight, estimate and high-value
+    // flags) that ensureItemDefaults used to patch in silently on every render,
+    // using the categories and keyword checks v1 shipped with.
+    (inventory) => {
+      if (!isPlainObject(inventory)) {
+        throw new Error("The inventory is not an object.");
+      }
+      // In inference order: the first category with a keyword in the name wins.
+      const v1Categories = [
+        { label: "Moving Box", defaultWeight: 40, keywords: ["box"] },
+        { label: "Couch / Sofa", defaultWeight: 250, keywords: ["sofa", "couch"] },
+        { label: "Bed", defaultWeight: 175, keywords: ["bed"] },
+        { label: "Dresser", defaultWeight: 150, keywords: ["dresser"] },
+        { label: "Table", defaultWeight: 200, keywords: ["table"] },
+        {
+          label: "Appliance",
+          defaultWeight: 300,
+          keywords: ["fridge", "refrigerator", "appliance"],
+        },
+        { label: "Chair", defaultWeight: 40, keywords: ["chair"] },
+        { label: "Miscellaneous", defaultWeight: 40, keywords: [] },
+      ];
+      const miscellaneous = v1Categories[v1Categories.length - 1];
+      const rooms = Array.isArray(inventory.rooms) ? inventory.rooms : [];
+      return {
+        ...inventory,
+        rooms: rooms.map((room) => ({
+          ...room,
+          name: String(room.name ?? ""),
+          items: (Array.isArray(room.items) ? room.items : []).map((item) => {
+            const label = String(item.label ?? "");
+            const normalizedLabel = label.trim().toLowerCase();
+            const category =
+              item.category ||
+              (
+                v1Categories.find((candidate) =>
+                  candidate.keywords.some((keyword) => normalizedLabel.includes(keyword))
+                ) || miscellaneous
+              ).label;
+            const definition =
+              v1Categories.find((candidate) => candidate.label === category) ||
+              miscellaneous;
+            const weight = Number(item.weight);
+            const upgradedItem = {
+              ...item,
+              label,
+              category,
+              weight: Number.isFinite(weight) && weight > 0 ? weight : definition.defaultWeight,
+              includeInEstimate:
+                typeof item.includeInEstimate === "boolean" ? item.includeInEstimate : true,
+              isHighValue: typeof item.isHighValue === "boolean" ? item.isHighValue : false,
+            };
+            delete upgradedItem.editMode;
+            return upgradedItem;
+          }),
+        })),
+      };
+    },
+    // v1 → v2: rooms and items get persistent ids so actions no longer rely on
+    // array positions. Missing or repeated ids get a new one.
+    (inventory) => {
+      const seenIds = new Set();
+      const claimId = (currentId, prefix) => {
+        const id =
+          typeof currentId === "string" && currentId && !seenIds.has(currentId)
+            ? currentId
+            : createRecordId(prefix);
+        seenIds.add(id);
+        return id;
+      };
+      return {
+        ...inventory,
+        rooms: inventory.rooms.map((room) => ({
+          ...room,
+          id: claimId(room.id, "room"),
+          items: room.items.map((item) => ({ ...item, id: claimId(item.id, "item") })),
+        })),
+      };
+    },
+    // v2 → v3: rooms and items list the ids of their photos stored in IndexedDB.
+    (inventory) => {
+      const keepPhotoIds = (photoIds) =>
+        Array.isArray(photoIds) ? photoIds.filter((photoId) => typeof photoId === "string") : [];
+      return {
+        ...inventory,
+        rooms: inventory.rooms.map((room) => ({
+          ...room,
+          photoIds: keepPhotoIds(room.photoIds),
+          items: room.items.map((item) => ({
+            ...item,
+            photoIds: keepPhotoIds(item.photoIds),
+          })),
+        })),
+      };
+    },
+    // v3 → v4: items carry an estimated volume in cubic feet for truck sizing,
+    // defaulting to the v4 cube-sheet value for their category.
+    (inventory) => {
+      const v4DefaultVolumes = {
+        "Moving Box": 3,
+        "Couch / Sofa": 50,
+        Chair: 10,
+        Bed: 60,
+        Dresser: 30,
+        Table: 30,
+        Appliance: 45,
+        "Professional Gear (PBP&E)": 3,
+        Miscellaneous: 5,
+      };
+      return {
+        ...inventory,
+        rooms: inventory.rooms.map((room) => ({
+          ...room,
+          items: room.items.map((item) => {
+            const volume = Number(item.volume);
+            return {
+              ...item,
+              volume:
+                Number.isFinite(volume) && volume > 0
+                  ? volume
+                  : v4DefaultVolumes[item.category] || v4DefaultVolumes.Miscellaneous,
+            };
+          }),
+        })),
+      };
+    },
+    // v4 → v5: items record whether their category was inferred or picked. Only
+    // items that fell through to Miscellaneous count as inferred, so no category
+    // someone chose is ever replaced.
+    (inventory) => ({
+      ...inventory,
+      rooms: inventory.rooms.map((room) => ({
+        ...room,
+        items: room.items.map((item) => ({
+          ...item,
+          categorySource:
+            item.categorySource === "auto" || item.categorySource === "manual"
+              ? item.categorySource
+              : item.category && item.category !== "Miscellaneous"
+                ? "manual"
+                : "auto",
+        })),
+      })),
+    }),
+    // v5 → v6: items carry a quantity so one row can stand for many identical
+    // things; anything that is not a whole number from 1 to 999 becomes 1.
+    (inventory) => ({
+      ...inventory,
+      rooms: inventory.rooms.map((room) => ({
+        ...room,
+        items: room.items.map((item) => {
+          const quantity = Math.floor(Number(item.quantity));
+          return {
+            ...item,
+            quantity: Number.isFinite(quantity) && quantity >= 1 ? Math.min(quantity, 999) : 1,
+          };
+        }),
+      })),
+    }),
+    // v6 → v7: rooms get a color and short code, and items a number for box tags.
+    // Codes come from the room name ("Bedroom 2" becomes BED2, repeats get a
+    // number), each room takes the first of the v7 colors no other room uses, and
+    // items are numbered per room in their saved order.
+    (inventory) => {
+      const v7ColorIds = [
+        "red",
+        "blue",
+        "green",
+        "yellow",
+        "orange",
+        "purple",
+        "pink",
+        "teal",
+        "brown",
+        "gray",
+      ];
+      const toCode = (value) =>
+        String(value ?? "")
+          .toUpperCase()
+          .replace(/[^A-Z0-9]/g, "")
+          .slice(0, 4);
+      const rooms = inventory.rooms.map((room) => ({
+        ...room,
+        items: room.items.map((item) => ({ ...item })),
+      }));
+      rooms.forEach((room, roomIndex) => {
+        const otherRooms = rooms.filter((candidate) => candidate !== room);
+        room.code = toCode(room.code);
+        if (!room.code) {
+          const takenCodes = otherRooms.map((candidate) => candidate.code).filter(Boolean);
+          const name = String(room.name ?? "");
+          const letters = toCode(name.replace(/[0-9]/g, "")).slice(0, 3) || "RM";
+          room.code = toCode(`${letters}${(name.match(/[0-9]+/) || [""])[0]}`);
+          for (let suffix = 2; takenCodes.includes(room.code); suffix += 1) {
+            room.code = toCode(`${letters.slice(0, 4 - String(suffix).length)}${suffix}`);
+          }
+        }
+        if (!v7ColorIds.includes(room.color)) {
+          const usedColors = otherRooms.map((candidate) => candidate.color);
+          room.color =
+            v7ColorIds.find((colorId) => !usedColors.includes(colorId)) ||
+            v7ColorIds[roomIndex % v7ColorIds.length];
+        }
+        room.items.forEach((item) => {
+          if (!Number.isInteger(item.itemNumber) || item.itemNumber < 1) {
+            item.itemNumber =
+              room.items.reduce(
+                (highest, candidate) =>
+                  Number.isInteger(candidate.itemNumber)
+                    ? Math.max(highest, candidate.itemNumber)
+                    : highest,
+                0
+              ) + 1;
+          }
+        });
+      });
+      return { ...inventory, rooms };
+    },
+  ],
+});
+
+// Inventory UI helpers are initialized only when the page includes the module elements.
+const inventorySearch = document.querySelector("#inventory-search");
+const roomForm = document.querySelector("#room-form");
+const roomNameInput = document.querySelector("#room-name");
+const roomsContainer = document.querySelector("#rooms-container");
+const totalWeightDisplay = document.querySelector("#total-weight");
+const highValueList = document.querySelector("#high-value-list");
+const highValueEmpty = document.querySelector("#high-value-empty");
+const undoInventoryButton = document.querySelector("#undo-inventory");
+const redoInventoryButton = document.querySelector("#redo-inventory");
+const batchBar = document.querySelector("#inventory-batch-bar");
+const batchCount = document.querySelector("#inventory-batch-count");
+const batchRoomSelect = document.querySelector("#batch-room-select");
+const batchCategorySelect = document.querySelector("#batch-category-select");
+const batchWeightInput = document.querySelector("#batch-weight-input");
+const labelBatchPrint = document.querySelector("#label-batch-print");
+const openLabelSheetsButton = document.querySelector("#open-label-sheets");
+const labelSheetPanel = document.querySelector("#label-sheet-panel");
+const labelSheetSummary = document.querySelector("#label-sheet-summary");
+const labelSheetRoomSelect = document.querySelector("#label-sheet-room");
+const labelSheetSelectionLabel = document.querySelector(
+  "#label-sheet-selection-label"
+);
+const labelSheetPresetSelect = document.querySelector("#label-sheet-preset");
+const labelSheetColumnsInput = document.querySelector("#label-sheet-columns");
+const labelSheetRowsInput = document.querySelector("#label-sheet-rows");
+const labelSheetMarginInput = document.querySelector("#label-sheet-margin");
+const labelSheetGapInput = document.querySelector("#label-sheet-gap");
+const printLabelSheetsButton = document.querySelector("#print-label-sheets");
+const downloadLabelSheetsButton = document.querySelector(
+  "#download-label-sheets"
+);
+const closeLabelSheetsButton = document.querySelector("#close-label-sheets");
+const boxLookupForm = document.querySelector("#box-lookup-form");
+const boxLookupInput = document.querySelector("#box-lookup-input");
+const boxLookupResult = document.querySelector("#box-lookup-result");
+const boxScanButton = document.querySelector("#box-scan-button");
+const boxScanner = document.querySelector("#box-scanner");
+const boxScannerVideo = document.querySelector("#box-scanner-video");
+const boxScannerStopButton = document.querySelector("#box-scanner-stop");
+const deliveryToggleButton = document.querySelector("#toggle-delivery-mode");
+const deliveryPanel = document.querySelector("#delivery-panel");
+const deliverySummary = document.querySelector("#delivery-summary");
+const deliveryHighValue = document.querySelector("#delivery-high-value");
+const deliveryFilterSelect = document.querySelector("#delivery-filter");
+const deliveryRoomsContainer = document.querySelector("#delivery-rooms");
+const closeDeliveryButton = document.querySelector("#close-delivery-mode");
+const totalVolumeDisplay = document.querySelector("#total-volume");
+const vehicleFitSummary = document.querySelector("#vehicle-fit-summary");
+const vehicleFitList = document.querySelector("#vehicle-fit-list");
+const allowanceSection = document.querySelector("#weight-allowance");
+const allowanceGradeSelect = document.querySelector("#allowance-grade");
+const allowanceDependentsSelect = document.querySelector("#allowance-dependents");
+const allowanceMarginInput = document.querySelector("#allowance-margin");
+const allowanceStatus = document.querySelector("#allowance-status");
+const allowanceMeter = document.querySelector("#allowance-meter");
+const allowanceTotals = document.querySelector("#allowance-totals");
+const allowanceRooms = document.querySelector("#allowance-rooms");
+const allowanceSource = document.querySelector("#allowance-source");
+const photoViewer = document.querySelector("#photo-viewer");
+const photoViewerTitle = document.querySelector("#photo-viewer-title");
+const photoViewerMeta = document.querySelector("#photo-viewer-meta");
+const photoViewerImage = document.querySelector("#photo-viewer-image");
+const photoViewerPrevButton = document.querySelector("#photo-viewer-prev");
+const photoViewerNextButton = document.querySelector("#photo-viewer-next");
+const photoViewerDeleteButton = document.querySelector("#photo-viewer-delete");
+const photoViewerCloseButton = document.querySelector("#photo-viewer-close");
+const photoStorageMeter = document.querySelector("#photo-storage-meter");
+const photoStorageSummary = document.querySelector("#photo-storage-summary");
+const cleanUpPhotosButton = document.querySelector("#clean-up-photos");
+const numberingModeSelect = document.querySelector("#numbering-mode");
+const renumberItemsButton = document.querySelector("#renumber-items");
+const printRoomSignsButton = document.querySelector("#print-room-signs");
+const openCategorySettingsButton = document.querySelector("#open-category-settings");
+const categorySettingsPanel = document.querySelector("#category-settings");
+const customCategoryList = document.querySelector("#custom-category-list");
+const customCategoryForm = document.querySelector("#custom-category-form");
+const categoryRuleList = document.querySelector("#category-rule-list");
+const categoryRuleForm = document.querySelector("#category-rule-form");
+const categoryRuleSelect = document.querySelector("#category-rule-select");
+const categorySettingsStatus = document.querySelector("#category-settings-status");
+const categoryCatalogRows = document.querySelector("#category-catalog-rows");
+const closeCategorySettingsButton = document.querySelector("#close-category-settings");
+
+// Common US Letter shipping-label sheets; measurements are in inches.
+const LABEL_SHEET_PRESETS = [
+  { id: "2-up", label: "2 per sheet (8.5 × 5.5 in)", columns: 1, rows: 2, margin: 0.25, gap: 0.25 },
+  { id: "4-up", label: "4 per sheet (4.25 × 5.5 in)", columns: 2, rows: 2, margin: 0.25, gap: 0.2 },
+  { id: "6-up", label: "6 per sheet (4 × 3.33 in)", columns: 2, rows: 3, margin: 0.5, gap: 0.125 },
+  { id: "10-up", label: "10 per sheet (4 × 2 in)", columns: 2, rows: 5, margin: 0.5, gap: 0.125 },
+];
+
+// Delivery check-in outcomes stored as item.delivery; items without one are still expected.
+const DELIVERY_STATUSES = [
+  { id: "delivered", label: "Delivered" },
+  { id: "missing", label: "Missing" },
+  { id: "damaged", label: "Damaged" },
+];
+
+// The JTR table comes from weight-allowances.js; pages without it skip the tracker.
+const weightAllowanceTable =
+  typeof WEIGHT_ALLOWANCE_TABLE === "undefined" ? null : WEIGHT_ALLOWANCE_TABLE;
+// Movers' packing material adds weight the inventory does not list.
+const DEFAULT_ALLOWANCE_MARGIN = 10;
+
+// Typical rental capacities in cubic feet for PPM (DITY) moves.
+const MOVING_VEHICLES = [
+  { label: "10 ft truck", type: "truck", capacity: 400 },
+  { label: "15 ft truck", type: "truck", capacity: 760 },
+  { label: "20 ft truck", type: "truck", capacity: 1015 },
+  { label: "26 ft truck", type: "truck", capacity: 1680 },
+  { label: "8 ft container", type: "container", capacity: 385 },
+  { label: "12 ft container", type: "container", capacity: 660 },
+  { label: "16 ft container", type: "container", capacity: 830 },
+];
+// Furniture never packs perfectly, so recommendations leave 10% of the space free.
+const VEHICLE_USABLE_FILL = 0.9;
+
+// Smallest vehicle of a type that fits, or several of the largest when none does.
+const recommendVehicle = (volume, type) => {
+  const options = MOVING_VEHICLES.filter((vehicle) => vehicle.type === type);
+  const fit = options.find((vehicle) => volume <= vehicle.capacity * VEHICLE_USABLE_FILL);
+  if (fit) {
+    return { vehicle: fit, count: 1 };
+  }
+  const largest = options[options.length - 1];
+  return {
+    vehicle: largest,
+    count: Math.ceil(volume / (largest.capacity * VEHICLE_USABLE_FILL)),
+  };
+};
+
+const formatPounds = (pounds) => `${Math.round(pounds).toLocaleString("en-US")} lbs`;
+
+// Undo history lives in sessionStorage so it survives reloads but not new sessions.
+const INVENTORY_HISTORY_KEY = "pcs-inventory-history";
+const INVENTORY_HISTORY_LIMIT = 50;
+
+if (inventorySearch && roomForm && roomNameInput && roomsContainer) {
+  let inventory = loadInventory();
+  let currentQuery = "";
+  let activeLabelItemId = null;
+  // Track which item's action menu is open so toggles stay scoped per item.
+  let activeMenuItemId = null;
+  let activeRoomMenuId = null;
+  let openRoomIds = new Set();
+  // Selection spans rooms and survives search filtering; it is never persisted.
+  const selectedItemIds = new Set();
+  // "Find a box" keeps showing the looked-up item while the inventory changes.
+  let lookupItemId = null;
+  let lookupQuery = "";
+  // Delivery check-in swaps the room cards for a tick-off list; it is never persisted.
+  let deliveryMode = false;
+
+  // Rooms and items are always looked up by id so filtered views stay safe.
+  const findRoom = (roomId) =>
+    inventory.rooms.find((room) => room.id === roomId) || null;
+
+  const findItemContext = (itemId) => {
+    for (const room of inventory.rooms) {
+      const item = room.items.find((candidate) => candidate.id === itemId);
+      if (item) {
+        return { room, item };
+      }
+    }
+    return null;
+  };
+
+  // Options are grouped like the catalog; a category that no longer exists (a
+  // removed household category) stays listed so the item keeps its value.
+  const buildCategoryOptions = (selectedCategory, { autoOption = false } = {}) => {
+    const groups = new Map();
+    getCategoryCatalog().forEach((category) => {
+      const options = groups.get(category.group) || [];
+      options.push(
+        `<option value="${escapeHtml(category.label)}" ${
+          category.label === selectedCategory ? "selected" : ""
+        }>${escapeHtml(category.label)}</option>`
+      );
+      groups.set(category.group, options);
+    });
+    const missingOption =
+      selectedCategory && !findCategoryDefinition(selectedCategory)
+        ? `<option value="${escapeHtml(selectedCategory)}" selected>${escapeHtml(
+            selectedCategory
+          )}</option>`
+        : "";
+    return [
+      autoOption
+        ? `<option value="" ${selectedCategory ? "" : "selected"}>Auto-detect from name</option>`
+        : "",
+      missingOption,
+      ...Array.from(groups, ([group, options]) =>
+        `<optgroup label="${escapeHtml(group)}">${options.join("")}</optgroup>`
+      ),
+    ].join("");
+  };
+
+  const buildRoomOptions = (selectedRoomId) =>
+    inventory.rooms
+      .map(
+        (room) =>
+          `<option value="${room.id}" ${
+            room.id === selectedRoomId ? "selected" : ""
+          }>${escapeHtml(room.name)}</option>`
+      )
+      .join("");
+
+  const buildRoomColorStyle = (room) => {
+    const color = getRoomColor(room.color);
+    return `--room-color: ${color.hex}; --room-ink: ${color.ink}`;
+  };
+
+  const buildRoomColorOptions = (selectedColor) =>
+    ROOM_COLORS.map(
+      (color) =>
+        `<option value="${color.id}" ${color.id === selectedColor ? "selected" : ""}>${
+          color.label
+        }</option>`
+    ).join("");
+
+  // Per-room numbers restart in the new room; house-wide numbers travel with the item.
+  const renumberMovedItem = (item, destinationRoom) => {
+    if (getNumberingMode(inventory) === "room") {
+      item.itemNumber = nextItemNumber(inventory, destinationRoom);
+    }
+  };
+
+  // Totals weight and volume together since both skip excluded items.
+  const recalculateWeights = () => {
+    let totalWeight = 0;
+    let totalVolume = 0;
+    inventory.rooms.forEach((room) => {
+      let roomWeight = 0;
+      let roomVolume = 0;
+      room.items.forEach((item) => {
+        if (item.includeInEstimate) {
+          roomWeight += item.weight * item.quantity;
+          roomVolume += item.volume * item.quantity;
+        }
+      });
+      room.roomWeight = Math.round(roomWeight);
+      room.roomVolume = Math.round(roomVolume);
+      totalWeight += room.roomWeight;
+      totalVolume += room.roomVolume;
+    });
+    inventory.totalWeight = Math.round(totalWeight);
+    inventory.totalVolume = Math.round(totalVolume);
+  };
+
+  // History entries are serialized snapshots of the inventory before each change.
+  const historyStorageKey = `${INVENTORY_HISTORY_KEY}:${activeProfileId}`;
+  const serializeInventory = () => JSON.stringify(inventory, inventoryReplacer);
+
+  const loadHistory = () => {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(historyStorageKey));
+      if (
+        isPlainObject(stored) &&
+        Array.isArray(stored.undo) &&
+        Array.isArray(stored.redo) &&
+        typeof stored.current === "string"
+      ) {
+        return stored;
+      }
+    } catch (error) {
+      console.warn("Unable to read inventory undo history.", error);
+    }
+    return { undo: [], redo: [], current: null };
+  };
+
+  let history = loadHistory();
+  let lastSnapshot = null;
+  // Consecutive edits with the same tag (typing in one label field) share one undo step.
+  let lastHistoryTag = null;
+
+  const updateHistoryButtons = () => {
+    if (undoInventoryButton) {
+      undoInventoryButton.disabled = history.undo.length === 0;
+    }
+    if (redoInventoryButton) {
+      redoInventoryButton.disabled = history.redo.length === 0;
+    }
+  };
+
+  const saveHistory = () => {
+    history.current = lastSnapshot;
+    try {
+      sessionStorage.setItem(historyStorageKey, JSON.stringify(history));
+    } catch (error) {
+      // Drop the oldest half and retry once if session storage is full.
+      history.undo = history.undo.slice(Math.floor(history.undo.length / 2));
+      try {
+        sessionStorage.setItem(historyStorageKey, JSON.stringify(history));
+      } catch (retryError) {
+        console.warn("Unable to save inventory undo history.", retryError);
+      }
+    }
+    updateHistoryButtons();
+  };
+
+  const recordHistory = (historyTag) => {
+    const snapshot = serializeInventory();
+    if (lastSnapshot === null) {
+      // History from an earlier page load only applies if the data is unchanged.
+      if (history.current !== snapshot) {
+        history = { undo: [], redo: [], current: null };
+      }
+      lastSnapshot = snapshot;
+      saveHistory();
+      return;
+    }
+    if (snapshot === lastSnapshot) {
+      return;
+    }
+    if (!historyTag || historyTag !== lastHistoryTag) {
+      history.undo.push(lastSnapshot);
+      history.undo = history.undo.slice(-INVENTORY_HISTORY_LIMIT);
+    }
+    history.redo = [];
+    lastHistoryTag = historyTag || null;
+    lastSnapshot = snapshot;
+    saveHistory();
+  };
+
+  const syncInventoryState = (historyTag) => {
+    recalculateWeights();
+    // Persist checkbox state so inclusion choices survive page reloads.
+    saveInventory(inventory);
+    recordHistory(historyTag);
+  };
+
+  // Saves changes that should not become an undo step, like filled-in label defaults.
+  const saveInventoryBaseline = () => {
+    saveInventory(inventory);
+    if (lastSnapshot !== null) {
+      lastSnapshot = serializeInventory();
+      saveHistory();
+    }
+  };
+
+  const refreshActiveLabelPanel = () => {
+    if (!labelPanel || labelPanel.hidden) {
+      return;
+    }
+    const context = getActiveLabelContext();
+    if (!context) {
+      return;
+    }
+    const settings = ensureLabelSettings(context.room, context.item);
+    syncLabelInputs(settings);
+    applyLabelPreview(settings, context.item);
+  };
+
+  const closeItemMenus = () => {
+    roomsContainer
+      .querySelectorAll(".inventory-item-menu .item-menu-dropdown")
+      .forEach((menu) => {
+        menu.hidden = true;
+      });
+    roomsContainer
+      .querySelectorAll(".inventory-item-menu .item-menu-trigger")
+      .forEach((button) => {
+        button.setAttribute("aria-expanded", "false");
+      });
+    activeMenuItemId = null;
+  };
+
+  // Keep room-level menus isolated from item menus.
+  const closeRoomMenus = () => {
+    roomsContainer
+      .querySelectorAll(".inventory-room-menu .item-menu-dropdown")
+      .forEach((menu) => {
+        menu.hidden = true;
+      });
+    roomsContainer
+      .querySelectorAll(".inventory-room-menu .item-menu-trigger")
+      .forEach((button) => {
+        button.setAttribute("aria-expanded", "false");
+      });
+    activeRoomMenuId = null;
+  };
+
+  // Per-item edit mode keeps move/rename controls contextual to the active action.
+  const setItemEditMode = (itemId, mode, itemCard) => {
+    const item = findItemContext(itemId)?.item;
+    if (!item) {
+      return;
+    }
+    item.editMode = mode;
+    if (!itemCard) {
+      return;
+    }
+    itemCard.querySelectorAll(".inventory-item-panel").forEach((panel) => {
+      panel.hidden = panel.dataset.panel !== mode;
+    });
+  };
+
+  // Room-level edit mode mirrors item panels for inline rename controls.
+  const setRoomEditMode = (roomId, mode, roomCard) => {
+    const room = findRoom(roomId);
+    if (!room) {
+      return;
+    }
+    room.editMode = mode;
+    if (!roomCard) {
+      return;
+    }
+    roomCard.querySelectorAll("[data-room-panel]").forEach((panel) => {
+      panel.hidden = panel.dataset.roomPanel !== mode;
+    });
+  };
+
+  const matchesItemQuery = (item, filteredQuery) =>
+    [item.label, item.notes || "", item.contents || ""].some((value) =>
+      normalize(value).includes(filteredQuery)
+    );
+
+  // Build the room inventory card with collapsible content and inline add-item form.
+  // Thumbnails plus camera and file buttons, shared by item and room cards.
+  const buildPhotoControls = (owner, ownerAttribute, ownerName) => `
+    <div class="inventory-photos">
+      ${
+        owner.photoIds.length === 0
+          ? ""
+          : `<ul class="photo-thumbnails">
+              ${owner.photoIds
+                .map(
+                  (photoId, index) => `
+                    <li>
+                      <button
+                        type="button"
+                        class="photo-thumbnail"
+                        data-action="view-photo"
+                        data-photo-id="${photoId}"
+                        ${ownerAttribute}="${owner.id}"
+                        aria-label="View photo ${index + 1} of ${escapeHtml(ownerName)}"
+                      >
+                        <img data-photo-id="${photoId}" alt="" />
+                      </button>
+                    </li>
+                  `
+                )
+                .join("")}
+            </ul>`
+      }
+      <div class="inventory-photo-actions">
+        <label class="label-action secondary photo-input-button">
+          Take photo
+          <input
+            type="file"
+            accept="image/*"
+            capture="environment"
+            data-photo-input
+            ${ownerAttribute}="${owner.id}"
+          />
+        </label>
+        <label class="label-action secondary photo-input-button">
+          Add photos
+          <input
+            type="file"
+            accept="image/*"
+            multiple
+            data-photo-input
+            ${ownerAttribute}="${owner.id}"
+          />
+        </label>
+      </div>
+    </div>
+  `;
+
+  const renderRoom = (room) => {
+    const filteredQuery = normalize(currentQuery);
+    const roomMatches = normalize(room.name).includes(filteredQuery);
+    const filteredItems = roomMatches
+      ? room.items
+      : room.items.filter((item) => matchesItemQuery(item, filteredQuery));
+
+    if (filteredQuery && !roomMatches && filteredItems.length === 0) {
+      return "";
+    }
+
+    const itemCount = room.items.length;
+    const itemsMarkup =
+      filteredItems.length === 0
+        ? `<p class="inventory-empty">No matching items yet.</p>`
+        : `<ul class="inventory-items">
+            ${filteredItems
+              .map((item) => {
+                const categoryOptions = buildCategoryOptions(item.category);
+                const isIncluded = item.includeInEstimate;
+                const isHighValue = item.isHighValue;
+                const editMode = item.editMode || null;
+                const isSelected = selectedItemIds.has(item.id);
+                const boxNumbering = getBoxNumbering(item);
                 return `
                   <li class="inventory-item ${
                     isIncluded ? "" : "inventory-item--excluded"
-                  }">
+                  } ${
+                    isSelected ? "inventory-item--selected" : ""
+                  }" data-item-id="${item.id}">
                     <div class="inventory-item-main">
                       <div class="inventory-item-header">
-                        <strong>${item.label}</strong>
+                        <label class="inventory-item-select">
+                          <input
+                            type="checkbox"
+                            data-select-item
+                            data-item-id="${item.id}"
+                            ${isSelected ? "checked" : ""}
+                          />
+                          <span class="room-code-chip" style="${buildRoomColorStyle(room)}">
+                            ${escapeHtml(formatItemTag(room, item))}
+                          </span>
+                          <strong>${escapeHtml(item.label)}</strong>
+                          ${
+                            item.quantity > 1
+                              ? `<span class="inventory-item-count">× ${item.quantity}</span>`
+                              : ""
+                          }
+                          ${
+                            boxNumbering
+                              ? `<span class="inventory-item-count">Box ${boxNumbering}</span>`
+                              : ""
+                          }
+                        </label>
                         <div class="inventory-item-menu">
                           <button
                             type="button"
                             class="item-menu-trigger"
                             data-action="toggle-item-menu"
-                            data-room-index="${roomIndex}"
-                            data-item-index="${itemIndex}"
+                            data-item-id="${item.id}"
                             aria-haspopup="true"
                             aria-expanded="false"
                             aria-label="Item options"
@@ -412,8 +3231,7 @@ if (inventorySearch && roomForm && roomNameInput && roomsContainer) {
                               class="item-menu-item"
                               data-action="open-panel"
                               data-panel="move"
-                              data-room-index="${roomIndex}"
-                              data-item-index="${itemIndex}"
+                              data-item-id="${item.id}"
                             >
                               Move to Another Room
                             </button>
@@ -422,17 +3240,27 @@ if (inventorySearch && roomForm && roomNameInput && roomsContainer) {
                               class="item-menu-item"
                               data-action="open-panel"
                               data-panel="rename"
-                              data-room-index="${roomIndex}"
-                              data-item-index="${itemIndex}"
+                              data-item-id="${item.id}"
                             >
                               Rename Item
                             </button>
+                            ${
+                              item.quantity > 1
+                                ? `<button
+                                    type="button"
+                                    class="item-menu-item"
+                                    data-action="split-item"
+                                    data-item-id="${item.id}"
+                                  >
+                                    Split into ${item.quantity} Numbered Boxes
+                                  </button>`
+                                : ""
+                            }
                             <button
                               type="button"
                               class="item-menu-item item-menu-item--danger"
                               data-action="delete-item"
-                              data-room-index="${roomIndex}"
-                              data-item-index="${itemIndex}"
+                              data-item-id="${item.id}"
                             >
                               Delete Item
                             </button>
@@ -441,33 +3269,57 @@ if (inventorySearch && roomForm && roomNameInput && roomsContainer) {
                       </div>
                       <div class="inventory-item-fields">
                         <label class="inventory-item-field">
-                          Category
+                          ${
+                            item.categorySource === "auto"
+                              ? `Category <span class="inventory-category-source">detected from name</span>`
+                              : "Category"
+                          }
                           <select
                             data-field="category"
-                            data-room-index="${roomIndex}"
-                            data-item-index="${itemIndex}"
+                            data-item-id="${item.id}"
                           >
                             ${categoryOptions}
                           </select>
                         </label>
                         <label class="inventory-item-field">
-                          Estimated weight (lbs)
+                          Quantity
+                          <input
+                            type="number"
+                            min="1"
+                            max="${MAX_ITEM_QUANTITY}"
+                            step="1"
+                            value="${item.quantity}"
+                            data-field="quantity"
+                            data-item-id="${item.id}"
+                          />
+                        </label>
+                        <label class="inventory-item-field">
+                          ${item.quantity > 1 ? "Estimated weight each (lbs)" : "Estimated weight (lbs)"}
                           <input
                             type="number"
                             min="1"
                             step="1"
                             value="${item.weight}"
                             data-field="weight"
-                            data-room-index="${roomIndex}"
-                            data-item-index="${itemIndex}"
+                            data-item-id="${item.id}"
+                          />
+                        </label>
+                        <label class="inventory-item-field">
+                          ${item.quantity > 1 ? "Estimated volume each (cu ft)" : "Estimated volume (cu ft)"}
+                          <input
+                            type="number"
+                            min="0.5"
+                            step="0.5"
+                            value="${item.volume}"
+                            data-field="volume"
+                            data-item-id="${item.id}"
                           />
                         </label>
                         <label class="inventory-item-field inventory-item-checkbox">
                           <input
                             type="checkbox"
                             data-field="include"
-                            data-room-index="${roomIndex}"
-                            data-item-index="${itemIndex}"
+                            data-item-id="${item.id}"
                             ${isIncluded ? "checked" : ""}
                           />
                           <span>Include in weight estimate</span>
@@ -476,18 +3328,27 @@ if (inventorySearch && roomForm && roomNameInput && roomsContainer) {
                           <input
                             type="checkbox"
                             data-field="high-value"
-                            data-room-index="${roomIndex}"
-                            data-item-index="${itemIndex}"
+                            data-item-id="${item.id}"
                             ${isHighValue ? "checked" : ""}
                           />
                           <span>High value item</span>
                         </label>
+                        <label class="inventory-item-field inventory-item-contents">
+                          Contents (one per line)
+                          <textarea
+                            rows="2"
+                            data-field="contents"
+                            data-item-id="${item.id}"
+                            placeholder="Plates&#10;Mugs&#10;Coffee maker"
+                          >${escapeHtml(item.contents || "")}</textarea>
+                        </label>
                       </div>
                       ${
                         item.notes
-                          ? `<p class="inventory-notes">${item.notes}</p>`
+                          ? `<p class="inventory-notes">${escapeHtml(item.notes)}</p>`
                           : ""
                       }
+                      ${buildPhotoControls(item, "data-item-id", item.label)}
                       <div
                         class="inventory-item-panel"
                         data-panel="move"
@@ -497,10 +3358,9 @@ if (inventorySearch && roomForm && roomNameInput && roomsContainer) {
                           Move to room
                           <select
                             data-move-select
-                            data-room-index="${roomIndex}"
-                            data-item-index="${itemIndex}"
+                            data-item-id="${item.id}"
                           >
-                            ${buildRoomOptions(roomIndex)}
+                            ${buildRoomOptions(room.id)}
                           </select>
                         </label>
                         <div class="inventory-item-panel-actions">
@@ -508,8 +3368,7 @@ if (inventorySearch && roomForm && roomNameInput && roomsContainer) {
                             type="button"
                             class="label-action secondary"
                             data-action="cancel-panel"
-                            data-room-index="${roomIndex}"
-                            data-item-index="${itemIndex}"
+                            data-item-id="${item.id}"
                           >
                             Cancel
                           </button>
@@ -517,8 +3376,7 @@ if (inventorySearch && roomForm && roomNameInput && roomsContainer) {
                             type="button"
                             class="label-action"
                             data-action="confirm-move"
-                            data-room-index="${roomIndex}"
-                            data-item-index="${itemIndex}"
+                            data-item-id="${item.id}"
                           >
                             Move Item
                           </button>
@@ -533,10 +3391,9 @@ if (inventorySearch && roomForm && roomNameInput && roomsContainer) {
                           New item name
                           <input
                             type="text"
-                            value="${item.label}"
+                            value="${escapeHtml(item.label)}"
                             data-rename-input
-                            data-room-index="${roomIndex}"
-                            data-item-index="${itemIndex}"
+                            data-item-id="${item.id}"
                           />
                         </label>
                         <div class="inventory-item-panel-actions">
@@ -544,8 +3401,7 @@ if (inventorySearch && roomForm && roomNameInput && roomsContainer) {
                             type="button"
                             class="label-action secondary"
                             data-action="cancel-panel"
-                            data-room-index="${roomIndex}"
-                            data-item-index="${itemIndex}"
+                            data-item-id="${item.id}"
                           >
                             Cancel
                           </button>
@@ -553,8 +3409,7 @@ if (inventorySearch && roomForm && roomNameInput && roomsContainer) {
                             type="button"
                             class="label-action"
                             data-action="confirm-rename"
-                            data-room-index="${roomIndex}"
-                            data-item-index="${itemIndex}"
+                            data-item-id="${item.id}"
                           >
                             Save Name
                           </button>
@@ -566,8 +3421,7 @@ if (inventorySearch && roomForm && roomNameInput && roomsContainer) {
                             type="button"
                             class="label-action"
                             data-action="view-label"
-                            data-room-index="${roomIndex}"
-                            data-item-index="${itemIndex}"
+                            data-item-id="${item.id}"
                           >
                             Edit Label
                           </button>
@@ -575,8 +3429,7 @@ if (inventorySearch && roomForm && roomNameInput && roomsContainer) {
                             type="button"
                             class="label-action secondary"
                             data-action="print-label"
-                            data-room-index="${roomIndex}"
-                            data-item-index="${itemIndex}"
+                            data-item-id="${item.id}"
                           >
                             Print Label
                           </button>
@@ -587,1166 +3440,6826 @@ if (inventorySearch && roomForm && roomNameInput && roomsContainer) {
                 `;
               })
               .join("")}
-          </ul>`;
+          </ul>`;
+
+    const shouldOpen = filteredQuery || openRoomIds.has(room.id);
+
+    return `
+      <details class="inventory-room" data-room-id="${room.id}" ${
+        shouldOpen ? "open" : ""
+      }>
+        <summary>
+          <div class="inventory-room-summary">
+            <div class="inventory-room-heading">
+              <span class="room-code-chip" style="${buildRoomColorStyle(room)}">
+                ${escapeHtml(room.code)}
+              </span>
+              <h3>${escapeHtml(room.name)}</h3>
+              <span class="inventory-room-meta">${itemCount} items</span>
+            </div>
+            <div class="inventory-room-menu">
+              <button
+                type="button"
+                class="item-menu-trigger"
+                data-action="toggle-room-menu"
+                data-room-id="${room.id}"
+                aria-haspopup="true"
+                aria-expanded="false"
+                aria-label="Room options"
+              >
+                ⋮
+              </button>
+              <div class="item-menu-dropdown" role="menu" hidden>
+                <button
+                  type="button"
+                  class="item-menu-item"
+                  data-action="open-room-panel"
+                  data-panel="rename"
+                  data-room-id="${room.id}"
+                >
+                  Rename room
+                </button>
+                <button
+                  type="button"
+                  class="item-menu-item"
+                  data-action="open-room-panel"
+                  data-panel="identity"
+                  data-room-id="${room.id}"
+                >
+                  Room color and code
+                </button>
+                <button
+                  type="button"
+                  class="item-menu-item"
+                  data-action="print-room-labels"
+                  data-room-id="${room.id}"
+                >
+                  Print room labels
+                </button>
+                <button
+                  type="button"
+                  class="item-menu-item item-menu-item--danger"
+                  data-action="delete-room"
+                  data-room-id="${room.id}"
+                >
+                  Delete room
+                </button>
+              </div>
+            </div>
+          </div>
+        </summary>
+        <div
+          class="inventory-room-panel inventory-item-panel"
+          data-room-panel="rename"
+          ${room.editMode === "rename" ? "" : "hidden"}
+        >
+          <label class="inventory-item-field">
+            New room name
+            <input
+              type="text"
+              value="${escapeHtml(room.name)}"
+              data-room-rename-input
+              data-room-id="${room.id}"
+            />
+          </label>
+          <div class="inventory-item-panel-actions">
+            <button
+              type="button"
+              class="label-action secondary"
+              data-action="cancel-room-panel"
+              data-room-id="${room.id}"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              class="label-action"
+              data-action="confirm-room-rename"
+              data-room-id="${room.id}"
+            >
+              Save Name
+            </button>
+          </div>
+        </div>
+        <div
+          class="inventory-room-panel inventory-item-panel"
+          data-room-panel="identity"
+          ${room.editMode === "identity" ? "" : "hidden"}
+        >
+          <div class="room-identity-fields">
+            <label class="inventory-item-field">
+              Room code
+              <input
+                type="text"
+                value="${escapeHtml(room.code)}"
+                maxlength="${ROOM_CODE_MAX_LENGTH}"
+                data-room-code-input
+                data-room-id="${room.id}"
+              />
+            </label>
+            <label class="inventory-item-field">
+              Color
+              <select data-room-color-select data-room-id="${room.id}">
+                ${buildRoomColorOptions(room.color)}
+              </select>
+            </label>
+          </div>
+          <div class="inventory-item-panel-actions">
+            <button
+              type="button"
+              class="label-action secondary"
+              data-action="cancel-room-panel"
+              data-room-id="${room.id}"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              class="label-action"
+              data-action="confirm-room-identity"
+              data-room-id="${room.id}"
+            >
+              Save Color and Code
+            </button>
+          </div>
+        </div>
+        ${buildPhotoControls(room, "data-room-id", room.name)}
+        <form class="inventory-form" data-room-id="${room.id}">
+          <label for="item-label-${room.id}">Add a box or item</label>
+          <input
+            id="item-label-${room.id}"
+            name="item-label"
+            type="text"
+            placeholder="Box 1 – Dishes"
+            required
+          />
+          <label for="item-quantity-${room.id}">How many</label>
+          <input
+            id="item-quantity-${room.id}"
+            name="item-quantity"
+            type="number"
+            min="1"
+            max="${MAX_ITEM_QUANTITY}"
+            step="1"
+            value="1"
+          />
+          <label for="item-category-${room.id}">Item category</label>
+          <select id="item-category-${room.id}" name="item-category">
+            ${buildCategoryOptions("", { autoOption: true })}
+          </select>
+          <label for="item-contents-${room.id}">Contents (optional, one per line)</label>
+          <textarea
+            id="item-contents-${room.id}"
+            name="item-contents"
+            placeholder="Plates&#10;Mugs&#10;Coffee maker"
+          ></textarea>
+          <label for="item-notes-${room.id}">Notes (optional)</label>
+          <textarea
+            id="item-notes-${room.id}"
+            name="item-notes"
+            placeholder="Fragile, open first, belongs upstairs"
+          ></textarea>
+          <button type="submit">Add Item</button>
+        </form>
+        <p class="inventory-room-weight">
+          Estimated Weight for ${escapeHtml(room.name)}: ${room.roomWeight} lbs ·
+          ${room.roomVolume} cu ft
+        </p>
+        ${
+          itemCount > 0
+            ? `<button
+                type="button"
+                class="link-button"
+                data-action="select-room"
+                data-room-id="${room.id}"
+              >
+                ${
+                  room.items.every((item) => selectedItemIds.has(item.id))
+                    ? "Clear selection in this room"
+                    : "Select all items in this room"
+                }
+              </button>`
+            : ""
+        }
+        ${itemsMarkup}
+      </details>
+    `;
+  };
+
+  // High-value summary list stays in sync with the inventory state.
+  const renderHighValueSummary = () => {
+    if (!highValueList || !highValueEmpty) {
+      return;
+    }
+    const highValueItems = [];
+    inventory.rooms.forEach((room) => {
+      room.items.forEach((item) => {
+        if (item.isHighValue) {
+          highValueItems.push({ item, roomName: room.name });
+        }
+      });
+    });
+
+    if (highValueItems.length === 0) {
+      highValueList.innerHTML = "";
+      highValueEmpty.hidden = false;
+      return;
+    }
+
+    highValueEmpty.hidden = true;
+    highValueList.innerHTML = highValueItems
+      .map(({ item, roomName }) => {
+        const weightLabel = Number.isFinite(item.weight)
+          ? `${item.weight} lbs`
+          : "";
+        return `
+          <li class="inventory-high-value-item" data-item-id="${item.id}">
+            <div class="inventory-high-value-details">
+              <strong>${escapeHtml(item.label)}</strong>
+              <span class="inventory-high-value-room">${escapeHtml(roomName)}</span>
+              <button
+                type="button"
+                class="link-button"
+                data-action="view-label"
+                data-item-id="${item.id}"
+              >
+                Edit Label
+              </button>
+            </div>
+            ${
+              weightLabel
+                ? `<span class="inventory-high-value-weight">${weightLabel}</span>`
+                : ""
+            }
+          </li>
+        `;
+      })
+      .join("");
+  };
+
+  // Allowance choices are saved as inventory.allowance alongside the rooms.
+  const getAllowanceSettings = () => {
+    const saved = isPlainObject(inventory.allowance) ? inventory.allowance : {};
+    const grade = weightAllowanceTable?.grades.find(
+      (candidate) => candidate.id === saved.grade
+    );
+    return {
+      grade: grade || null,
+      withDependents: saved.withDependents === true,
+      margin: clampNumber(saved.margin, 0, 50, DEFAULT_ALLOWANCE_MARGIN),
+    };
+  };
+
+  // PBP&E only comes off the total up to the table's limit; the rest counts.
+  const getAllowanceSummary = () => {
+    const settings = getAllowanceSettings();
+    const rooms = inventory.rooms.map((room) => ({
+      name: room.name,
+      weight: room.roomWeight || 0,
+      proGear: room.items
+        .filter(
+          (item) => item.includeInEstimate && getCategoryDefinition(item.category).isProGear
+        )
+        .reduce((total, item) => total + item.weight * item.quantity, 0),
+    }));
+    const proGear = rooms.reduce((total, room) => total + room.proGear, 0);
+    const proGearExcluded = Math.min(proGear, weightAllowanceTable.pbpeLimit);
+    const baseWeight = inventory.totalWeight - proGearExcluded;
+    const marginWeight = Math.round((baseWeight * settings.margin) / 100);
+    const countedWeight = baseWeight + marginWeight;
+    const allowance = settings.grade
+      ? settings.grade[settings.withDependents ? "withDependents" : "withoutDependents"]
+      : null;
+    return {
+      settings,
+      rooms,
+      proGear,
+      proGearExcluded,
+      marginWeight,
+      countedWeight,
+      allowance,
+    };
+  };
+
+  const renderWeightAllowance = () => {
+    if (!allowanceSection) {
+      return;
+    }
+    if (!weightAllowanceTable) {
+      allowanceSection.hidden = true;
+      return;
+    }
+    const summary = getAllowanceSummary();
+    const { settings, allowance, countedWeight } = summary;
+    allowanceGradeSelect.value = settings.grade?.id || "";
+    allowanceDependentsSelect.value = settings.withDependents ? "with" : "without";
+    allowanceMarginInput.value = settings.margin;
+
+    allowanceStatus.classList.remove(
+      "weight-allowance-status--under",
+      "weight-allowance-status--near",
+      "weight-allowance-status--over"
+    );
+    allowanceMeter.hidden = allowance === null;
+    if (allowance === null) {
+      allowanceStatus.textContent =
+        "Choose your pay grade to compare the estimate with your JTR allowance.";
+    } else {
+      const difference = allowance - countedWeight;
+      const ratio = countedWeight / allowance;
+      allowanceMeter.value = Math.min(1, ratio);
+      if (difference < 0) {
+        allowanceStatus.classList.add("weight-allowance-status--over");
+        allowanceStatus.textContent = `Over by ${formatPounds(
+          -difference
+        )}. Weight above your allowance is billed to you as excess cost.`;
+      } else {
+        allowanceStatus.classList.add(
+          ratio >= 0.9 ? "weight-allowance-status--near" : "weight-allowance-status--under"
+        );
+        allowanceStatus.textContent = `Under by ${formatPounds(difference)}${
+          ratio >= 0.9 ? ", but within 10% of your allowance" : ""
+        }.`;
+      }
+    }
+
+    const proGearOverflow = summary.proGear - summary.proGearExcluded;
+    const rows = [
+      ["Estimated weight", formatPounds(inventory.totalWeight)],
+      [
+        "PBP&E excluded",
+        `−${formatPounds(summary.proGearExcluded)}${
+          proGearOverflow > 0
+            ? ` (${formatPounds(proGearOverflow)} over the ${formatPounds(
+                weightAllowanceTable.pbpeLimit
+              )} limit still counts)`
+            : ""
+        }`,
+      ],
+      [`Packing material (+${settings.margin}%)`, `+${formatPounds(summary.marginWeight)}`],
+      ["Counted against allowance", formatPounds(countedWeight)],
+      ["JTR allowance", allowance === null ? "—" : formatPounds(allowance)],
+    ];
+    allowanceTotals.innerHTML = rows
+      .map(([label, value]) => `<div><dt>${label}</dt><dd>${value}</dd></div>`)
+      .join("");
+
+    allowanceRooms.innerHTML =
+      summary.rooms.length === 0
+        ? `<tr><td colspan="3">Add rooms to see a breakdown.</td></tr>`
+        : summary.rooms
+            .map(
+              (room) => `
+                <tr>
+                  <th scope="row">${escapeHtml(room.name)}</th>
+                  <td>${formatPounds(room.weight)}</td>
+                  <td>${room.proGear > 0 ? formatPounds(room.proGear) : "—"}</td>
+                </tr>
+              `
+            )
+            .join("");
+  };
+
+  if (allowanceSection && weightAllowanceTable) {
+    allowanceGradeSelect.innerHTML = [
+      `<option value="">Choose pay grade</option>`,
+      ...weightAllowanceTable.grades.map(
+        (grade) => `<option value="${grade.id}">${grade.label}</option>`
+      ),
+    ].join("");
+    allowanceSource.textContent = `Allowances from the ${weightAllowanceTable.source}. PBP&E up to ${formatPounds(
+      weightAllowanceTable.pbpeLimit
+    )} is not counted.`;
+
+    // Allowance choices are preferences, so they are saved without an undo step.
+    allowanceSection.addEventListener("change", () => {
+      inventory.allowance = {
+        grade: allowanceGradeSelect.value,
+        withDependents: allowanceDependentsSelect.value === "with",
+        margin: clampNumber(allowanceMarginInput.value, 0, 50, DEFAULT_ALLOWANCE_MARGIN),
+      };
+      saveInventoryBaseline();
+      renderWeightAllowance();
+    });
+  }
+
+  const renderVehicleFit = () => {
+    if (totalVolumeDisplay) {
+      totalVolumeDisplay.textContent = `${inventory.totalVolume.toLocaleString("en-US")} cu ft`;
+    }
+    if (!vehicleFitSummary || !vehicleFitList) {
+      return;
+    }
+    const volume = inventory.totalVolume;
+    if (volume === 0) {
+      vehicleFitSummary.textContent =
+        "Add items to see which truck or container fits your move.";
+      vehicleFitList.innerHTML = "";
+      return;
+    }
+    const recommendations = ["truck", "container"].map((type) =>
+      recommendVehicle(volume, type)
+    );
+    const describe = ({ vehicle, count }) =>
+      count === 1 ? vehicle.label : `${count} × ${vehicle.label}s`;
+    const fillPercent = ({ vehicle, count }) =>
+      Math.round((volume / (vehicle.capacity * count)) * 100);
+    vehicleFitSummary.textContent = `Recommended: ${describe(
+      recommendations[0]
+    )} (${fillPercent(recommendations[0])}% full) or ${describe(
+      recommendations[1]
+    )} (${fillPercent(recommendations[1])}% full).`;
+    vehicleFitList.innerHTML = MOVING_VEHICLES.map((vehicle) => {
+      const recommendation = recommendations.find(
+        (candidate) => candidate.vehicle === vehicle
+      );
+      const count = recommendation?.count || 1;
+      const fill = fillPercent({ vehicle, count });
+      return `
+        <li class="vehicle-fit-option ${
+          recommendation ? "vehicle-fit-option--recommended" : ""
+        } ${fill > 100 ? "vehicle-fit-option--too-small" : ""}">
+          <span class="vehicle-fit-label">
+            ${vehicle.label}
+            <span class="vehicle-fit-capacity">${vehicle.capacity.toLocaleString("en-US")} cu ft</span>
+          </span>
+          <meter min="0" max="100" low="90" high="100" optimum="50" value="${Math.min(
+            fill,
+            100
+          )}"></meter>
+          <span class="vehicle-fit-percent">${
+            fill > 100 ? "Too small" : `${count > 1 ? `${count} needed, ` : ""}${fill}% full`
+          }</span>
+        </li>
+      `;
+    }).join("");
+  };
+
+  // "Find a box" shows the full contents behind a scanned or typed box code.
+  const renderBoxLookup = () => {
+    if (!boxLookupResult) {
+      return;
+    }
+    if (!lookupQuery) {
+      boxLookupResult.hidden = true;
+      boxLookupResult.innerHTML = "";
+      return;
+    }
+    const context = lookupItemId ? findItemContext(lookupItemId) : null;
+    boxLookupResult.hidden = false;
+    if (!context) {
+      boxLookupResult.innerHTML = `
+        <p>No box in this move matches “${escapeHtml(lookupQuery)}”.</p>
+      `;
+      return;
+    }
+    const { room, item } = context;
+    const entries = parseBoxContents(item.contents);
+    boxLookupResult.innerHTML = `
+      <h3>${escapeHtml(item.label)}</h3>
+      <p class="box-lookup-meta">
+        ${escapeHtml(formatItemTag(room, item))} · ${escapeHtml(room.name)}${
+          getBoxNumbering(item) ? ` · Box ${getBoxNumbering(item)}` : ""
+        } · ${item.weight} lbs${item.isHighValue ? " · High value" : ""}
+      </p>
+      ${
+        entries.length > 0
+          ? `<ul class="box-lookup-contents">
+              ${entries.map((entry) => `<li>${escapeHtml(entry)}</li>`).join("")}
+            </ul>`
+          : `<p class="box-lookup-meta">No contents listed for this box yet.</p>`
+      }
+      ${
+        item.notes
+          ? `<p><strong>Notes:</strong> ${escapeHtml(item.notes)}</p>`
+          : ""
+      }
+      <button
+        type="button"
+        class="label-action secondary"
+        data-action="view-label"
+        data-item-id="${item.id}"
+      >
+        Edit Label
+      </button>
+    `;
+  };
+
+  // Accepts a scanned QR payload, a bare box code, or an item name.
+  const findBoxItemId = (query) => {
+    const codeMatch = query.match(BOX_CODE_PATTERN);
+    if (codeMatch) {
+      return findItemContext(codeMatch[0].toLowerCase())?.item.id || null;
+    }
+    const normalizedQuery = normalize(query);
+    for (const room of inventory.rooms) {
+      const item = room.items.find(
+        (candidate) =>
+          normalize(candidate.label) === normalizedQuery ||
+          normalize(formatItemTag(room, candidate)) === normalizedQuery
+      );
+      if (item) {
+        return item.id;
+      }
+    }
+    return null;
+  };
+
+  const showBoxLookup = (query) => {
+    lookupQuery = query.trim();
+    lookupItemId = lookupQuery ? findBoxItemId(lookupQuery) : null;
+    renderBoxLookup();
+  };
+
+  // Delivery check-in: every item by room, marked delivered, missing, or damaged.
+  const getDeliveryStatus = (item) =>
+    DELIVERY_STATUSES.find((status) => status.id === item.delivery?.status) || null;
+
+  const hasArrived = (item) =>
+    item.delivery?.status === "delivered" || item.delivery?.status === "damaged";
+
+  const formatRecordedAt = (value) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime())
+      ? ""
+      : date.toLocaleString("en-US", {
+          month: "short",
+          day: "numeric",
+          hour: "numeric",
+          minute: "2-digit",
+        });
+  };
+
+  // Check-in counts pieces, so a row of 12 chairs is 12 of the expected items.
+  const countPieces = (items) => items.reduce((total, item) => total + item.quantity, 0);
+
+  const getDeliveryCounts = () => {
+    const counts = { expected: 0, delivered: 0, missing: 0, damaged: 0, pending: 0 };
+    inventory.rooms.forEach((room) => {
+      room.items.forEach((item) => {
+        counts.expected += item.quantity;
+        counts[getDeliveryStatus(item)?.id || "pending"] += item.quantity;
+      });
+    });
+    return counts;
+  };
+
+  const matchesDeliveryFilter = (item, filter) => {
+    if (filter === "pending") {
+      return !getDeliveryStatus(item);
+    }
+    if (filter === "issues") {
+      return item.delivery?.status === "missing" || item.delivery?.status === "damaged";
+    }
+    return true;
+  };
+
+  const renderDeliveryItem = (room, item) => {
+    const status = getDeliveryStatus(item);
+    const recordedAt = status ? formatRecordedAt(item.delivery.recordedAt) : "";
+    const boxNumbering = getBoxNumbering(item);
+    const meta = [
+      formatItemTag(room, item),
+      item.category,
+      `${item.quantity > 1 ? `${item.quantity} × ` : ""}${item.weight} lbs`,
+      boxNumbering ? `Box ${boxNumbering}` : "",
+    ].filter(Boolean);
+    return `
+      <li
+        class="delivery-item delivery-item--${status ? status.id : "pending"} ${
+          item.isHighValue && !hasArrived(item) ? "delivery-item--flagged" : ""
+        }"
+        data-item-id="${item.id}"
+      >
+        <div class="delivery-item-heading">
+          <strong>${escapeHtml(item.label)}</strong>
+          <span class="inventory-room-meta">${escapeHtml(meta.join(" · "))}</span>
+          ${item.isHighValue ? `<span class="delivery-high-value-badge">High value</span>` : ""}
+        </div>
+        <div
+          class="delivery-status-actions"
+          role="group"
+          aria-label="Delivery status for ${escapeHtml(item.label)}"
+        >
+          ${DELIVERY_STATUSES.map(
+            (option) => `
+              <button
+                type="button"
+                class="delivery-status-button delivery-status-button--${option.id}"
+                data-delivery-status="${option.id}"
+                data-item-id="${item.id}"
+                aria-pressed="${status?.id === option.id}"
+              >
+                ${option.label}
+              </button>
+            `
+          ).join("")}
+        </div>
+        ${
+          status
+            ? `<p class="delivery-recorded">
+                ${status.label}${recordedAt ? ` · recorded ${recordedAt}` : ""}
+                <button
+                  type="button"
+                  class="link-button"
+                  data-delivery-status="clear"
+                  data-item-id="${item.id}"
+                >
+                  Clear
+                </button>
+              </p>`
+            : ""
+        }
+        ${
+          status && status.id !== "delivered"
+            ? `<label class="inventory-item-field">
+                ${status.id === "damaged" ? "Damage note" : "Note"}
+                <textarea
+                  rows="2"
+                  data-delivery-note
+                  data-item-id="${item.id}"
+                  placeholder="${
+                    status.id === "damaged"
+                      ? "Cracked screen, crushed corner, water damage"
+                      : "Last seen on the inventory sheet, line 42"
+                  }"
+                >${escapeHtml(item.delivery.note || "")}</textarea>
+              </label>`
+            : ""
+        }
+      </li>
+    `;
+  };
+
+  const renderDeliveryPanel = () => {
+    if (!deliveryPanel || !deliveryRoomsContainer) {
+      return;
+    }
+    deliveryPanel.hidden = !deliveryMode;
+    roomsContainer.hidden = deliveryMode;
+    if (deliveryToggleButton) {
+      deliveryToggleButton.setAttribute("aria-pressed", String(deliveryMode));
+    }
+    if (!deliveryMode) {
+      deliveryRoomsContainer.innerHTML = "";
+      return;
+    }
+
+    const counts = getDeliveryCounts();
+    if (deliverySummary) {
+      deliverySummary.innerHTML = `
+        <p class="delivery-count">
+          <strong>${counts.delivered + counts.damaged}</strong> of ${counts.expected} items received
+        </p>
+        <p class="delivery-breakdown">
+          ${counts.delivered} delivered · ${counts.damaged} damaged · ${counts.missing} missing ·
+          ${counts.pending} not checked in
+        </p>
+      `;
+    }
+
+    if (deliveryHighValue) {
+      const outstanding = [];
+      inventory.rooms.forEach((room) => {
+        room.items.forEach((item) => {
+          if (item.isHighValue && !hasArrived(item)) {
+            outstanding.push({ room, item });
+          }
+        });
+      });
+      deliveryHighValue.hidden = outstanding.length === 0;
+      deliveryHighValue.innerHTML = outstanding.length
+        ? `<strong>High-value items not received yet</strong>
+          <ul>
+            ${outstanding
+              .map(
+                ({ room, item }) =>
+                  `<li>${escapeHtml(item.label)} (${escapeHtml(room.name)})${
+                    item.delivery?.status === "missing" ? " – marked missing" : ""
+                  }</li>`
+              )
+              .join("")}
+          </ul>`
+        : "";
+    }
+
+    const filter = deliveryFilterSelect?.value || "all";
+    const filteredQuery = normalize(currentQuery);
+    const roomsMarkup = inventory.rooms
+      .map((room) => {
+        const roomMatches = normalize(room.name).includes(filteredQuery);
+        const items = room.items.filter(
+          (item) =>
+            (roomMatches || matchesItemQuery(item, filteredQuery)) &&
+            matchesDeliveryFilter(item, filter)
+        );
+        if (items.length === 0) {
+          return "";
+        }
+        const received = countPieces(room.items.filter(hasArrived));
+        return `
+          <section class="delivery-room" data-room-id="${room.id}">
+            <div class="inventory-room-heading">
+              <span class="room-code-chip" style="${buildRoomColorStyle(room)}">
+                ${escapeHtml(room.code)}
+              </span>
+              <h3>${escapeHtml(room.name)}</h3>
+              <span class="inventory-room-meta">${received} of ${countPieces(room.items)} received</span>
+            </div>
+            <ul class="delivery-items">
+              ${items.map((item) => renderDeliveryItem(room, item)).join("")}
+            </ul>
+          </section>
+        `;
+      })
+      .join("");
+    deliveryRoomsContainer.innerHTML =
+      roomsMarkup || `<p class="inventory-empty">No items match this view.</p>`;
+  };
+
+  const setDeliveryMode = (isActive) => {
+    deliveryMode = isActive;
+    closeItemMenus();
+    closeRoomMenus();
+    renderRooms();
+  };
+
+  const renderBatchBar = () => {
+    if (!batchBar) {
+      return;
+    }
+    batchBar.hidden = selectedItemIds.size === 0 || deliveryMode;
+    if (batchBar.hidden) {
+      return;
+    }
+    if (batchCount) {
+      batchCount.textContent = `${selectedItemIds.size} ${
+        selectedItemIds.size === 1 ? "item" : "items"
+      } selected`;
+    }
+    if (batchRoomSelect) {
+      const selectedRoomId = batchRoomSelect.value;
+      batchRoomSelect.innerHTML = buildRoomOptions(selectedRoomId);
+    }
+    if (batchCategorySelect) {
+      // Rebuilt each time so household categories added meanwhile show up.
+      const selectedCategory = batchCategorySelect.value || "Moving Box";
+      batchCategorySelect.innerHTML = buildCategoryOptions(selectedCategory);
+    }
+  };
+
+  // Render all rooms based on current search query and stored state.
+  const renderRooms = () => {
+    // Deleted or undone items drop out of the selection.
+    selectedItemIds.forEach((itemId) => {
+      if (!findItemContext(itemId)) {
+        selectedItemIds.delete(itemId);
+      }
+    });
+    renderBatchBar();
+    renderNumberingTools();
+
+    if (!currentQuery) {
+      openRoomIds = new Set(
+        Array.from(roomsContainer.querySelectorAll(".inventory-room"))
+          .filter((roomCard) => roomCard.open)
+          .map((roomCard) => roomCard.dataset.roomId)
+      );
+    }
+
+    if (inventory.rooms.length === 0) {
+      roomsContainer.innerHTML = `
+        <section class="info-panel">
+          <h2>Start your room list</h2>
+          <p>
+            Add a room above to begin tracking boxes and household items for
+            your move.
+          </p>
+        </section>
+      `;
+      renderHighValueSummary();
+      renderWeightAllowance();
+      renderVehicleFit();
+      renderBoxLookup();
+      renderDeliveryPanel();
+      return;
+    }
+
+    roomsContainer.innerHTML = inventory.rooms
+      .map((room) => renderRoom(room))
+      .join("");
+    activeMenuItemId = null;
+    activeRoomMenuId = null;
+
+    if (totalWeightDisplay) {
+      totalWeightDisplay.textContent = `${inventory.totalWeight} lbs`;
+    }
+    renderHighValueSummary();
+    renderWeightAllowance();
+    renderVehicleFit();
+    renderBoxLookup();
+    renderDeliveryPanel();
+    loadPhotoImages(roomsContainer);
+  };
+
+  // Add a room to the inventory state.
+  roomForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const name = roomNameInput.value.trim();
+    if (!name) {
+      return;
+    }
+    const newRoom = {
+      id: createRecordId("room"),
+      name,
+      photoIds: [],
+      items: [],
+    };
+    inventory.rooms.push(newRoom);
+    ensureRoomDefaults(newRoom, inventory.rooms);
+    syncInventoryState();
+    roomNameInput.value = "";
+    renderRooms();
+  });
+
+  // Delegated handler to capture add-item submissions for any room.
+  roomsContainer.addEventListener("submit", (event) => {
+    const form = event.target.closest("form[data-room-id]");
+    if (!form) {
+      return;
+    }
+    event.preventDefault();
+    const room = findRoom(form.dataset.roomId);
+    const labelInput = form.querySelector("input[name='item-label']");
+    const categorySelect = form.querySelector("select[name='item-category']");
+    const contentsInput = form.querySelector("textarea[name='item-contents']");
+    const notesInput = form.querySelector("textarea[name='item-notes']");
+    const quantityInput = form.querySelector("input[name='item-quantity']");
+    const label = labelInput.value.trim();
+    const contents = contentsInput.value.trim();
+    const notes = notesInput.value.trim();
+    // An empty choice means "Auto-detect from name".
+    const category = categorySelect?.value || "";
+    if (!label || !room) {
+      return;
+    }
+    const newItem = {
+      id: createRecordId("item"),
+      label,
+      category,
+      categorySource: category ? "manual" : "auto",
+      quantity: coerceQuantity(quantityInput?.value, 1),
+      contents,
+      notes,
+      includeInEstimate: true,
+      // High-value flag stays false unless explicitly marked by the user.
+      isHighValue: false,
+      photoIds: [],
+      itemNumber: nextItemNumber(inventory, room),
+    };
+    ensureItemDefaults(newItem);
+    room.items.push(newItem);
+    syncInventoryState();
+    labelInput.value = "";
+    contentsInput.value = "";
+    notesInput.value = "";
+    if (quantityInput) {
+      quantityInput.value = "1";
+    }
+    renderRooms();
+  });
+
+  // Photos belong to an item or, for wide shots of a whole room, to the room.
+  const findPhotoOwner = ({ itemId, roomId }) =>
+    itemId ? findItemContext(itemId)?.item || null : findRoom(roomId);
+
+  const addPhotos = async (input) => {
+    const files = Array.from(input.files || []);
+    const { itemId, roomId } = input.dataset;
+    input.value = "";
+    if (files.length === 0) {
+      return;
+    }
+    const photoIds = [];
+    try {
+      for (const file of files) {
+        photoIds.push(await savePhoto(file));
+      }
+    } catch (error) {
+      console.warn("Unable to save photo.", error);
+      showInventoryToast(
+        "Some photos could not be saved. The browser may be out of storage space.",
+        "Dismiss",
+        null
+      );
+    }
+    // The owner is looked up again in case it changed while photos were saving.
+    const owner = findPhotoOwner({ itemId, roomId });
+    if (!owner || photoIds.length === 0) {
+      return;
+    }
+    owner.photoIds.push(...photoIds);
+    syncInventoryState();
+    renderRooms();
+    renderPhotoStorage();
+  };
+
+  roomsContainer.addEventListener("change", (event) => {
+    const photoInput = event.target.closest("[data-photo-input]");
+    if (photoInput) {
+      addPhotos(photoInput);
+      return;
+    }
+    const selectToggle = event.target.closest("[data-select-item]");
+    if (selectToggle) {
+      if (selectToggle.checked) {
+        selectedItemIds.add(selectToggle.dataset.itemId);
+      } else {
+        selectedItemIds.delete(selectToggle.dataset.itemId);
+      }
+      renderRooms();
+      return;
+    }
+    const target = event.target.closest("[data-field]");
+    if (!target) {
+      return;
+    }
+    const item = findItemContext(target.dataset.itemId)?.item;
+    if (!item) {
+      return;
+    }
+    if (target.dataset.field === "category") {
+      const categoryDefinition = getCategoryDefinition(target.value);
+      item.category = target.value;
+      item.categorySource = "manual";
+      item.weight = categoryDefinition.defaultWeight;
+      item.volume = categoryDefinition.defaultVolume;
+    }
+    if (target.dataset.field === "weight") {
+      item.weight = coerceWeight(
+        target.value,
+        getCategoryDefinition(item.category).defaultWeight
+      );
+    }
+    if (target.dataset.field === "volume") {
+      item.volume = coerceVolume(
+        target.value,
+        getCategoryDefinition(item.category).defaultVolume
+      );
+    }
+    if (target.dataset.field === "quantity") {
+      item.quantity = coerceQuantity(target.value, item.quantity);
+    }
+    if (target.dataset.field === "include") {
+      item.includeInEstimate = target.checked;
+    }
+    if (target.dataset.field === "high-value") {
+      // Update the high-value summary list immediately when toggled.
+      item.isHighValue = target.checked;
+    }
+    if (target.dataset.field === "contents") {
+      item.contents = target.value.trim();
+    }
+    syncInventoryState();
+    renderRooms();
+    // Contents feed the label QR code, so an open preview redraws.
+    refreshActiveLabelPanel();
+  });
+
+  // Live search filters rooms, items, and notes as the user types.
+  inventorySearch.addEventListener("input", (event) => {
+    currentQuery = event.target.value;
+    renderRooms();
+  });
+
+  // Label preview & print handling.
+  const labelPanel = document.querySelector("#label-panel");
+  const labelTitle = document.querySelector("#label-title");
+  const labelRoom = document.querySelector("#label-room");
+  const labelWeight = document.querySelector("#label-weight");
+  const labelNotes = document.querySelector("#label-notes");
+  const labelNotesRow = document.querySelector("#label-notes-row");
+  const labelBand = document.querySelector("#label-band");
+  const labelNumber = document.querySelector("#label-number");
+  const labelNumberRow = document.querySelector("#label-number-row");
+  const labelTitleInput = document.querySelector("#label-title-input");
+  const labelRoomInput = document.querySelector("#label-room-input");
+  const labelWeightInput = document.querySelector("#label-weight-input");
+  const labelNotesInput = document.querySelector("#label-notes-input");
+  const labelTitleSizeInput = document.querySelector("#label-title-size");
+  const labelBodySizeInput = document.querySelector("#label-body-size");
+  const labelTitleSizeValue = document.querySelector("#label-title-size-value");
+  const labelBodySizeValue = document.querySelector("#label-body-size-value");
+  const printLabelButton = document.querySelector("#print-label-button");
+  const downloadLabelButton = document.querySelector("#download-label-button");
+  const closeLabelButton = document.querySelector("#close-label-button");
+  const printLabel = document.querySelector("#print-label");
+  const labelQr = document.querySelector("#label-qr");
+  const labelQrInput = document.querySelector("#label-qr-input");
+
+  const defaultLabelSettings = (room, item) => ({
+    title: item.label,
+    room: room.name,
+    weight: `${item.weight} lbs`,
+    notes: item.notes || "",
+    titleSize: 26,
+    bodySize: 18,
+    showQr: true,
+  });
+
+  const ensureLabelSettings = (room, item) => {
+    if (!item.labelSettings) {
+      item.labelSettings = defaultLabelSettings(room, item);
+    }
+    const defaults = defaultLabelSettings(room, item);
+    item.labelSettings = {
+      ...defaults,
+      ...item.labelSettings,
+    };
+    return item.labelSettings;
+  };
+
+  // Box QR codes carry the item id plus as much of the contents list as fits.
+  // Any scanner can read the summary; "Find a box" uses the id for everything.
+  const BOX_QR_PREFIX = "PCS box";
+  const BOX_CODE_PATTERN = /item-[a-z0-9]+-[a-z0-9]+/i;
+
+  const parseBoxContents = (contents) =>
+    String(contents || "")
+      .split("\n")
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+
+  const truncateText = (text, maxLength) =>
+    text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+
+  const getByteLength = (text) => new TextEncoder().encode(text).length;
+
+  const buildBoxQrPayload = (item, settings) => {
+    const lines = [
+      `${BOX_QR_PREFIX} ${item.id}`,
+      truncateText([settings.title, settings.room].filter(Boolean).join(" · "), 48),
+    ];
+    const entries = parseBoxContents(item.contents);
+    for (let count = entries.length; count > 0; count -= 1) {
+      const remaining = entries.length - count;
+      const summary = `Contents: ${entries.slice(0, count).join(", ")}${
+        remaining ? ` +${remaining} more` : ""
+      }`;
+      const payload = [...lines, summary].join("\n");
+      if (getByteLength(payload) <= QR_MAX_PAYLOAD_BYTES) {
+        return payload;
+      }
+    }
+    if (entries.length > 0) {
+      lines.push(`Contents: ${entries.length} items`);
+    }
+    return lines.join("\n");
+  };
+
+  const buildBoxQrContent = (item, settings) => `
+    ${buildQrSvg(buildBoxQrPayload(item, settings), { title: "Box contents QR code" })}
+    <figcaption>Scan for contents</figcaption>
+  `;
+
+  const buildBoxQrMarkup = (item, settings) =>
+    settings.showQr === false
+      ? ""
+      : `<figure class="label-qr">${buildBoxQrContent(item, settings)}</figure>`;
+
+  // Big color band with the box tag so movers can sort boxes from across a room.
+  const buildLabelBandMarkup = (item) => {
+    const room = item ? findItemContext(item.id)?.room : null;
+    if (!room) {
+      return "";
+    }
+    const color = getRoomColor(room.color);
+    return `
+      <div class="label-band" style="background: ${color.hex}; color: ${color.ink}">
+        <span class="label-band-tag">${escapeHtml(formatItemTag(room, item))}</span>
+        <span class="label-band-color">${color.label}</span>
+      </div>
+    `;
+  };
+
+  const applyLabelPreview = (settings, item) => {
+    if (!labelTitle || !labelRoom || !labelWeight || !labelNotes || !printLabel) {
+      return;
+    }
+    labelTitle.textContent = settings.title || "Box Label";
+    labelRoom.textContent = settings.room || "Room";
+    labelWeight.textContent = settings.weight || "Weight";
+    labelNotes.textContent = settings.notes || "";
+    if (labelNotesRow) {
+      labelNotesRow.hidden = !settings.notes;
+    }
+    if (labelBand) {
+      labelBand.innerHTML = buildLabelBandMarkup(item);
+      labelBand.hidden = !labelBand.innerHTML;
+    }
+    if (labelNumber && labelNumberRow) {
+      labelNumber.textContent = item ? getBoxNumbering(item) : "";
+      labelNumberRow.hidden = !labelNumber.textContent;
+    }
+    printLabel.style.setProperty("--label-title-size", `${settings.titleSize}px`);
+    printLabel.style.setProperty("--label-body-size", `${settings.bodySize}px`);
+    if (labelQr) {
+      const showQr = Boolean(item) && settings.showQr !== false;
+      labelQr.innerHTML = showQr ? buildBoxQrContent(item, settings) : "";
+      labelQr.hidden = !showQr;
+      printLabel.classList.toggle("has-qr", showQr);
+    }
+  };
+
+  const syncLabelInputs = (settings) => {
+    if (labelTitleInput) {
+      labelTitleInput.value = settings.title;
+    }
+    if (labelRoomInput) {
+      labelRoomInput.value = settings.room;
+    }
+    if (labelWeightInput) {
+      labelWeightInput.value = settings.weight;
+    }
+    if (labelNotesInput) {
+      labelNotesInput.value = settings.notes;
+    }
+    if (labelTitleSizeInput) {
+      labelTitleSizeInput.value = settings.titleSize;
+    }
+    if (labelBodySizeInput) {
+      labelBodySizeInput.value = settings.bodySize;
+    }
+    if (labelTitleSizeValue) {
+      labelTitleSizeValue.textContent = `${settings.titleSize}px`;
+    }
+    if (labelBodySizeValue) {
+      labelBodySizeValue.textContent = `${settings.bodySize}px`;
+    }
+    if (labelQrInput) {
+      labelQrInput.checked = settings.showQr !== false;
+    }
+  };
+
+  const getActiveLabelContext = () =>
+    activeLabelItemId ? findItemContext(activeLabelItemId) : null;
+
+  const openLabelPanel = (itemId) => {
+    if (!labelPanel) {
+      return;
+    }
+    const context = findItemContext(itemId);
+    if (!context) {
+      return;
+    }
+    const { room, item } = context;
+    activeLabelItemId = itemId;
+    const labelSettings = ensureLabelSettings(room, item);
+    saveInventoryBaseline();
+    syncLabelInputs(labelSettings);
+    applyLabelPreview(labelSettings, item);
+    labelPanel.hidden = false;
+    labelPanel.scrollIntoView({ behavior: "smooth", block: "start" });
+  };
+
+  const updateLabelSetting = (field, value) => {
+    const context = getActiveLabelContext();
+    if (!context) {
+      return;
+    }
+    const labelSettings = ensureLabelSettings(context.room, context.item);
+    labelSettings[field] = value;
+    applyLabelPreview(labelSettings, context.item);
+    syncInventoryState(`label:${context.item.id}:${field}`);
+  };
+
+  const slugify = (text) =>
+    text
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "label";
+
+  // Label file generation is handled client-side to avoid any backend dependency.
+  const buildLabelFile = (settings, item) => {
+    const safeTitle = escapeHtml(settings.title);
+    const safeRoom = escapeHtml(settings.room);
+    const safeWeight = escapeHtml(settings.weight);
+    const safeNotes = escapeHtml(settings.notes);
+    const numbering = getBoxNumbering(item);
+    const numberingMarkup = numbering
+      ? `<div class="label-row"><span class="label-key">Box No.:</span><span class="label-value label-body">${numbering}</span></div>`
+      : "";
+    const notesMarkup = settings.notes
+      ? `<div class="label-row"><span class="label-key">Notes:</span><span class="label-value label-body">${safeNotes}</span></div>`
+      : "";
+    const qrMarkup = buildBoxQrMarkup(item, settings);
+    const bandMarkup = buildLabelBandMarkup(item);
+    return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>${safeTitle} Label</title>
+    <style>
+      body { margin: 0; padding: 2rem; font-family: "Inter", "Roboto", "Segoe UI", system-ui, sans-serif; background: #ffffff; }
+      .print-label { border: 2px solid #111827; border-radius: 12px; padding: 1.5rem; display: grid; gap: 1rem; }
+      .print-label.has-qr { grid-template-columns: minmax(0, 1fr) auto; align-items: start; }
+      .label-fields { display: grid; gap: 0.75rem; }
+      .label-row { display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: baseline; }
+      .label-key { font-weight: 700; text-transform: uppercase; letter-spacing: 0.06em; font-size: 0.85rem; }
+      .label-value { font-weight: 600; color: #111827; }
+      .label-title { font-size: ${settings.titleSize}px; }
+      .label-body { font-size: ${settings.bodySize}px; }
+      .label-qr { margin: 0; display: grid; justify-items: center; gap: 0.25rem; }
+      .label-qr svg { width: 1in; height: 1in; }
+      .label-qr figcaption { font-size: 0.7rem; font-weight: 600; text-transform: uppercase; letter-spacing: 0.06em; }
+      .label-band { grid-column: 1 / -1; display: flex; justify-content: space-between; align-items: baseline; gap: 1rem; padding: 0.75rem 1rem; border-radius: 8px; print-color-adjust: exact; -webkit-print-color-adjust: exact; }
+      .label-band-tag { font-size: 2.5rem; font-weight: 800; letter-spacing: 0.04em; }
+      .label-band-color { font-weight: 700; text-transform: uppercase; letter-spacing: 0.08em; }
+      @media print {
+        body { padding: 0; }
+        .print-label { page-break-inside: avoid; }
+      }
+    </style>
+  </head>
+  <body>
+    <div class="print-label${qrMarkup ? " has-qr" : ""}">
+      ${bandMarkup}
+      <div class="label-fields">
+        <div class="label-row">
+          <span class="label-key">Box:</span>
+          <span class="label-value label-title">${safeTitle}</span>
+        </div>
+        ${numberingMarkup}
+        <div class="label-row">
+          <span class="label-key">Room:</span>
+          <span class="label-value label-body">${safeRoom}</span>
+        </div>
+        <div class="label-row">
+          <span class="label-key">Est. Weight:</span>
+          <span class="label-value label-body">${safeWeight}</span>
+        </div>
+        ${notesMarkup}
+      </div>
+      ${qrMarkup}
+    </div>
+  </body>
+</html>`;
+  };
+
+  if (labelTitleInput) {
+    labelTitleInput.addEventListener("input", (event) => {
+      updateLabelSetting("title", event.target.value);
+    });
+  }
+  if (labelRoomInput) {
+    labelRoomInput.addEventListener("input", (event) => {
+      updateLabelSetting("room", event.target.value);
+    });
+  }
+  if (labelWeightInput) {
+    labelWeightInput.addEventListener("input", (event) => {
+      updateLabelSetting("weight", event.target.value);
+    });
+  }
+  if (labelNotesInput) {
+    labelNotesInput.addEventListener("input", (event) => {
+      updateLabelSetting("notes", event.target.value);
+    });
+  }
+  if (labelTitleSizeInput) {
+    labelTitleSizeInput.addEventListener("input", (event) => {
+      const size = Number(event.target.value) || 26;
+      if (labelTitleSizeValue) {
+        labelTitleSizeValue.textContent = `${size}px`;
+      }
+      updateLabelSetting("titleSize", size);
+    });
+  }
+  if (labelBodySizeInput) {
+    labelBodySizeInput.addEventListener("input", (event) => {
+      const size = Number(event.target.value) || 18;
+      if (labelBodySizeValue) {
+        labelBodySizeValue.textContent = `${size}px`;
+      }
+      updateLabelSetting("bodySize", size);
+    });
+  }
+
+  if (labelQrInput) {
+    labelQrInput.addEventListener("change", (event) => {
+      updateLabelSetting("showQr", event.target.checked);
+    });
+  }
+
+  if (printLabelButton) {
+    printLabelButton.addEventListener("click", () => {
+      if (!activeLabelItemId) {
+        return;
+      }
+      window.print();
+    });
+  }
+
+  if (downloadLabelButton) {
+    downloadLabelButton.addEventListener("click", () => {
+      const context = getActiveLabelContext();
+      if (!context) {
+        return;
+      }
+      const settings = ensureLabelSettings(context.room, context.item);
+      const fileContents = buildLabelFile(settings, context.item);
+      const filename = `${slugify(settings.title || settings.room)}-label.html`;
+      downloadFile(fileContents, filename, "text/html");
+    });
+  }
+
+  if (closeLabelButton && labelPanel) {
+    closeLabelButton.addEventListener("click", () => {
+      labelPanel.hidden = true;
+      activeLabelItemId = null;
+    });
+  }
+
+  // Undo/redo swaps the whole inventory for a stored snapshot.
+  const restoreHistorySnapshot = (fromStack, toStack) => {
+    const snapshot = history[fromStack].pop();
+    if (snapshot === undefined) {
+      return false;
+    }
+    history[toStack].push(lastSnapshot);
+    inventory = JSON.parse(snapshot);
+    lastSnapshot = snapshot;
+    lastHistoryTag = null;
+    recalculateWeights();
+    saveInventory(inventory);
+    saveHistory();
+    if (activeLabelItemId && !findItemContext(activeLabelItemId)) {
+      if (labelPanel) {
+        labelPanel.hidden = true;
+      }
+      activeLabelItemId = null;
+    }
+    closeItemMenus();
+    closeRoomMenus();
+    renderRooms();
+    refreshActiveLabelPanel();
+    if (photoViewerState) {
+      renderPhotoViewer();
+    }
+    renderPhotoStorage();
+    return true;
+  };
+
+  const inventoryToast = document.createElement("div");
+  inventoryToast.className = "inventory-toast";
+  inventoryToast.setAttribute("role", "status");
+  inventoryToast.hidden = true;
+  inventoryToast.innerHTML = `
+    <span data-toast-message></span>
+    <button type="button" class="link-button" data-toast-action></button>
+  `;
+  document.body.appendChild(inventoryToast);
+  const toastMessage = inventoryToast.querySelector("[data-toast-message]");
+  const toastActionButton = inventoryToast.querySelector("[data-toast-action]");
+  let toastTimer = null;
+  let toastAction = null;
+
+  const hideInventoryToast = () => {
+    inventoryToast.hidden = true;
+    toastAction = null;
+    clearTimeout(toastTimer);
+  };
+
+  const showInventoryToast = (message, actionLabel, action) => {
+    toastMessage.textContent = message;
+    toastActionButton.textContent = actionLabel;
+    toastAction = action;
+    inventoryToast.hidden = false;
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(hideInventoryToast, 8000);
+  };
+
+  const undoInventoryChange = () => {
+    if (restoreHistorySnapshot("undo", "redo")) {
+      showInventoryToast("Change undone.", "Redo", redoInventoryChange);
+    }
+  };
+
+  const redoInventoryChange = () => {
+    if (restoreHistorySnapshot("redo", "undo")) {
+      showInventoryToast("Change redone.", "Undo", undoInventoryChange);
+    }
+  };
+
+  toastActionButton.addEventListener("click", () => {
+    const action = toastAction;
+    hideInventoryToast();
+    action?.();
+  });
+
+  undoInventoryButton?.addEventListener("click", undoInventoryChange);
+  redoInventoryButton?.addEventListener("click", redoInventoryChange);
+
+  // Text fields keep the browser's own undo; everywhere else the shortcuts
+  // step through inventory history.
+  document.addEventListener("keydown", (event) => {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+      return;
+    }
+    if (event.target.closest?.("input, textarea, select, [contenteditable]")) {
+      return;
+    }
+    const key = event.key.toLowerCase();
+    const isUndo = key === "z" && !event.shiftKey;
+    const isRedo = (key === "z" && event.shiftKey) || key === "y";
+    if (!isUndo && !isRedo) {
+      return;
+    }
+    event.preventDefault();
+    if (isUndo) {
+      undoInventoryChange();
+    } else {
+      redoInventoryChange();
+    }
+  });
+
+  // Batch actions change every selected item, then save, total, and render once.
+  const getSelectedItemContexts = () =>
+    Array.from(selectedItemIds)
+      .map((itemId) => findItemContext(itemId))
+      .filter(Boolean);
+
+  const applyBatchChange = (updateItem) => {
+    getSelectedItemContexts().forEach(({ room, item }) => {
+      updateItem(item, room);
+    });
+    syncInventoryState();
+    renderRooms();
+    refreshActiveLabelPanel();
+  };
+
+  // Sheets pass "n of N" for each copy of a quantity row; split boxes carry their own.
+  const buildPrintLabelMarkup = (settings, item, numbering = getBoxNumbering(item)) => {
+    const qrMarkup = buildBoxQrMarkup(item, settings);
+    return `
+      <div
+        class="print-label${qrMarkup ? " has-qr" : ""}"
+        style="--label-title-size: ${Number(settings.titleSize) || 26}px; --label-body-size: ${
+          Number(settings.bodySize) || 18
+        }px"
+      >
+        ${buildLabelBandMarkup(item)}
+        <div class="label-fields">
+          <div class="label-row">
+            <span class="label-key">Box:</span>
+            <span class="label-value label-title">${escapeHtml(settings.title)}</span>
+          </div>
+          ${
+            numbering
+              ? `<div class="label-row">
+                  <span class="label-key">Box No.:</span>
+                  <span class="label-value">${numbering}</span>
+                </div>`
+              : ""
+          }
+          <div class="label-row">
+            <span class="label-key">Room:</span>
+            <span class="label-value">${escapeHtml(settings.room)}</span>
+          </div>
+          <div class="label-row">
+            <span class="label-key">Est. Weight:</span>
+            <span class="label-value">${escapeHtml(settings.weight)}</span>
+          </div>
+          ${
+            settings.notes
+              ? `<div class="label-row">
+                  <span class="label-key">Notes:</span>
+                  <span class="label-value">${escapeHtml(settings.notes)}</span>
+                </div>`
+              : ""
+          }
+        </div>
+        ${qrMarkup}
+      </div>
+    `;
+  };
+
+  // Label sheets: many labels per printed page, laid out from a preset or custom grid.
+  const defaultLabelSheetLayout = () => ({ preset: "6-up", ...LABEL_SHEET_PRESETS[2] });
+
+  const clampNumber = (value, min, max, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+  };
+
+  const getLabelSheetLayout = () => {
+    const defaults = defaultLabelSheetLayout();
+    const saved = isPlainObject(inventory.labelSheet) ? inventory.labelSheet : {};
+    return {
+      preset: typeof saved.preset === "string" ? saved.preset : defaults.preset,
+      columns: Math.round(clampNumber(saved.columns, 1, 6, defaults.columns)),
+      rows: Math.round(clampNumber(saved.rows, 1, 12, defaults.rows)),
+      margin: clampNumber(saved.margin, 0, 2, defaults.margin),
+      gap: clampNumber(saved.gap, 0, 1, defaults.gap),
+    };
+  };
+
+  const buildLabelSheetsMarkup = (contexts, layout) => {
+    const perSheet = layout.columns * layout.rows;
+    const sheets = [];
+    for (let start = 0; start < contexts.length; start += perSheet) {
+      sheets.push(contexts.slice(start, start + perSheet));
+    }
+    return sheets
+      .map(
+        (sheetContexts) => `
+          <div
+            class="label-sheet"
+            style="--sheet-columns: ${layout.columns}; --sheet-rows: ${layout.rows}; --sheet-margin: ${layout.margin}in; --sheet-gap: ${layout.gap}in"
+          >
+            ${sheetContexts
+              .map(({ room, item, numbering }) =>
+                buildPrintLabelMarkup(ensureLabelSettings(room, item), item, numbering)
+              )
+              .join("")}
+          </div>
+        `
+      )
+      .join("");
+  };
+
+  // Downloaded sheets carry their own styles, like single label files.
+  const buildLabelSheetFile = (sheetsMarkup) => `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>Box Label Sheets</title>
+    <style>
+      @page { size: letter; margin: 0; }
+      body { margin: 0; font-family: "Inter", "Roboto", "Segoe UI", system-ui, sans-serif; background: #ffffff; }
+      .label-sheet { box-sizing: border-box; width: 8.5in; height: 11in; padding: var(--sheet-margin); display: grid; grid-template-columns: repeat(var(--sheet-columns), minmax(0, 1fr)); grid-template-rows: repeat(var(--sheet-rows), minmax(0, 1fr)); gap: var(--sheet-gap); break-after: page; }
+      .print-label { box-sizing: border-box; border: 2px solid #111827; border-radius: 12px; padding: 0.75rem; display: grid; gap: 0.5rem; align-content: start; overflow: hidden; }
+      .print-label.has-qr { grid-template-columns: minmax(0, 1fr) auto; align-items: start; }
+      .label-fields { display: grid; gap: 0.35rem; }
+      .label-row { display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: baseline; }
+      .label-key { font-weight: 700; text-transform: uppercase; letter-spacing: 0.06em; font-size: 0.85rem; }
+      .label-value { font-weight: 600; color: #111827; font-size: var(--label-body-size); }
+      .label-title { font-size: var(--label-title-size); }
+      .label-qr { margin: 0; display: grid; justify-items: center; gap: 0.25rem; }
+      .label-qr svg { width: 1in; height: 1in; }
+      .label-qr figcaption { font-size: 0.7rem; font-weight: 600; text-transform: uppercase; letter-spacing: 0.06em; }
+      .label-band { grid-column: 1 / -1; display: flex; justify-content: space-between; align-items: baseline; gap: 0.5rem; padding: 0.35rem 0.6rem; border-radius: 8px; print-color-adjust: exact; -webkit-print-color-adjust: exact; }
+      .label-band-tag { font-size: 1.6rem; font-weight: 800; letter-spacing: 0.04em; }
+      .label-band-color { font-size: 0.75rem; font-weight: 700; text-transform: uppercase; letter-spacing: 0.08em; }
+    </style>
+  </head>
+  <body>
+    ${sheetsMarkup}
+  </body>
+</html>`;
+
+  const printLabelSheets = (contexts, layout) => {
+    if (!labelBatchPrint || contexts.length === 0) {
+      return;
+    }
+    const sheetsMarkup = buildLabelSheetsMarkup(contexts, layout);
+    saveInventoryBaseline();
+    printBatchMarkup(sheetsMarkup);
+  };
+
+  // Label sheets and room signs print from the batch area with the rest of the page hidden.
+  const printBatchMarkup = (markup) => {
+    labelBatchPrint.innerHTML = markup;
+    document.body.classList.add("is-printing-label-batch");
+    // Some browsers return from print() before the dialog closes.
+    window.addEventListener(
+      "afterprint",
+      () => {
+        document.body.classList.remove("is-printing-label-batch");
+        labelBatchPrint.innerHTML = "";
+      },
+      { once: true }
+    );
+    window.print();
+  };
+
+  const getLabelSheetSource = () =>
+    labelSheetPanel?.querySelector("input[name='label-sheet-source']:checked")
+      ?.value || "all";
+
+  // A row with a quantity prints one label per piece, numbered "1 of N" onward.
+  const expandLabelContexts = (contexts) =>
+    contexts.flatMap(({ room, item }) =>
+      item.quantity > 1
+        ? Array.from({ length: item.quantity }, (_, index) => ({
+            room,
+            item,
+            numbering: formatBoxNumbering(index + 1, item.quantity),
+          }))
+        : [{ room, item, numbering: getBoxNumbering(item) }]
+    );
+
+  const getLabelSheetContexts = () => {
+    const source = getLabelSheetSource();
+    if (source === "selection") {
+      return expandLabelContexts(getSelectedItemContexts());
+    }
+    const rooms =
+      source === "room"
+        ? [findRoom(labelSheetRoomSelect?.value)].filter(Boolean)
+        : inventory.rooms;
+    return expandLabelContexts(
+      rooms.flatMap((room) => room.items.map((item) => ({ room, item })))
+    );
+  };
+
+  const syncLabelSheetInputs = (layout) => {
+    labelSheetPresetSelect.value = layout.preset;
+    labelSheetColumnsInput.value = layout.columns;
+    labelSheetRowsInput.value = layout.rows;
+    labelSheetMarginInput.value = layout.margin;
+    labelSheetGapInput.value = layout.gap;
+  };
+
+  const renderLabelSheetSummary = () => {
+    const layout = getLabelSheetLayout();
+    const labelCount = getLabelSheetContexts().length;
+    const perSheet = layout.columns * layout.rows;
+    const sheetCount = Math.ceil(labelCount / perSheet);
+    labelSheetSummary.textContent =
+      labelCount === 0
+        ? "No labels to print for this choice."
+        : `${labelCount} ${labelCount === 1 ? "label" : "labels"} on ${sheetCount} ${
+            sheetCount === 1 ? "sheet" : "sheets"
+          } (${perSheet} per sheet).`;
+    printLabelSheetsButton.disabled = labelCount === 0;
+    downloadLabelSheetsButton.disabled = labelCount === 0;
+  };
+
+  const openLabelSheetPanel = ({ source = "all", roomId = null } = {}) => {
+    if (!labelSheetPanel) {
+      return;
+    }
+    labelSheetRoomSelect.innerHTML = buildRoomOptions(roomId);
+    labelSheetSelectionLabel.textContent = `Selected items (${selectedItemIds.size})`;
+    const selectionRadio = labelSheetPanel.querySelector(
+      "input[name='label-sheet-source'][value='selection']"
+    );
+    selectionRadio.disabled = selectedItemIds.size === 0;
+    const roomRadio = labelSheetPanel.querySelector(
+      "input[name='label-sheet-source'][value='room']"
+    );
+    roomRadio.disabled = inventory.rooms.length === 0;
+    labelSheetPanel.querySelector(
+      `input[name='label-sheet-source'][value='${source}']`
+    ).checked = true;
+    syncLabelSheetInputs(getLabelSheetLayout());
+    renderLabelSheetSummary();
+    labelSheetPanel.hidden = false;
+    printLabelSheetsButton.focus();
+  };
+
+  const closeLabelSheetPanel = () => {
+    if (labelSheetPanel) {
+      labelSheetPanel.hidden = true;
+    }
+  };
+
+  if (labelSheetPanel) {
+    labelSheetPresetSelect.innerHTML = [
+      ...LABEL_SHEET_PRESETS.map(
+        (preset) => `<option value="${preset.id}">${preset.label}</option>`
+      ),
+      `<option value="custom">Custom layout</option>`,
+    ].join("");
+
+    // The chosen layout is remembered with the inventory but is not an undo step.
+    labelSheetPanel.addEventListener("change", (event) => {
+      if (event.target === labelSheetPresetSelect) {
+        const preset = LABEL_SHEET_PRESETS.find(
+          (candidate) => candidate.id === labelSheetPresetSelect.value
+        );
+        if (preset) {
+          const { id, label, ...dimensions } = preset;
+          inventory.labelSheet = { preset: id, ...dimensions };
+        } else {
+          inventory.labelSheet = { ...getLabelSheetLayout(), preset: "custom" };
+        }
+      } else if (event.target.closest(".label-sheet-custom")) {
+        inventory.labelSheet = {
+          preset: "custom",
+          columns: labelSheetColumnsInput.value,
+          rows: labelSheetRowsInput.value,
+          margin: labelSheetMarginInput.value,
+          gap: labelSheetGapInput.value,
+        };
+        inventory.labelSheet = getLabelSheetLayout();
+      } else if (event.target === labelSheetRoomSelect) {
+        labelSheetPanel.querySelector(
+          "input[name='label-sheet-source'][value='room']"
+        ).checked = true;
+      }
+      syncLabelSheetInputs(getLabelSheetLayout());
+      saveInventoryBaseline();
+      renderLabelSheetSummary();
+    });
+
+    labelSheetPanel.addEventListener("click", (event) => {
+      if (event.target === labelSheetPanel) {
+        closeLabelSheetPanel();
+      }
+    });
+
+    printLabelSheetsButton.addEventListener("click", () => {
+      const contexts = getLabelSheetContexts();
+      closeLabelSheetPanel();
+      printLabelSheets(contexts, getLabelSheetLayout());
+    });
+
+    downloadLabelSheetsButton.addEventListener("click", () => {
+      const contexts = getLabelSheetContexts();
+      if (contexts.length === 0) {
+        return;
+      }
+      const sheetsMarkup = buildLabelSheetsMarkup(contexts, getLabelSheetLayout());
+      saveInventoryBaseline();
+      const source = getLabelSheetSource();
+      const room = source === "room" ? findRoom(labelSheetRoomSelect.value) : null;
+      downloadFile(
+        buildLabelSheetFile(sheetsMarkup),
+        `${room ? slugify(room.name) : source === "selection" ? "selected" : "all"}-label-sheets.html`,
+        "text/html"
+      );
+    });
+
+    closeLabelSheetsButton.addEventListener("click", closeLabelSheetPanel);
+
+    document.addEventListener("keydown", (event) => {
+      if (event.key === "Escape" && !labelSheetPanel.hidden) {
+        closeLabelSheetPanel();
+      }
+    });
+  }
+
+  openLabelSheetsButton?.addEventListener("click", () => {
+    openLabelSheetPanel();
+  });
+
+  // Box numbering mode, renumbering, and room signs for the destination doors.
+  const renderNumberingTools = () => {
+    if (numberingModeSelect) {
+      numberingModeSelect.value = getNumberingMode(inventory);
+    }
+    if (renumberItemsButton) {
+      renumberItemsButton.disabled = !inventory.rooms.some((room) => room.items.length > 0);
+    }
+    if (printRoomSignsButton) {
+      printRoomSignsButton.disabled = inventory.rooms.length === 0;
+    }
+  };
+
+  const renumberAllItems = () => {
+    const isHouseWide = getNumberingMode(inventory) === "house";
+    let houseNumber = 0;
+    inventory.rooms.forEach((room) =>
+      room.items.forEach((item, index) => {
+        houseNumber += 1;
+        item.itemNumber = isHouseWide ? houseNumber : index + 1;
+      })
+    );
+  };
+
+  const buildRoomSignsMarkup = () =>
+    inventory.rooms
+      .map((room) => {
+        const color = getRoomColor(room.color);
+        return `
+          <div class="room-sign" style="background: ${color.hex}; color: ${color.ink}">
+            <p class="room-sign-code">${escapeHtml(room.code)}</p>
+            <p class="room-sign-name">${escapeHtml(room.name)}</p>
+            <p class="room-sign-color">${color.label} boxes go here</p>
+          </div>
+        `;
+      })
+      .join("");
+
+  // Changing the mode only affects new items until everything is renumbered.
+  numberingModeSelect?.addEventListener("change", () => {
+    inventory.numberingMode = NUMBERING_MODES.includes(numberingModeSelect.value)
+      ? numberingModeSelect.value
+      : "room";
+    saveInventoryBaseline();
+  });
+
+  renumberItemsButton?.addEventListener("click", () => {
+    const confirmed = window.confirm(
+      "Give every box a new number? Labels you already printed will no longer match. You can undo this right after."
+    );
+    if (!confirmed) {
+      return;
+    }
+    renumberAllItems();
+    syncInventoryState();
+    renderRooms();
+    refreshActiveLabelPanel();
+    showInventoryToast("Every box has a new number.", "Undo", undoInventoryChange);
+  });
+
+  printRoomSignsButton?.addEventListener("click", () => {
+    if (labelBatchPrint && inventory.rooms.length > 0) {
+      printBatchMarkup(buildRoomSignsMarkup());
+    }
+  });
+
+  // Category settings are shared by every move, so they are saved outside the
+  // inventory; the re-inferred items they cause are an undoable inventory change.
+  const applyCategorySettings = () => {
+    inventory.rooms.forEach((room) => room.items.forEach(ensureItemDefaults));
+    syncInventoryState();
+    renderRooms();
+  };
+
+  const showCategorySettingsStatus = (message) => {
+    categorySettingsStatus.textContent = message;
+    categorySettingsStatus.hidden = !message;
+  };
+
+  const parseKeywords = (value) =>
+    Array.from(
+      new Set(
+        value
+          .split(",")
+          .map((keyword) => normalize(keyword))
+          .filter(Boolean)
+      )
+    );
+
+  const renderCategorySettings = () => {
+    const settings = loadCategorySettings();
+    customCategoryList.innerHTML =
+      settings.categories.length === 0
+        ? `<li class="inventory-empty">No categories of your own yet.</li>`
+        : settings.categories
+            .map(
+              (category) => `
+                <li>
+                  <span>
+                    <strong>${escapeHtml(category.label)}</strong>
+                    · ${formatPounds(category.defaultWeight)} · ${category.defaultVolume} cu ft${
+                      category.isProGear ? " · PBP&amp;E" : ""
+                    }
+                    ${
+                      category.keywords.length
+                        ? `<span class="inventory-history-hint">${escapeHtml(
+                            category.keywords.join(", ")
+                          )}</span>`
+                        : ""
+                    }
+                  </span>
+                  <button
+                    type="button"
+                    class="link-button"
+                    data-category-action="remove-category"
+                    data-category-id="${category.id}"
+                  >
+                    Remove
+                  </button>
+                </li>
+              `
+            )
+            .join("");
+    categoryRuleList.innerHTML =
+      settings.rules.length === 0
+        ? `<li class="inventory-empty">No keyword rules yet.</li>`
+        : settings.rules
+            .map(
+              (rule) => `
+                <li>
+                  <span>"${escapeHtml(rule.keyword)}" → ${escapeHtml(rule.category)}</span>
+                  <button
+                    type="button"
+                    class="link-button"
+                    data-category-action="remove-rule"
+                    data-rule-id="${rule.id}"
+                  >
+                    Remove
+                  </button>
+                </li>
+              `
+            )
+            .join("");
+    categoryRuleSelect.innerHTML = buildCategoryOptions(
+      categoryRuleSelect.value || "Moving Box"
+    );
+    categoryCatalogRows.innerHTML = CATEGORY_DEFINITIONS.map(
+      (category) => `
+        <tr>
+          <th scope="row">${escapeHtml(category.label)}</th>
+          <td>${formatPounds(category.defaultWeight)}</td>
+          <td>${category.defaultVolume} cu ft</td>
+          <td>${escapeHtml(category.keywords.join(", "))}</td>
+        </tr>
+      `
+    ).join("");
+  };
+
+  const openCategorySettings = () => {
+    showCategorySettingsStatus("");
+    renderCategorySettings();
+    categorySettingsPanel.hidden = false;
+    customCategoryForm.querySelector("input[name='category-label']").focus();
+  };
+
+  const closeCategorySettings = () => {
+    categorySettingsPanel.hidden = true;
+  };
+
+  if (
+    categorySettingsPanel &&
+    customCategoryList &&
+    customCategoryForm &&
+    categoryRuleList &&
+    categoryRuleForm &&
+    categoryRuleSelect &&
+    categorySettingsStatus &&
+    categoryCatalogRows
+  ) {
+    openCategorySettingsButton?.addEventListener("click", openCategorySettings);
+    closeCategorySettingsButton?.addEventListener("click", closeCategorySettings);
+
+    customCategoryForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const field = (name) => customCategoryForm.elements[name];
+      const label = field("category-label").value.trim();
+      const defaultWeight = coerceWeight(field("category-weight").value, null);
+      const defaultVolume = coerceVolume(field("category-volume").value, null);
+      if (!label) {
+        return;
+      }
+      if (
+        getCategoryCatalog().some(
+          (category) => normalize(category.label) === normalize(label)
+        )
+      ) {
+        showCategorySettingsStatus(`There is already a category called "${label}".`);
+        return;
+      }
+      if (defaultWeight === null || defaultVolume === null) {
+        showCategorySettingsStatus("Enter a weight and volume greater than zero.");
+        return;
+      }
+      const settings = loadCategorySettings();
+      saveCategorySettings({
+        ...settings,
+        categories: [
+          ...settings.categories,
+          {
+            id: createRecordId("category"),
+            label,
+            defaultWeight,
+            defaultVolume,
+            keywords: parseKeywords(field("category-keywords").value),
+            isProGear: field("category-pro-gear").checked,
+          },
+        ],
+      });
+      customCategoryForm.reset();
+      showCategorySettingsStatus(`Added "${label}".`);
+      applyCategorySettings();
+      renderCategorySettings();
+    });
+
+    categoryRuleForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const keyword = normalize(categoryRuleForm.elements["rule-keyword"].value);
+      const category = categoryRuleSelect.value;
+      if (!keyword || !findCategoryDefinition(category)) {
+        return;
+      }
+      const settings = loadCategorySettings();
+      // A keyword maps to one category; adding it again replaces the old rule.
+      saveCategorySettings({
+        ...settings,
+        rules: [
+          ...settings.rules.filter((rule) => rule.keyword !== keyword),
+          { id: createRecordId("rule"), keyword, category },
+        ],
+      });
+      categoryRuleForm.elements["rule-keyword"].value = "";
+      showCategorySettingsStatus(`Names with the word "${keyword}" now use ${category}.`);
+      applyCategorySettings();
+      renderCategorySettings();
+    });
+
+    categorySettingsPanel.addEventListener("click", (event) => {
+      if (event.target === categorySettingsPanel) {
+        closeCategorySettings();
+        return;
+      }
+      const actionButton = event.target.closest("[data-category-action]");
+      if (!actionButton) {
+        return;
+      }
+      const settings = loadCategorySettings();
+      if (actionButton.dataset.categoryAction === "remove-category") {
+        const removed = settings.categories.find(
+          (category) => category.id === actionButton.dataset.categoryId
+        );
+        if (!removed) {
+          return;
+        }
+        saveCategorySettings({
+          categories: settings.categories.filter((category) => category !== removed),
+          rules: settings.rules.filter((rule) => rule.category !== removed.label),
+        });
+        // Items in this move that used it go back to being detected from their
+        // names, dropping the removed category's default weight and volume.
+        inventory.rooms.forEach((room) =>
+          room.items.forEach((item) => {
+            if (item.category !== removed.label) {
+              return;
+            }
+            item.categorySource = "auto";
+            if (item.weight === removed.defaultWeight) {
+              delete item.weight;
+            }
+            if (item.volume === removed.defaultVolume) {
+              delete item.volume;
+            }
+          })
+        );
+        showCategorySettingsStatus(
+          `Removed "${removed.label}". Items that used it are detected from their names again.`
+        );
+      }
+      if (actionButton.dataset.categoryAction === "remove-rule") {
+        saveCategorySettings({
+          ...settings,
+          rules: settings.rules.filter((rule) => rule.id !== actionButton.dataset.ruleId),
+        });
+        showCategorySettingsStatus("Rule removed.");
+      }
+      applyCategorySettings();
+      renderCategorySettings();
+    });
+
+    document.addEventListener("keydown", (event) => {
+      if (event.key === "Escape" && !categorySettingsPanel.hidden) {
+        closeCategorySettings();
+      }
+    });
+  }
+
+  // The viewer reads the owner's photo list live so removals and undo stay in step.
+  let photoViewerState = null;
+
+  const closePhotoViewer = () => {
+    if (photoViewer) {
+      photoViewer.hidden = true;
+      photoViewerImage.removeAttribute("src");
+    }
+    photoViewerState = null;
+  };
+
+  const renderPhotoViewer = async () => {
+    const owner = photoViewerState && findPhotoOwner(photoViewerState);
+    if (!owner || owner.photoIds.length === 0) {
+      closePhotoViewer();
+      return;
+    }
+    const count = owner.photoIds.length;
+    photoViewerState.index = Math.min(photoViewerState.index, count - 1);
+    const { index } = photoViewerState;
+    const photoId = owner.photoIds[index];
+    const ownerName = photoViewerState.itemId ? owner.label : owner.name;
+    photoViewerTitle.textContent = ownerName;
+    photoViewerMeta.textContent = `Photo ${index + 1} of ${count}`;
+    photoViewerImage.alt = `Photo ${index + 1} of ${ownerName}`;
+    photoViewerImage.dataset.photoId = photoId;
+    photoViewerImage.removeAttribute("src");
+    photoViewerPrevButton.disabled = count < 2;
+    photoViewerNextButton.disabled = count < 2;
+    try {
+      const [record, url] = await Promise.all([
+        loadPhoto(photoId),
+        getPhotoUrl(photoId, { full: true }),
+      ]);
+      // Skip stale loads when the user has already moved to another photo.
+      if (photoViewerImage.dataset.photoId !== photoId) {
+        return;
+      }
+      if (!record || !url) {
+        photoViewerImage.alt = "Photo unavailable on this device";
+        return;
+      }
+      photoViewerImage.src = url;
+      photoViewerMeta.textContent = [
+        `Photo ${index + 1} of ${count}`,
+        formatBytes(record.size),
+        `added ${formatRecordedAt(record.createdAt)}`,
+      ].join(" · ");
+    } catch (error) {
+      console.warn(`Unable to load photo "${photoId}".`, error);
+      photoViewerImage.alt = "Photo unavailable on this device";
+    }
+  };
+
+  const openPhotoViewer = ({ itemId, roomId }, photoId) => {
+    const owner = findPhotoOwner({ itemId, roomId });
+    if (!photoViewer || !owner) {
+      return;
+    }
+    photoViewerState = {
+      itemId,
+      roomId,
+      index: Math.max(0, owner.photoIds.indexOf(photoId)),
+    };
+    photoViewer.hidden = false;
+    renderPhotoViewer();
+    photoViewerCloseButton.focus();
+  };
+
+  const stepPhotoViewer = (offset) => {
+    const owner = photoViewerState && findPhotoOwner(photoViewerState);
+    if (!owner || owner.photoIds.length < 2) {
+      return;
+    }
+    const count = owner.photoIds.length;
+    photoViewerState.index = (photoViewerState.index + offset + count) % count;
+    renderPhotoViewer();
+  };
+
+  // Removing a photo only detaches it, so undo brings it back; the stored image
+  // stays until "Remove unused photos" cleans it up.
+  const removeViewedPhoto = () => {
+    const owner = photoViewerState && findPhotoOwner(photoViewerState);
+    if (!owner) {
+      return;
+    }
+    owner.photoIds.splice(photoViewerState.index, 1);
+    syncInventoryState();
+    renderRooms();
+    renderPhotoViewer();
+    renderPhotoStorage();
+    showInventoryToast("Photo removed.", "Undo", undoInventoryChange);
+  };
+
+  if (photoViewer) {
+    photoViewerPrevButton.addEventListener("click", () => stepPhotoViewer(-1));
+    photoViewerNextButton.addEventListener("click", () => stepPhotoViewer(1));
+    photoViewerDeleteButton.addEventListener("click", removeViewedPhoto);
+    photoViewerCloseButton.addEventListener("click", closePhotoViewer);
+
+    photoViewer.addEventListener("click", (event) => {
+      if (event.target === photoViewer) {
+        closePhotoViewer();
+      }
+    });
+
+    document.addEventListener("keydown", (event) => {
+      if (photoViewer.hidden) {
+        return;
+      }
+      if (event.key === "Escape") {
+        closePhotoViewer();
+      } else if (event.key === "ArrowLeft") {
+        stepPhotoViewer(-1);
+      } else if (event.key === "ArrowRight") {
+        stepPhotoViewer(1);
+      }
+    });
+  }
+
+  // Finds stored photos that no profile, claim, or undo step still points to.
+  const findUnusedPhotos = async () => {
+    const photos = await loadAllPhotos();
+    const referencedPhotoIds = collectReferencedPhotoIds();
+    return {
+      photos,
+      unusedPhotos: photos.filter((photo) => !referencedPhotoIds.has(photo.id)),
+    };
+  };
+
+  // Always awaits before reading other profiles, so it is safe to call while
+  // the rest of the page is still setting up.
+  const renderPhotoStorage = async () => {
+    if (!photoStorageMeter) {
+      return;
+    }
+    try {
+      const { photos, unusedPhotos } = await findUnusedPhotos();
+      const estimate = await navigator.storage?.estimate?.().catch(() => null);
+      const photoBytes = photos.reduce((total, photo) => total + (photo.size || 0), 0);
+      const lines = [
+        photos.length === 0
+          ? "No photos saved on this device yet."
+          : `${photos.length} photo${photos.length === 1 ? "" : "s"} using ${formatBytes(
+              photoBytes
+            )}.`,
+      ];
+      if (estimate?.quota) {
+        photoStorageMeter.value = Math.min(1, (estimate.usage || 0) / estimate.quota);
+        lines.push(
+          `This site is using ${formatBytes(estimate.usage || 0)} of about ${formatBytes(
+            estimate.quota
+          )} the browser allows.`
+        );
+      }
+      photoStorageMeter.hidden = !estimate?.quota;
+      if (unusedPhotos.length > 0) {
+        lines.push(
+          `${unusedPhotos.length} photo${
+            unusedPhotos.length === 1 ? " is" : "s are"
+          } no longer attached to anything.`
+        );
+      }
+      photoStorageSummary.textContent = lines.join(" ");
+      cleanUpPhotosButton.hidden = unusedPhotos.length === 0;
+    } catch (error) {
+      console.warn("Unable to read photo storage.", error);
+      photoStorageMeter.hidden = true;
+      photoStorageSummary.textContent = "This browser cannot store photos offline.";
+      cleanUpPhotosButton.hidden = true;
+    }
+  };
+
+  cleanUpPhotosButton?.addEventListener("click", async () => {
+    const { unusedPhotos } = await findUnusedPhotos();
+    if (unusedPhotos.length === 0) {
+      renderPhotoStorage();
+      return;
+    }
+    const confirmed = window.confirm(
+      `Delete ${unusedPhotos.length} unused photo${
+        unusedPhotos.length === 1 ? "" : "s"
+      } from this device? They are not attached to any item, room, or claim.`
+    );
+    if (!confirmed) {
+      return;
+    }
+    try {
+      await deletePhotos(unusedPhotos.map((photo) => photo.id));
+    } catch (error) {
+      console.warn("Unable to delete unused photos.", error);
+    }
+    renderPhotoStorage();
+  });
+
+  if (batchBar) {
+    batchBar.addEventListener("click", (event) => {
+      const actionButton = event.target.closest("[data-batch-action]");
+      if (!actionButton) {
+        return;
+      }
+      const action = actionButton.dataset.batchAction;
+      if (action === "clear") {
+        selectedItemIds.clear();
+        renderRooms();
+        return;
+      }
+      if (action === "move") {
+        const destinationRoom = findRoom(batchRoomSelect?.value);
+        if (!destinationRoom) {
+          return;
+        }
+        applyBatchChange((item, room) => {
+          if (room === destinationRoom) {
+            return;
+          }
+          room.items = room.items.filter((candidate) => candidate.id !== item.id);
+          renumberMovedItem(item, destinationRoom);
+          destinationRoom.items.push(item);
+          if (item.labelSettings && item.labelSettings.room === room.name) {
+            item.labelSettings.room = destinationRoom.name;
+          }
+        });
+        return;
+      }
+      if (action === "category") {
+        const category = batchCategorySelect?.value;
+        if (!category) {
+          return;
+        }
+        applyBatchChange((item) => {
+          const categoryDefinition = getCategoryDefinition(category);
+          item.category = category;
+          item.categorySource = "manual";
+          item.weight = categoryDefinition.defaultWeight;
+          item.volume = categoryDefinition.defaultVolume;
+        });
+        return;
+      }
+      if (action === "weight") {
+        const weight = coerceWeight(batchWeightInput?.value, null);
+        if (weight === null) {
+          batchWeightInput?.focus();
+          return;
+        }
+        applyBatchChange((item) => {
+          item.weight = weight;
+        });
+        return;
+      }
+      if (action === "include" || action === "exclude") {
+        applyBatchChange((item) => {
+          item.includeInEstimate = action === "include";
+        });
+        return;
+      }
+      if (action === "mark-high-value" || action === "unmark-high-value") {
+        applyBatchChange((item) => {
+          item.isHighValue = action === "mark-high-value";
+        });
+        return;
+      }
+      if (action === "print") {
+        openLabelSheetPanel({ source: "selection" });
+        return;
+      }
+      if (action === "delete") {
+        const count = selectedItemIds.size;
+        const confirmed = window.confirm(
+          `Delete ${count} selected ${
+            count === 1 ? "item" : "items"
+          }? You can undo this right after.`
+        );
+        if (!confirmed) {
+          return;
+        }
+        if (selectedItemIds.has(activeLabelItemId)) {
+          if (labelPanel) {
+            labelPanel.hidden = true;
+          }
+          activeLabelItemId = null;
+        }
+        applyBatchChange((item, room) => {
+          room.items = room.items.filter((candidate) => candidate.id !== item.id);
+        });
+        showInventoryToast(
+          `Deleted ${count} ${count === 1 ? "item" : "items"}.`,
+          "Undo",
+          undoInventoryChange
+        );
+      }
+    });
+  }
+
+  // Close item action menus when clicking elsewhere on the page.
+  document.addEventListener("click", (event) => {
+    if (!event.target.closest(".inventory-item-menu")) {
+      closeItemMenus();
+    }
+    if (!event.target.closest(".inventory-room-menu")) {
+      closeRoomMenus();
+    }
+  });
+
+  // Item-level action menu handlers (move, rename, delete, label shortcuts).
+  roomsContainer.addEventListener("click", (event) => {
+    const actionButton = event.target.closest("[data-action]");
+    if (!actionButton) {
+      return;
+    }
+    const action = actionButton.dataset.action;
+    const roomId = actionButton.dataset.roomId;
+
+    if (action === "view-photo") {
+      openPhotoViewer(actionButton.dataset, actionButton.dataset.photoId);
+      return;
+    }
+
+    // Room-level action menu handling.
+    const room = roomId ? findRoom(roomId) : null;
+    if (roomId && !room) {
+      return;
+    }
+    if (room && action === "toggle-room-menu") {
+      event.preventDefault();
+      event.stopPropagation();
+      const menuWrapper = actionButton.closest(".inventory-room-menu");
+      const menu = menuWrapper?.querySelector(".item-menu-dropdown");
+      if (!menu || !menuWrapper) {
+        return;
+      }
+      const shouldOpen = activeRoomMenuId !== roomId || menu.hidden;
+      closeRoomMenus();
+      closeItemMenus();
+      if (shouldOpen) {
+        menu.hidden = false;
+        actionButton.setAttribute("aria-expanded", "true");
+        activeRoomMenuId = roomId;
+      }
+      return;
+    }
+    if (room && action === "open-room-panel") {
+      event.preventDefault();
+      event.stopPropagation();
+      const panelName = actionButton.dataset.panel;
+      const roomCard = actionButton.closest(".inventory-room");
+      closeRoomMenus();
+      closeItemMenus();
+      // Track per-room edit mode so rename controls only appear when requested.
+      setRoomEditMode(roomId, panelName, roomCard);
+      const panel = roomCard?.querySelector(
+        `[data-room-panel="${panelName}"]`
+      );
+      const focusTarget = panel?.querySelector("input");
+      focusTarget?.focus();
+      return;
+    }
+    if (room && action === "cancel-room-panel") {
+      event.preventDefault();
+      event.stopPropagation();
+      const roomCard = actionButton.closest(".inventory-room");
+      setRoomEditMode(roomId, null, roomCard);
+      return;
+    }
+    if (room && action === "confirm-room-rename") {
+      event.preventDefault();
+      event.stopPropagation();
+      const roomCard = actionButton.closest(".inventory-room");
+      const input = roomCard?.querySelector("[data-room-rename-input]");
+      const newName = input?.value.trim();
+      if (!newName) {
+        return;
+      }
+      const oldRoomName = room.name;
+      room.name = newName;
+      room.editMode = null;
+      room.items.forEach((item) => {
+        if (
+          item.labelSettings &&
+          (!item.labelSettings.room || item.labelSettings.room === oldRoomName)
+        ) {
+          item.labelSettings.room = newName;
+        }
+      });
+      syncInventoryState();
+      renderRooms();
+      refreshActiveLabelPanel();
+      return;
+    }
+    if (room && action === "confirm-room-identity") {
+      event.preventDefault();
+      event.stopPropagation();
+      const roomCard = actionButton.closest(".inventory-room");
+      const code = normalizeRoomCode(roomCard?.querySelector("[data-room-code-input]")?.value);
+      const color = roomCard?.querySelector("[data-room-color-select]")?.value;
+      if (!code) {
+        return;
+      }
+      // Two rooms with one code would send boxes to the wrong door.
+      if (inventory.rooms.some((candidate) => candidate !== room && candidate.code === code)) {
+        showInventoryToast(`Another room already uses ${code}.`, "Dismiss", null);
+        return;
+      }
+      room.code = code;
+      room.color = getRoomColor(color).id;
+      room.editMode = null;
+      syncInventoryState();
+      renderRooms();
+      refreshActiveLabelPanel();
+      return;
+    }
+    if (room && action === "print-room-labels") {
+      event.preventDefault();
+      event.stopPropagation();
+      closeRoomMenus();
+      openLabelSheetPanel({ source: "room", roomId });
+      return;
+    }
+    if (room && action === "select-room") {
+      const allSelected = room.items.every((item) =>
+        selectedItemIds.has(item.id)
+      );
+      room.items.forEach((item) => {
+        if (allSelected) {
+          selectedItemIds.delete(item.id);
+        } else {
+          selectedItemIds.add(item.id);
+        }
+      });
+      renderRooms();
+      return;
+    }
+    if (room && action === "delete-room") {
+      event.preventDefault();
+      event.stopPropagation();
+      const confirmed = window.confirm(
+        "Delete this room and all items inside it? You can undo this right after."
+      );
+      if (!confirmed) {
+        return;
+      }
+      const wasActiveRoom = room.items.some(
+        (item) => item.id === activeLabelItemId
+      );
+      inventory.rooms = inventory.rooms.filter(
+        (candidate) => candidate.id !== roomId
+      );
+      if (wasActiveRoom) {
+        if (labelPanel) {
+          labelPanel.hidden = true;
+        }
+        activeLabelItemId = null;
+      }
+      openRoomIds.delete(roomId);
+      closeRoomMenus();
+      closeItemMenus();
+      syncInventoryState();
+      renderRooms();
+      refreshActiveLabelPanel();
+      showInventoryToast(`Deleted ${room.name}.`, "Undo", undoInventoryChange);
+      return;
+    }
+
+    const itemId = actionButton.dataset.itemId;
+    const itemContext = itemId ? findItemContext(itemId) : null;
+    if (!itemContext) {
+      return;
+    }
+    const { item } = itemContext;
+
+    if (action === "toggle-item-menu") {
+      // Toggle the clicked menu, ensuring only one menu is open at a time.
+      const menuWrapper = actionButton.closest(".inventory-item-menu");
+      const menu = menuWrapper?.querySelector(".item-menu-dropdown");
+      if (!menu || !menuWrapper) {
+        return;
+      }
+      const shouldOpen = activeMenuItemId !== itemId || menu.hidden;
+      closeItemMenus();
+      closeRoomMenus();
+      if (shouldOpen) {
+        menu.hidden = false;
+        actionButton.setAttribute("aria-expanded", "true");
+        activeMenuItemId = itemId;
+      }
+      return;
+    }
+    if (action === "open-panel") {
+      const panelName = actionButton.dataset.panel;
+      const itemCard = actionButton.closest(".inventory-item");
+      closeItemMenus();
+      closeRoomMenus();
+      // Track per-item edit mode so move/rename controls only appear when requested.
+      setItemEditMode(itemId, panelName, itemCard);
+      const panel = itemCard?.querySelector(
+        `.inventory-item-panel[data-panel="${panelName}"]`
+      );
+      const focusTarget = panel?.querySelector("input, select");
+      focusTarget?.focus();
+      return;
+    }
+    if (action === "cancel-panel") {
+      const itemCard = actionButton.closest(".inventory-item");
+      setItemEditMode(itemId, null, itemCard);
+      return;
+    }
+    if (action === "confirm-move") {
+      const itemCard = actionButton.closest(".inventory-item");
+      const select = itemCard?.querySelector("[data-move-select]");
+      const sourceRoom = itemContext.room;
+      const destinationRoom = findRoom(select?.value);
+      if (!destinationRoom) {
+        return;
+      }
+      if (destinationRoom === sourceRoom) {
+        setItemEditMode(itemId, null, itemCard);
+        return;
+      }
+      sourceRoom.items = sourceRoom.items.filter(
+        (candidate) => candidate.id !== itemId
+      );
+      item.editMode = null;
+      renumberMovedItem(item, destinationRoom);
+      destinationRoom.items.push(item);
+      if (item.labelSettings && item.labelSettings.room === sourceRoom.name) {
+        item.labelSettings.room = destinationRoom.name;
+      }
+      syncInventoryState();
+      renderRooms();
+      refreshActiveLabelPanel();
+      return;
+    }
+    if (action === "confirm-rename") {
+      const itemCard = actionButton.closest(".inventory-item");
+      const input = itemCard?.querySelector("[data-rename-input]");
+      const newLabel = input?.value.trim();
+      if (!newLabel) {
+        return;
+      }
+      const oldLabel = item.label;
+      item.label = newLabel;
+      item.editMode = null;
+      // Inferred categories follow the new name.
+      ensureItemDefaults(item);
+      if (
+        item.labelSettings &&
+        (!item.labelSettings.title || item.labelSettings.title === oldLabel)
+      ) {
+        item.labelSettings.title = newLabel;
+      }
+      syncInventoryState();
+      renderRooms();
+      refreshActiveLabelPanel();
+      return;
+    }
+    if (action === "split-item") {
+      closeItemMenus();
+      const { room } = itemContext;
+      const boxCount = item.quantity;
+      if (boxCount < 2) {
+        return;
+      }
+      // The first box keeps the row's id, photos, and number so claims and photo
+      // links still point at it; the rest are new items numbered after it.
+      const firstNewNumber = nextItemNumber(inventory, room);
+      const boxes = Array.from({ length: boxCount }, (_, index) => ({
+        ...item,
+        id: index === 0 ? item.id : createRecordId("item"),
+        photoIds: index === 0 ? item.photoIds : [],
+        itemNumber: index === 0 ? item.itemNumber : firstNewNumber + index - 1,
+        labelSettings: item.labelSettings ? { ...item.labelSettings } : undefined,
+        quantity: 1,
+        boxNumber: index + 1,
+        boxCount,
+        editMode: null,
+      }));
+      if (selectedItemIds.has(item.id)) {
+        boxes.forEach((box) => selectedItemIds.add(box.id));
+      }
+      room.items.splice(room.items.indexOf(item), 1, ...boxes);
+      syncInventoryState();
+      renderRooms();
+      refreshActiveLabelPanel();
+      showInventoryToast(
+        `Split ${item.label} into ${boxCount} numbered boxes.`,
+        "Undo",
+        undoInventoryChange
+      );
+      return;
+    }
+    if (action === "delete-item") {
+      const confirmed = window.confirm(
+        "Are you sure you want to delete this item? You can undo this right after."
+      );
+      if (!confirmed) {
+        return;
+      }
+      itemContext.room.items = itemContext.room.items.filter(
+        (candidate) => candidate.id !== itemId
+      );
+      if (activeLabelItemId === itemId) {
+        if (labelPanel) {
+          labelPanel.hidden = true;
+        }
+        activeLabelItemId = null;
+      }
+      syncInventoryState();
+      renderRooms();
+      refreshActiveLabelPanel();
+      showInventoryToast(`Deleted ${item.label}.`, "Undo", undoInventoryChange);
+      return;
+    }
+    if (action === "view-label") {
+      openLabelPanel(itemId);
+      return;
+    }
+    if (action === "print-label") {
+      openLabelPanel(itemId);
+      setTimeout(() => window.print(), 50);
+    }
+  });
+
+  // High-value summary rows open the same label editor as the item cards.
+  if (highValueList) {
+    highValueList.addEventListener("click", (event) => {
+      const actionButton = event.target.closest("[data-action='view-label']");
+      if (actionButton) {
+        openLabelPanel(actionButton.dataset.itemId);
+      }
+    });
+  }
+
+  if (deliveryToggleButton) {
+    deliveryToggleButton.addEventListener("click", () => {
+      setDeliveryMode(!deliveryMode);
+    });
+  }
+
+  if (closeDeliveryButton) {
+    closeDeliveryButton.addEventListener("click", () => {
+      setDeliveryMode(false);
+    });
+  }
+
+  if (deliveryFilterSelect) {
+    deliveryFilterSelect.addEventListener("change", renderDeliveryPanel);
+  }
+
+  if (deliveryRoomsContainer) {
+    deliveryRoomsContainer.addEventListener("click", (event) => {
+      const statusButton = event.target.closest("[data-delivery-status]");
+      if (!statusButton) {
+        return;
+      }
+      const item = findItemContext(statusButton.dataset.itemId)?.item;
+      const status = statusButton.dataset.deliveryStatus;
+      if (!item || item.delivery?.status === status) {
+        return;
+      }
+      if (status === "clear") {
+        delete item.delivery;
+      } else {
+        item.delivery = {
+          status,
+          note: item.delivery?.note || "",
+          recordedAt: new Date().toISOString(),
+        };
+      }
+      syncInventoryState();
+      renderRooms();
+    });
+
+    deliveryRoomsContainer.addEventListener("change", (event) => {
+      const noteInput = event.target.closest("[data-delivery-note]");
+      const item = noteInput ? findItemContext(noteInput.dataset.itemId)?.item : null;
+      if (!item?.delivery) {
+        return;
+      }
+      item.delivery.note = noteInput.value.trim();
+      syncInventoryState(`delivery:${item.id}:note`);
+      renderRooms();
+    });
+  }
+
+  if (boxLookupForm && boxLookupInput) {
+    boxLookupForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      showBoxLookup(boxLookupInput.value);
+    });
+  }
+
+  if (boxLookupResult) {
+    boxLookupResult.addEventListener("click", (event) => {
+      const actionButton = event.target.closest("[data-action='view-label']");
+      if (actionButton) {
+        openLabelPanel(actionButton.dataset.itemId);
+      }
+    });
+  }
+
+  // Camera scanning relies on the browser's built-in BarcodeDetector, so it
+  // stays offline; other browsers can paste what their camera app reads.
+  let scannerStream = null;
+  let scannerTimer = null;
+
+  const stopBoxScanner = () => {
+    window.clearTimeout(scannerTimer);
+    scannerTimer = null;
+    if (scannerStream) {
+      scannerStream.getTracks().forEach((track) => track.stop());
+      scannerStream = null;
+    }
+    if (boxScannerVideo) {
+      boxScannerVideo.srcObject = null;
+    }
+    if (boxScanner) {
+      boxScanner.hidden = true;
+    }
+  };
+
+  const startBoxScanner = async () => {
+    try {
+      const detector = new window.BarcodeDetector({ formats: ["qr_code"] });
+      scannerStream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: "environment" },
+      });
+      boxScannerVideo.srcObject = scannerStream;
+      boxScanner.hidden = false;
+      await boxScannerVideo.play();
+      const scanFrame = async () => {
+        if (!scannerStream) {
+          return;
+        }
+        const codes = await detector.detect(boxScannerVideo).catch(() => []);
+        const boxCode = codes
+          .map((code) => code.rawValue)
+          .find((value) => BOX_CODE_PATTERN.test(value));
+        if (boxCode) {
+          stopBoxScanner();
+          boxLookupInput.value = boxCode.match(BOX_CODE_PATTERN)[0];
+          showBoxLookup(boxCode);
+          return;
+        }
+        scannerTimer = window.setTimeout(scanFrame, 250);
+      };
+      scanFrame();
+    } catch (error) {
+      stopBoxScanner();
+      lookupQuery = "";
+      boxLookupResult.hidden = false;
+      boxLookupResult.innerHTML = `
+        <p>The camera could not be started. Scan the label with your phone's camera
+        app and paste the text here instead.</p>
+      `;
+    }
+  };
+
+  if (
+    boxScanButton &&
+    boxScanner &&
+    boxScannerVideo &&
+    boxLookupInput &&
+    boxLookupResult &&
+    "BarcodeDetector" in window &&
+    navigator.mediaDevices?.getUserMedia
+  ) {
+    boxScanButton.hidden = false;
+    boxScanButton.addEventListener("click", () => {
+      if (!scannerStream) {
+        startBoxScanner();
+      }
+    });
+    boxScannerStopButton?.addEventListener("click", stopBoxScanner);
+  }
+
+  // Categories or rules added since the last visit reach inferred items here.
+  inventory.rooms.forEach((room) => room.items.forEach(ensureItemDefaults));
+  syncInventoryState();
+  renderRooms();
+  renderPhotoStorage();
+}
+
+// Move logistics calendar + accordion events.
+const calendarGrid = document.querySelector("#calendar-grid");
+const calendarLabel = document.querySelector("#calendar-label");
+const calendarToggleButtons = Array.from(
+  document.querySelectorAll("[data-view]")
+);
+const calendarNavButtons = Array.from(
+  document.querySelectorAll("[data-nav]")
+);
+const logisticsSections = Array.from(
+  document.querySelectorAll(".logistics-section[data-event-id]")
+);
+const itineraryStopsContainer = document.querySelector("#itinerary-stops");
+const itineraryTemplate = document.querySelector("#itinerary-stop-template");
+const addItineraryStopButton = document.querySelector("#add-itinerary-stop");
+const exportCalendarButton = document.querySelector("#export-calendar-button");
+const calendarExportStatus = document.querySelector("#calendar-export-status");
+const calendarImportInput = document.querySelector("#calendar-import-input");
+const calendarImportPreview = document.querySelector("#calendar-import-preview");
+const calendarImportRows = document.querySelector("#calendar-import-rows");
+const confirmCalendarImportButton = document.querySelector(
+  "#confirm-calendar-import"
+);
+const cancelCalendarImportButton = document.querySelector(
+  "#cancel-calendar-import"
+);
+const customEventsPanel = document.querySelector("#custom-events-panel");
+const customEventsList = document.querySelector("#custom-events-list");
+
+// Move logistics state management using localStorage.
+const LOGISTICS_KEY = "pcs-move-logistics";
+
+// Form fields persisted for each logistics section, keyed by their data-role.
+const SECTION_FIELDS = {
+  contactName: "contact-name",
+  contactCompany: "contact-company",
+  contactPhone: "contact-phone",
+  contactEmail: "contact-email",
+  location: "location",
+  date: "date",
+  time: "time",
+  notes: "notes",
+};
+
+// Text fields persisted for each itinerary stop; the calendar toggle is stored separately.
+const STOP_FIELDS = {
+  city: "stop-city",
+  date: "stop-date",
+  lodging: "stop-lodging",
+  address: "stop-address",
+  phone: "stop-phone",
+  notes: "stop-notes",
+};
+
+registerStorageSchema(LOGISTICS_KEY, {
+  label: "move logistics",
+  perProfile: true,
+  version: 1,
+  createEmpty: () => ({ sections: {}, stops: [], customEvents: [] }),
+  isValid: (logistics) =>
+    isPlainObject(logistics) &&
+    isPlainObject(logistics.sections) &&
+    Array.isArray(logistics.stops) &&
+    Array.isArray(logistics.customEvents),
+  migrations: [
+    // v0 → v1: default any missing sections, stops, or imported custom events.
+    (logistics) => {
+      if (!isPlainObject(logistics)) {
+        throw new Error("Move logistics are not an object.");
+      }
+      return {
+        sections: isPlainObject(logistics.sections) ? logistics.sections : {},
+        stops: Array.isArray(logistics.stops) ? logistics.stops : [],
+        customEvents: Array.isArray(logistics.customEvents)
+          ? logistics.customEvents
+          : [],
+      };
+    },
+  ],
+});
+
+const loadLogistics = () => readStoredRecord(LOGISTICS_KEY);
+
+const saveLogistics = (logistics) => {
+  writeStoredRecord(LOGISTICS_KEY, logistics);
+};
+
+// Checklist timeline dates. The report date belongs to the move profile and the
+// pack-out date to the Packers logistics section, so each is only entered once.
+const PACK_OUT_EVENT_ID = "packers";
+const checklistTimelineForm = document.querySelector("#checklist-timeline");
+
+const readChecklistTimelineAnchors = (profile = getActiveProfile()) => ({
+  report: profile?.reportDate || "",
+  "pack-out": loadLogistics().sections[PACK_OUT_EVENT_ID]?.date || "",
+});
+
+if (checklistTimelineForm && checklistItems.length > 0) {
+  const reportDateInput = checklistTimelineForm.querySelector("#timeline-report-date");
+  const packOutDateInput = checklistTimelineForm.querySelector("#timeline-pack-out-date");
+  const timelineHint = checklistTimelineForm.querySelector("#checklist-timeline-hint");
+  const viewToggles = Array.from(document.querySelectorAll("[data-checklist-view]"));
+
+  const describeTimelineHint = ({ report, "pack-out": packOut }) => {
+    if (!report && !packOut) {
+      return "Enter your dates to turn each task's timing into a due date.";
+    }
+    if (!packOut) {
+      return "Add a pack-out date for the tasks that count back from pack-out day.";
+    }
+    if (!report) {
+      return "Add a report date for the tasks that count back from reporting in.";
+    }
+    return "Due dates update as soon as either date changes.";
+  };
+
+  const applyTimelineDates = () => {
+    checklistTimelineAnchors = readChecklistTimelineAnchors();
+    reportDateInput.value = checklistTimelineAnchors.report;
+    packOutDateInput.value = checklistTimelineAnchors["pack-out"];
+    timelineHint.textContent = describeTimelineHint(checklistTimelineAnchors);
+    getChecklistItems().forEach(syncParentCheckboxState);
+    refreshChecklistVisibility();
+  };
+
+  reportDateInput.addEventListener("change", () => {
+    const profile = getActiveProfile();
+    if (profile) {
+      profile.reportDate = reportDateInput.value;
+      saveProfiles(profileRegistry);
+    }
+    applyTimelineDates();
+  });
+
+  packOutDateInput.addEventListener("change", () => {
+    const logistics = loadLogistics();
+    logistics.sections[PACK_OUT_EVENT_ID] = {
+      ...logistics.sections[PACK_OUT_EVENT_ID],
+      date: packOutDateInput.value,
+    };
+    saveLogistics(logistics);
+    applyTimelineDates();
+  });
+
+  viewToggles.forEach((toggle) => {
+    toggle.addEventListener("click", () => {
+      checklistView = toggle.dataset.checklistView;
+      viewToggles.forEach((candidate) => {
+        const isActive = candidate === toggle;
+        candidate.classList.toggle("is-active", isActive);
+        candidate.setAttribute("aria-pressed", String(isActive));
+      });
+      refreshChecklistVisibility();
+    });
+  });
+
+  checklistTimelineForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+  });
+
+  applyTimelineDates();
+}
+
+// Home page checklist dashboard, built from the cached checklist outline and the
+// saved checkbox states. Storage events keep it current while the checklist is
+// being worked through in another tab.
+const CHECKLIST_DASHBOARD_NEXT_COUNT = 3;
+const checklistDashboard = document.querySelector("#checklist-dashboard-body");
+
+if (checklistDashboard) {
+  const renderProgressRow = (label, done, total) => `
+    <li class="checklist-dashboard-section">
+      <span>${escapeHtml(label)}</span>
+      <meter min="0" max="${total}" value="${done}"></meter>
+      <span class="checklist-progress-text">${formatTaskProgress(done, total)}</span>
+    </li>
+  `;
+
+  // Incomplete items, soonest due first; items without a due date keep checklist order.
+  const findNextChecklistItems = (items, anchors) =>
+    items
+      .map((item, index) => ({
+        item,
+        index,
+        timing: item.timing ? computeChecklistTiming(item.timing, anchors) : null,
+      }))
+      .filter(({ item }) => !item.isComplete)
+      .sort((a, b) => {
+        if (a.timing && b.timing) {
+          return a.timing.dueDate - b.timing.dueDate || a.index - b.index;
+        }
+        if (a.timing || b.timing) {
+          return a.timing ? -1 : 1;
+        }
+        return a.index - b.index;
+      })
+      .slice(0, CHECKLIST_DASHBOARD_NEXT_COUNT);
+
+  const renderNextItem = ({ item, timing }) => {
+    const status = timing ? getChecklistTimingStatus(timing, false) : "";
+    return `
+      <li>
+        <a class="text-link" href="pcs-checklist.html#${encodeURIComponent(item.id)}">
+          ${escapeHtml(item.title)}
+        </a>
+        <span class="checklist-progress-text">${formatTaskProgress(item.done, item.taskIds.length)}</span>
+        ${
+          timing
+            ? `<span class="item-due" data-status="${status}">${escapeHtml(
+                describeChecklistTiming(timing, status)
+              )}</span>`
+            : ""
+        }
+      </li>
+    `;
+  };
+
+  const renderChecklistDashboard = () => {
+    const outline = readStoredRecord(CHECKLIST_OUTLINE_KEY);
+    if (outline.sections.length === 0) {
+      checklistDashboard.innerHTML = `
+        <p class="checklist-dashboard-empty">
+          Open the <a class="text-link" href="pcs-checklist.html">PCS Checklist</a>
+          once and your progress will show up here.
+        </p>
+      `;
+      return;
+    }
+    const checklist = readStoredRecord(STORAGE_KEY);
+    const profile = loadProfiles().profiles.find(
+      (candidate) => candidate.id === activeProfileId
+    );
+    const anchors = readChecklistTimelineAnchors(profile);
+    // The household's own items join their section (the first one if it is gone),
+    // and hidden items drop out of every count.
+    const sectionIds = outline.sections.map((section) => section.id);
+    const customItemsFor = (section) =>
+      checklist.customItems
+        .filter(
+          (item) =>
+            item.section === section.id ||
+            (section.id === sectionIds[0] && !sectionIds.includes(item.section))
+        )
+        .map((item) => ({
+          id: item.id,
+          title: item.title,
+          taskIds: item.subtasks.map((subtask) => subtask.id),
+          timing: item.dueDate ? { dueDate: item.dueDate } : item.timing,
+        }));
+    const sections = outline.sections.map((section) => {
+      const items = [...section.items, ...customItemsFor(section)]
+        .filter((item) => !checklist.hiddenItems.includes(item.id))
+        .map((item) => {
+          const done = item.taskIds.filter(
+            (taskId) => checklist.checked[taskId] === true
+          ).length;
+          return {
+            ...item,
+            done,
+            isComplete: item.taskIds.length > 0 && done === item.taskIds.length,
+          };
+        });
+      return {
+        title: section.title,
+        items,
+        done: items.reduce((sum, item) => sum + item.done, 0),
+        total: items.reduce((sum, item) => sum + item.taskIds.length, 0),
+      };
+    });
+    const done = sections.reduce((sum, section) => sum + section.done, 0);
+    const total = sections.reduce((sum, section) => sum + section.total, 0);
+    const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+    const nextItems = findNextChecklistItems(
+      sections.flatMap((section) => section.items),
+      anchors
+    );
+    checklistDashboard.innerHTML = `
+      <div class="checklist-dashboard-overall">
+        <p class="checklist-dashboard-percent">${percent}%</p>
+        <div>
+          <meter min="0" max="${total}" value="${done}"></meter>
+          <p class="checklist-progress-text">
+            ${formatTaskProgress(done, total)} done · ${total - done} remaining
+          </p>
+        </div>
+      </div>
+      <ul class="checklist-dashboard-sections">
+        ${sections
+          .map((section) => renderProgressRow(section.title, section.done, section.total))
+          .join("")}
+      </ul>
+      <h3>Next up</h3>
+      ${
+        nextItems.length > 0
+          ? `<ol class="checklist-dashboard-next">${nextItems.map(renderNextItem).join("")}</ol>`
+          : '<p class="checklist-dashboard-empty">Every checklist task is done.</p>'
+      }
+      ${
+        anchors.report || anchors["pack-out"]
+          ? ""
+          : `<p class="checklist-dashboard-empty">
+              Add your report date on the checklist to list tasks by due date.
+            </p>`
+      }
+    `;
+  };
+
+  window.addEventListener("storage", (event) => {
+    if (!event.key || event.key.startsWith("pcs-")) {
+      renderChecklistDashboard();
+    }
+  });
+
+  renderChecklistDashboard();
+}
+
+// Damage and loss claim lines built from inventory items, stored per move.
+const CLAIMS_KEY = "pcs-move-claims";
+
+// Claim details typed in for each line; everything else is copied from the inventory item.
+const CLAIM_LINE_FIELDS = [
+  "purchaseDate",
+  "originalCost",
+  "replacementCost",
+  "damageDescription",
+];
+
+registerStorageSchema(CLAIMS_KEY, {
+  label: "move claims",
+  perProfile: true,
+  version: 1,
+  createEmpty: () => ({ lines: [] }),
+  isValid: (claims) =>
+    isPlainObject(claims) &&
+    Array.isArray(claims.lines) &&
+    claims.lines.every(
+      (line) =>
+        isPlainObject(line) &&
+        typeof line.id === "string" &&
+        Array.isArray(line.photoIds)
+    ),
+  migrations: [
+    // v0 → v1: no shape change; claims were always written with a version.
+    (claims) => claims,
+  ],
+});
+
+const loadClaims = () => readStoredRecord(CLAIMS_KEY);
+
+const saveClaims = (claims) => {
+  writeStoredRecord(CLAIMS_KEY, claims);
+};
+
+// PPM planner inputs and weight tickets, stored per move.
+const PPM_KEY = "pcs-move-ppm";
+
+const PPM_EXPENSE_FIELDS = ["truckRental", "fuel", "tolls", "packing", "lodging"];
+
+registerStorageSchema(PPM_KEY, {
+  label: "PPM planner",
+  perProfile: true,
+  version: 1,
+  createEmpty: () => ({ distance: null, sharePercent: 100, expenses: {}, trips: [] }),
+  isValid: (ppm) =>
+    isPlainObject(ppm) &&
+    isPlainObject(ppm.expenses) &&
+    Array.isArray(ppm.trips) &&
+    ppm.trips.every((trip) => isPlainObject(trip) && typeof trip.id === "string"),
+  migrations: [
+    // v0 → v1: no shape change; the planner always wrote a version.
+    (ppm) => ppm,
+  ],
+});
+
+const loadPpm = () => readStoredRecord(PPM_KEY);
+
+const savePpm = (ppm) => {
+  writeStoredRecord(PPM_KEY, ppm);
+};
+
+// Everything stored for one move profile, used by backups and profile management.
+const loadProfileData = (profileId) => ({
+  checklist: readStoredRecord(STORAGE_KEY, { profileId }),
+  inventory: readStoredRecord(INVENTORY_KEY, { profileId }),
+  logistics: readStoredRecord(LOGISTICS_KEY, { profileId }),
+  claims: readStoredRecord(CLAIMS_KEY, { profileId }),
+  ppm: readStoredRecord(PPM_KEY, { profileId }),
+});
+
+const saveProfileData = (profileId, data) => {
+  writeStoredRecord(STORAGE_KEY, data.checklist, { profileId });
+  writeStoredRecord(INVENTORY_KEY, data.inventory, {
+    profileId,
+    replacer: inventoryReplacer,
+  });
+  writeStoredRecord(LOGISTICS_KEY, data.logistics, { profileId });
+  writeStoredRecord(CLAIMS_KEY, data.claims, { profileId });
+  writeStoredRecord(PPM_KEY, data.ppm, { profileId });
+};
+
+// Photo ids used by one profile's inventory and claims.
+const collectProfilePhotoIds = (data) => [
+  ...data.inventory.rooms.flatMap((room) => [
+    ...room.photoIds,
+    ...room.items.flatMap((item) => item.photoIds),
+  ]),
+  ...data.claims.lines.flatMap((line) => [
+    ...line.photoIds,
+    ...normalizePhotoIds(line.itemPhotoIds),
+  ]),
+];
+
+// Photos still reachable from any profile, including this session's undo history,
+// so removing a photo from an item can be undone without losing the image.
+const collectReferencedPhotoIds = () => {
+  const photoIds = new Set();
+  profileRegistry.profiles.forEach((profile) => {
+    collectProfilePhotoIds(loadProfileData(profile.id)).forEach((photoId) =>
+      photoIds.add(photoId)
+    );
+    try {
+      const history = JSON.parse(
+        sessionStorage.getItem(`${INVENTORY_HISTORY_KEY}:${profile.id}`)
+      );
+      // Snapshots may predate the current schema, so every field is checked.
+      [...(history?.undo || []), ...(history?.redo || [])].forEach((snapshot) => {
+        (JSON.parse(snapshot).rooms || []).forEach((room) => {
+          [
+            ...normalizePhotoIds(room.photoIds),
+            ...(room.items || []).flatMap((item) => normalizePhotoIds(item.photoIds)),
+          ].forEach((photoId) => photoIds.add(photoId));
+        });
+      });
+    } catch (error) {
+      console.warn("Unable to read photos from the undo history.", error);
+    }
+  });
+  return photoIds;
+};
+
+if (calendarGrid && calendarLabel) {
+  const calendarState = {
+    view: "month",
+    focusDate: new Date(),
+  };
+  const events = new Map();
+  const logistics = loadLogistics();
+
+  const toDateKey = (date) =>
+    [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, "0"),
+      String(date.getDate()).padStart(2, "0"),
+    ].join("-");
+
+  const addDaysToKey = (dateKey, days) => {
+    const [year, month, day] = dateKey.split("-").map(Number);
+    return toDateKey(new Date(year, month - 1, day + days));
+  };
+
+  const parseTime = (value) => {
+    if (!value) {
+      return "";
+    }
+    const [hours, minutes] = value.split(":").map(Number);
+    const clock = new Date();
+    clock.setHours(hours, minutes || 0, 0, 0);
+    return clock.toLocaleTimeString("en-US", {
+      hour: "numeric",
+      minute: "2-digit",
+    });
+  };
+
+  const startOfWeek = (date) => {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - start.getDay());
+    return start;
+  };
+
+  const endOfWeek = (date) => {
+    const end = startOfWeek(date);
+    end.setDate(end.getDate() + 6);
+    return end;
+  };
+
+  const updateCalendarLabel = (startDate, endDate) => {
+    if (calendarState.view === "month") {
+      calendarLabel.textContent = new Intl.DateTimeFormat("en-US", {
+        month: "long",
+        year: "numeric",
+      }).format(calendarState.focusDate);
+      return;
+    }
+    const formatter = new Intl.DateTimeFormat("en-US", {
+      month: "short",
+      day: "numeric",
+    });
+    calendarLabel.textContent = `Week of ${formatter.format(
+      startDate
+    )} – ${formatter.format(endDate)}`;
+  };
+
+  const renderCalendar = () => {
+    const focusDate = calendarState.focusDate;
+    const monthStart = new Date(focusDate.getFullYear(), focusDate.getMonth(), 1);
+    const monthEnd = new Date(focusDate.getFullYear(), focusDate.getMonth() + 1, 0);
+    let startDate = monthStart;
+    let endDate = monthEnd;
+
+    if (calendarState.view === "month") {
+      startDate = startOfWeek(monthStart);
+      endDate = endOfWeek(monthEnd);
+    } else {
+      startDate = startOfWeek(focusDate);
+      endDate = endOfWeek(focusDate);
+    }
+
+    updateCalendarLabel(startDate, endDate);
+    calendarGrid.innerHTML = "";
+
+    const eventsByDate = {};
+    events.forEach((event) => {
+      if (!event.date) {
+        return;
+      }
+      // Multi-day events (e.g. imported lodging stays) appear on every day they span.
+      let dayKey = event.date;
+      const lastDayKey =
+        event.endDate && event.endDate > event.date ? event.endDate : event.date;
+      for (let dayCount = 0; dayKey <= lastDayKey && dayCount < 62; dayCount += 1) {
+        if (!eventsByDate[dayKey]) {
+          eventsByDate[dayKey] = [];
+        }
+        eventsByDate[dayKey].push(event);
+        dayKey = addDaysToKey(dayKey, 1);
+      }
+    });
+
+    Object.values(eventsByDate).forEach((dayEvents) => {
+      dayEvents.sort((a, b) => (a.time || "").localeCompare(b.time || ""));
+    });
+
+    const dayIterator = new Date(startDate);
+    const todayKey = toDateKey(new Date());
+
+    while (dayIterator <= endDate) {
+      const dayKey = toDateKey(dayIterator);
+      const dayCell = document.createElement("div");
+      dayCell.className = "calendar-day";
+      dayCell.setAttribute("role", "gridcell");
+
+      if (calendarState.view === "month" && dayIterator.getMonth() !== focusDate.getMonth()) {
+        dayCell.classList.add("is-outside");
+      }
+      if (dayKey === todayKey) {
+        dayCell.classList.add("is-today");
+      }
+
+      const header = document.createElement("div");
+      header.className = "calendar-day-header";
+      header.textContent = dayIterator.toLocaleDateString("en-US", {
+        weekday: "short",
+        day: "numeric",
+      });
+      dayCell.appendChild(header);
+
+      const eventList = document.createElement("div");
+      eventList.className = "calendar-events";
+      const dayEvents = eventsByDate[dayKey] || [];
+      dayEvents.forEach((event) => {
+        const eventCard = document.createElement("div");
+        eventCard.className = "calendar-event";
+
+        const title = document.createElement("div");
+        title.className = "calendar-event-title";
+        title.textContent = event.title;
+        eventCard.appendChild(title);
+
+        const metaPieces = [];
+        if (event.time) {
+          metaPieces.push(parseTime(event.time));
+        }
+        if (event.location) {
+          metaPieces.push(event.location);
+        }
+        if (metaPieces.length > 0) {
+          const meta = document.createElement("div");
+          meta.className = "calendar-event-meta";
+          meta.textContent = metaPieces.join(" • ");
+          eventCard.appendChild(meta);
+        }
+
+        eventList.appendChild(eventCard);
+      });
+
+      dayCell.appendChild(eventList);
+      calendarGrid.appendChild(dayCell);
 
-    const shouldOpen = filteredQuery || openRoomIndexes.has(roomIndex);
+      dayIterator.setDate(dayIterator.getDate() + 1);
+    }
+  };
 
-    return `
-      <details class="inventory-room" data-room-index="${roomIndex}" ${
-        shouldOpen ? "open" : ""
-      }>
-        <summary>
-          <div class="inventory-room-summary">
-            <div class="inventory-room-heading">
-              <h3>${room.name}</h3>
-              <span class="inventory-room-meta">${itemCount} items</span>
-            </div>
-            <div class="inventory-room-menu">
-              <button
-                type="button"
-                class="item-menu-trigger"
-                data-action="toggle-room-menu"
-                data-room-index="${roomIndex}"
-                aria-haspopup="true"
-                aria-expanded="false"
-                aria-label="Room options"
-              >
-                ⋮
-              </button>
-              <div class="item-menu-dropdown" role="menu" hidden>
-                <button
-                  type="button"
-                  class="item-menu-item"
-                  data-action="open-room-panel"
-                  data-panel="rename"
-                  data-room-index="${roomIndex}"
-                >
-                  Rename room
-                </button>
-                <button
-                  type="button"
-                  class="item-menu-item item-menu-item--danger"
-                  data-action="delete-room"
-                  data-room-index="${roomIndex}"
-                >
-                  Delete room
-                </button>
-              </div>
-            </div>
-          </div>
-        </summary>
-        <div
-          class="inventory-room-panel inventory-item-panel"
-          data-room-panel="rename"
-          ${room.editMode === "rename" ? "" : "hidden"}
-        >
-          <label class="inventory-item-field">
-            New room name
-            <input
-              type="text"
-              value="${room.name}"
-              data-room-rename-input
-              data-room-index="${roomIndex}"
-            />
-          </label>
-          <div class="inventory-item-panel-actions">
-            <button
-              type="button"
-              class="label-action secondary"
-              data-action="cancel-room-panel"
-              data-room-index="${roomIndex}"
-            >
-              Cancel
-            </button>
-            <button
-              type="button"
-              class="label-action"
-              data-action="confirm-room-rename"
-              data-room-index="${roomIndex}"
-            >
-              Save Name
-            </button>
-          </div>
-        </div>
-        <form class="inventory-form" data-room-index="${roomIndex}">
-          <label for="item-label-${roomIndex}">Add a box or item</label>
-          <input
-            id="item-label-${roomIndex}"
-            name="item-label"
-            type="text"
-            placeholder="Box 1 – Dishes"
-            required
-          />
-          <label for="item-category-${roomIndex}">Item category</label>
-          <select id="item-category-${roomIndex}" name="item-category">
-            ${buildCategoryOptions("Moving Box")}
-          </select>
-          <label for="item-notes-${roomIndex}">Notes (optional)</label>
-          <textarea
-            id="item-notes-${roomIndex}"
-            name="item-notes"
-            placeholder="Fragile, open first, belongs upstairs"
-          ></textarea>
-          <button type="submit">Add Item</button>
-        </form>
-        <p class="inventory-room-weight">
-          Estimated Weight for ${room.name}: ${room.roomWeight} lbs
-        </p>
-        ${itemsMarkup}
-      </details>
-    `;
+  const upsertEvent = (event) => {
+    events.set(event.id, event);
+    renderCalendar();
+  };
+
+  const removeEvent = (eventId) => {
+    if (events.has(eventId)) {
+      events.delete(eventId);
+      renderCalendar();
+    }
+  };
+
+  const readContact = (section) => {
+    const valueOf = (role) =>
+      section.querySelector(`[data-role='${role}']`)?.value.trim() || "";
+    return {
+      name: valueOf("contact-name"),
+      company: valueOf("contact-company"),
+      phone: valueOf("contact-phone"),
+      email: valueOf("contact-email"),
+    };
+  };
+
+  const updateEventFromSection = (section) => {
+    const eventId = section.dataset.eventId;
+    const title = section.dataset.eventTitle;
+    const dateInput = section.querySelector("[data-role='date']");
+    const timeInput = section.querySelector("[data-role='time']");
+    const locationInput = section.querySelector("[data-role='location']");
+    const notesInput = section.querySelector("[data-role='notes']");
+
+    if (!dateInput || !title || !eventId) {
+      return;
+    }
+
+    const dateValue = dateInput.value;
+    if (!dateValue) {
+      removeEvent(eventId);
+      return;
+    }
+
+    upsertEvent({
+      id: eventId,
+      title,
+      date: dateValue,
+      time: timeInput ? timeInput.value : "",
+      location: locationInput ? locationInput.value.trim() : "",
+      notes: notesInput ? notesInput.value.trim() : "",
+      contact: readContact(section),
+    });
+  };
+
+  // Read every persisted field in a section so contacts survive reloads too.
+  const readSectionFields = (section) =>
+    Object.entries(SECTION_FIELDS).reduce((record, [key, role]) => {
+      const input = section.querySelector(`[data-role='${role}']`);
+      record[key] = input ? input.value : "";
+      return record;
+    }, {});
+
+  const applySectionFields = (section, record) => {
+    Object.entries(SECTION_FIELDS).forEach(([key, role]) => {
+      const input = section.querySelector(`[data-role='${role}']`);
+      if (input && typeof record[key] === "string") {
+        input.value = record[key];
+      }
+    });
+  };
+
+  const saveSection = (section) => {
+    const eventId = section.dataset.eventId;
+    if (!eventId) {
+      return;
+    }
+    logistics.sections[eventId] = readSectionFields(section);
+    saveLogistics(logistics);
+  };
+
+  const attachSectionListeners = (section) => {
+    const inputs = Array.from(
+      section.querySelectorAll(
+        Object.values(SECTION_FIELDS)
+          .map((role) => `[data-role='${role}']`)
+          .join(", ")
+      )
+    );
+
+    inputs.forEach((input) => {
+      input.addEventListener("input", () => {
+        updateEventFromSection(section);
+        saveSection(section);
+      });
+      input.addEventListener("change", () => {
+        updateEventFromSection(section);
+        saveSection(section);
+      });
+    });
+
+    const clearButton = section.querySelector("[data-action='clear-event']");
+    const dateInput = section.querySelector("[data-role='date']");
+    const timeInput = section.querySelector("[data-role='time']");
+
+    if (clearButton && dateInput) {
+      clearButton.addEventListener("click", () => {
+        dateInput.value = "";
+        if (timeInput) {
+          timeInput.value = "";
+        }
+        updateEventFromSection(section);
+        saveSection(section);
+      });
+    }
+  };
+
+  // Restore saved section forms before wiring listeners so the calendar rebuilds on load.
+  logisticsSections.forEach((section) => {
+    const record = logistics.sections[section.dataset.eventId];
+    if (record) {
+      applySectionFields(section, record);
+      updateEventFromSection(section);
+    }
+    attachSectionListeners(section);
+  });
+
+  const createStop = () => ({
+    id: `stop-${Date.now()}-${Math.floor(Math.random() * 10000)}`,
+    city: "",
+    date: "",
+    lodging: "",
+    address: "",
+    phone: "",
+    notes: "",
+    addToCalendar: false,
+  });
+
+  const renderItineraryStop = (stop) => {
+    if (!itineraryStopsContainer || !itineraryTemplate) {
+      return;
+    }
+    const clone = itineraryTemplate.content.cloneNode(true);
+    const stopElement = clone.querySelector(".itinerary-stop");
+    if (!stopElement) {
+      return;
+    }
+    const stopId = stop.id;
+    stopElement.dataset.stopId = stopId;
+
+    Object.entries(STOP_FIELDS).forEach(([key, role]) => {
+      const input = stopElement.querySelector(`[data-role='${role}']`);
+      if (input && typeof stop[key] === "string") {
+        input.value = stop[key];
+      }
+    });
+    const calendarCheckbox = stopElement.querySelector(
+      "[data-role='stop-calendar']"
+    );
+    if (calendarCheckbox) {
+      calendarCheckbox.checked = Boolean(stop.addToCalendar);
+    }
+
+    // Mirror the stop inputs back into the saved itinerary on every edit.
+    const saveStop = () => {
+      Object.entries(STOP_FIELDS).forEach(([key, role]) => {
+        const input = stopElement.querySelector(`[data-role='${role}']`);
+        stop[key] = input ? input.value : "";
+      });
+      stop.addToCalendar = Boolean(calendarCheckbox?.checked);
+      saveLogistics(logistics);
+    };
+
+    const updateStopEvent = () => {
+      const dateInput = stopElement.querySelector("[data-role='stop-date']");
+      const cityInput = stopElement.querySelector("[data-role='stop-city']");
+      const lodgingInput = stopElement.querySelector("[data-role='stop-lodging']");
+      const calendarToggle = stopElement.querySelector("[data-role='stop-calendar']");
+
+      if (!dateInput || !calendarToggle) {
+        return;
+      }
+
+      const eventId = `itinerary-${stopId}`;
+      if (!calendarToggle.checked || !dateInput.value) {
+        removeEvent(eventId);
+        return;
+      }
+
+      const city = cityInput ? cityInput.value.trim() : "";
+      const lodging = lodgingInput ? lodgingInput.value.trim() : "";
+      const address =
+        stopElement.querySelector("[data-role='stop-address']")?.value.trim() || "";
+      const phone =
+        stopElement.querySelector("[data-role='stop-phone']")?.value.trim() || "";
+      const notes =
+        stopElement.querySelector("[data-role='stop-notes']")?.value.trim() || "";
+      const title = city ? `Itinerary stop: ${city}` : "Itinerary stop";
+      const locationDetail = lodging || city;
+
+      upsertEvent({
+        id: eventId,
+        title,
+        date: dateInput.value,
+        time: "",
+        location: address ? `${locationDetail}, ${address}` : locationDetail,
+        notes,
+        // Lodging acts as the contact for an overnight stop.
+        contact: { name: "", company: lodging, phone, email: "" },
+      });
+    };
+
+    const inputs = Array.from(
+      stopElement.querySelectorAll(
+        [...Object.values(STOP_FIELDS), "stop-calendar"]
+          .map((role) => `[data-role='${role}']`)
+          .join(", ")
+      )
+    );
+
+    inputs.forEach((input) => {
+      input.addEventListener("input", () => {
+        updateStopEvent();
+        saveStop();
+      });
+      input.addEventListener("change", () => {
+        updateStopEvent();
+        saveStop();
+      });
+    });
+
+    const removeButton = stopElement.querySelector("[data-action='remove-stop']");
+    if (removeButton) {
+      removeButton.addEventListener("click", () => {
+        removeEvent(`itinerary-${stopId}`);
+        stopElement.remove();
+        logistics.stops = logistics.stops.filter(
+          (savedStop) => savedStop.id !== stopId
+        );
+        saveLogistics(logistics);
+      });
+    }
+
+    itineraryStopsContainer.appendChild(stopElement);
+    updateStopEvent();
+  };
+
+  // Saved stops are rebuilt in order so overnight plans survive page reloads.
+  logistics.stops.forEach((stop) => {
+    renderItineraryStop(stop);
+  });
+
+  if (addItineraryStopButton) {
+    addItineraryStopButton.addEventListener("click", () => {
+      const stop = createStop();
+      logistics.stops.push(stop);
+      saveLogistics(logistics);
+      renderItineraryStop(stop);
+    });
+  }
+
+  // iCalendar (RFC 5545) export so the plan can be imported into phone calendars.
+  const escapeIcsText = (value) =>
+    String(value)
+      .replace(/\\/g, "\\\\")
+      .replace(/;/g, "\\;")
+      .replace(/,/g, "\\,")
+      .replace(/\r?\n/g, "\\n");
+
+  // Content lines longer than 75 octets are folded with CRLF + a single space.
+  const foldIcsLine = (line) => {
+    const encoder = new TextEncoder();
+    const segments = [];
+    let current = "";
+    let currentBytes = 0;
+    Array.from(line).forEach((character) => {
+      const characterBytes = encoder.encode(character).length;
+      const limit = segments.length === 0 ? 75 : 74;
+      if (currentBytes + characterBytes > limit) {
+        segments.push(current);
+        current = "";
+        currentBytes = 0;
+      }
+      current += character;
+      currentBytes += characterBytes;
+    });
+    segments.push(current);
+    return segments.join("\r\n ");
   };
 
-  // High-value summary list stays in sync with the inventory state.
-  const renderHighValueSummary = () => {
-    if (!highValueList || !highValueEmpty) {
-      return;
-    }
-    const highValueItems = [];
-    inventory.rooms.forEach((room) => {
-      room.items.forEach((item) => {
-        ensureItemDefaults(item);
-        if (item.isHighValue) {
-          highValueItems.push({ item, roomName: room.name });
-        }
-      });
-    });
+  const toIcsDate = (dateKey) => dateKey.replace(/-/g, "");
 
-    if (highValueItems.length === 0) {
-      highValueList.innerHTML = "";
-      highValueEmpty.hidden = false;
-      return;
-    }
+  const toIcsDateTime = (dateKey, time) => {
+    const [hours, minutes] = time.split(":");
+    return `${toIcsDate(dateKey)}T${hours.padStart(2, "0")}${(
+      minutes || "00"
+    ).padStart(2, "0")}00`;
+  };
 
-    highValueEmpty.hidden = true;
-    highValueList.innerHTML = highValueItems
-      .map(({ item, roomName }) => {
-        const weightLabel = Number.isFinite(item.weight)
-          ? `${item.weight} lbs`
-          : "";
-        return `
-          <li class="inventory-high-value-item">
-            <div class="inventory-high-value-details">
-              <strong>${item.label}</strong>
-              <span class="inventory-high-value-room">${roomName}</span>
-            </div>
-            ${
-              weightLabel
-                ? `<span class="inventory-high-value-weight">${weightLabel}</span>`
-                : ""
-            }
-          </li>
-        `;
-      })
-      .join("");
+  const toUtcStamp = (date) =>
+    date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+  const describeContact = (contact) => {
+    if (!contact) {
+      return "";
+    }
+    return [contact.name, contact.company, contact.phone, contact.email]
+      .filter(Boolean)
+      .join(", ");
   };
 
-  // Render all rooms based on current search query and stored state.
-  const renderRooms = () => {
-    if (!currentQuery) {
-      openRoomIndexes = new Set(
-        Array.from(roomsContainer.querySelectorAll(".inventory-room"))
-          .filter((roomCard) => roomCard.open)
-          .map((roomCard) => Number(roomCard.dataset.roomIndex))
-          .filter((roomIndex) => !Number.isNaN(roomIndex))
+  const buildEventLines = (event, timestamp) => {
+    const lines = [
+      "BEGIN:VEVENT",
+      `UID:${event.id}@pcs-pro`,
+      `DTSTAMP:${timestamp}`,
+    ];
+    if (event.time && event.endTime) {
+      lines.push(`DTSTART:${toIcsDateTime(event.date, event.time)}`);
+      lines.push(
+        `DTEND:${toIcsDateTime(event.endDate || event.date, event.endTime)}`
       );
+    } else if (event.time) {
+      // Timed events use floating local time so they stay at the planned wall-clock hour.
+      const [hours, minutes] = event.time.split(":").map(Number);
+      const end = new Date(2000, 0, 1, hours + 1, minutes || 0);
+      const endDateKey =
+        end.getDate() === 2 ? addDaysToKey(event.date, 1) : event.date;
+      const endTime = `${String(end.getHours()).padStart(2, "0")}:${String(
+        end.getMinutes()
+      ).padStart(2, "0")}`;
+      lines.push(`DTSTART:${toIcsDateTime(event.date, event.time)}`);
+      lines.push(`DTEND:${toIcsDateTime(endDateKey, endTime)}`);
+    } else {
+      const lastDayKey =
+        event.endDate && event.endDate > event.date ? event.endDate : event.date;
+      lines.push(`DTSTART;VALUE=DATE:${toIcsDate(event.date)}`);
+      lines.push(`DTEND;VALUE=DATE:${toIcsDate(addDaysToKey(lastDayKey, 1))}`);
     }
-
-    if (inventory.rooms.length === 0) {
-      roomsContainer.innerHTML = `
-        <section class="info-panel">
-          <h2>Start your room list</h2>
-          <p>
-            Add a room above to begin tracking boxes and household items for
-            your move.
-          </p>
-        </section>
-      `;
-      renderHighValueSummary();
-      return;
+    lines.push(`SUMMARY:${escapeIcsText(event.title)}`);
+    if (event.location) {
+      lines.push(`LOCATION:${escapeIcsText(event.location)}`);
     }
+    const contactDetail = describeContact(event.contact);
+    const description = [
+      event.notes,
+      contactDetail ? `Contact: ${contactDetail}` : "",
+    ]
+      .filter(Boolean)
+      .join("\n");
+    if (description) {
+      lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+    }
+    if (contactDetail) {
+      lines.push(`CONTACT:${escapeIcsText(contactDetail)}`);
+    }
+    lines.push("END:VEVENT");
+    return lines;
+  };
 
-    roomsContainer.innerHTML = inventory.rooms
-      .map((room, index) => renderRoom(room, index))
-      .join("");
-    activeMenuItemId = null;
-    activeRoomMenuIndex = null;
+  const buildCalendarFile = (calendarEvents) => {
+    const timestamp = toUtcStamp(new Date());
+    const lines = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//PCS Pro//Move Logistics//EN",
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      ...calendarEvents.flatMap((event) => buildEventLines(event, timestamp)),
+      "END:VCALENDAR",
+    ];
+    return `${lines.map(foldIcsLine).join("\r\n")}\r\n`;
+  };
 
-    if (totalWeightDisplay) {
-      totalWeightDisplay.textContent = `${inventory.totalWeight} lbs`;
-    }
-    renderHighValueSummary();
+  if (exportCalendarButton) {
+    exportCalendarButton.addEventListener("click", () => {
+      const calendarEvents = Array.from(events.values())
+        .filter((event) => event.date)
+        .sort((a, b) =>
+          `${a.date}${a.time || ""}`.localeCompare(`${b.date}${b.time || ""}`)
+        );
+      if (calendarEvents.length === 0) {
+        if (calendarExportStatus) {
+          calendarExportStatus.textContent =
+            "Add a date to at least one event before exporting.";
+        }
+        return;
+      }
+      downloadFile(
+        buildCalendarFile(calendarEvents),
+        "pcs-move-calendar.ics",
+        "text/calendar"
+      );
+      if (calendarExportStatus) {
+        calendarExportStatus.textContent = `Exported ${calendarEvents.length} event${
+          calendarEvents.length === 1 ? "" : "s"
+        }.`;
+      }
+    });
+  }
+
+  // iCalendar import: parse VEVENTs from confirmation files and map them onto the plan.
+  const unescapeIcsText = (value) =>
+    value.replace(/\\([\\;,nN])/g, (match, character) =>
+      character === "n" || character === "N" ? "\n" : character
+    );
+
+  // Outlook and Exchange attachments often use Windows zone names instead of IANA ids.
+  const WINDOWS_TIME_ZONES = {
+    "Eastern Standard Time": "America/New_York",
+    "Central Standard Time": "America/Chicago",
+    "Mountain Standard Time": "America/Denver",
+    "US Mountain Standard Time": "America/Phoenix",
+    "Pacific Standard Time": "America/Los_Angeles",
+    "Alaskan Standard Time": "America/Anchorage",
+    "Hawaiian Standard Time": "Pacific/Honolulu",
+    "Atlantic Standard Time": "America/Halifax",
+    "GMT Standard Time": "Europe/London",
+    "W. Europe Standard Time": "Europe/Berlin",
+    "Central Europe Standard Time": "Europe/Budapest",
+    "Tokyo Standard Time": "Asia/Tokyo",
+    "Korea Standard Time": "Asia/Seoul",
+    UTC: "UTC",
   };
 
-  // Add a room to the inventory state.
-  roomForm.addEventListener("submit", (event) => {
-    event.preventDefault();
-    const name = roomNameInput.value.trim();
-    if (!name) {
-      return;
-    }
-    inventory.rooms.push({ name, items: [] });
-    syncInventoryState();
-    roomNameInput.value = "";
-    renderRooms();
-  });
+  const unfoldIcsLines = (text) =>
+    text
+      .replace(/\r?\n[ \t]/g, "")
+      .split(/\r?\n/)
+      .filter((line) => line.trim() !== "");
 
-  // Delegated handler to capture add-item submissions for any room.
-  roomsContainer.addEventListener("submit", (event) => {
-    const form = event.target.closest("form[data-room-index]");
-    if (!form) {
-      return;
+  const parseIcsLine = (line) => {
+    let inQuotes = false;
+    let separatorIndex = -1;
+    for (let index = 0; index < line.length; index += 1) {
+      const character = line[index];
+      if (character === '"') {
+        inQuotes = !inQuotes;
+      } else if (character === ":" && !inQuotes) {
+        separatorIndex = index;
+        break;
+      }
     }
-    event.preventDefault();
-    const roomIndex = Number(form.dataset.roomIndex);
-    const labelInput = form.querySelector("input[name='item-label']");
-    const categorySelect = form.querySelector("select[name='item-category']");
-    const notesInput = form.querySelector("textarea[name='item-notes']");
-    const label = labelInput.value.trim();
-    const notes = notesInput.value.trim();
-    const category = categorySelect?.value || "Miscellaneous";
-    if (!label || Number.isNaN(roomIndex)) {
-      return;
+    if (separatorIndex === -1) {
+      return null;
     }
-    const categoryDefinition = getCategoryDefinition(category);
-    const newItem = {
-      label,
-      category,
-      notes,
-      weight: categoryDefinition.defaultWeight,
-      includeInEstimate: true,
-      // High-value flag stays false unless explicitly marked by the user.
-      isHighValue: false,
+    const [name, ...paramPieces] = line.slice(0, separatorIndex).split(";");
+    const params = {};
+    paramPieces.forEach((piece) => {
+      const [key, ...rest] = piece.split("=");
+      params[key.toUpperCase()] = rest.join("=").replace(/^"|"$/g, "");
+    });
+    return {
+      name: name.toUpperCase(),
+      params,
+      value: line.slice(separatorIndex + 1),
     };
-    inventory.rooms[roomIndex].items.push(newItem);
-    syncInventoryState();
-    labelInput.value = "";
-    notesInput.value = "";
-    renderRooms();
-  });
+  };
 
-  roomsContainer.addEventListener("change", (event) => {
-    const target = event.target.closest("[data-field]");
-    if (!target) {
-      return;
-    }
-    const roomIndex = Number(target.dataset.roomIndex);
-    const itemIndex = Number(target.dataset.itemIndex);
-    if (Number.isNaN(roomIndex) || Number.isNaN(itemIndex)) {
-      return;
-    }
-    const item = inventory.rooms[roomIndex]?.items[itemIndex];
-    if (!item) {
-      return;
+  const getTimeZoneOffset = (timestamp, timeZone) => {
+    const formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    const values = {};
+    formatter.formatToParts(new Date(timestamp)).forEach((part) => {
+      values[part.type] = Number(part.value);
+    });
+    const zonedAsUtc = Date.UTC(
+      values.year,
+      values.month - 1,
+      values.day,
+      values.hour,
+      values.minute,
+      values.second
+    );
+    return zonedAsUtc - Math.floor(timestamp / 1000) * 1000;
+  };
+
+  // Convert a wall-clock time in a named zone to this device's local time.
+  const zonedTimeToDate = (parts, timeZone) => {
+    const wallClockAsUtc = Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hours,
+      parts.minutes,
+      parts.seconds
+    );
+    const firstOffset = getTimeZoneOffset(wallClockAsUtc, timeZone);
+    const secondOffset = getTimeZoneOffset(
+      wallClockAsUtc - firstOffset,
+      timeZone
+    );
+    return new Date(wallClockAsUtc - secondOffset);
+  };
+
+  const toTimeKey = (date) =>
+    `${String(date.getHours()).padStart(2, "0")}:${String(
+      date.getMinutes()
+    ).padStart(2, "0")}`;
+
+  // Returns { date, time } in local terms; time is empty for all-day values.
+  const parseIcsDateValue = (property) => {
+    const match = property.value
+      .trim()
+      .match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) {
+      return null;
     }
-    if (target.dataset.field === "category") {
-      item.category = target.value;
-      item.weight = getCategoryDefinition(item.category).defaultWeight;
+    const [, year, month, day, hours, minutes, seconds, utcFlag] = match;
+    if (property.params.VALUE === "DATE" || hours === undefined) {
+      return { date: `${year}-${month}-${day}`, time: "" };
     }
-    if (target.dataset.field === "weight") {
-      item.weight = coerceWeight(
-        target.value,
-        getCategoryDefinition(item.category).defaultWeight
+    const parts = {
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      hours: Number(hours),
+      minutes: Number(minutes),
+      seconds: Number(seconds || 0),
+    };
+    let localDate = null;
+    if (utcFlag) {
+      localDate = new Date(
+        Date.UTC(
+          parts.year,
+          parts.month - 1,
+          parts.day,
+          parts.hours,
+          parts.minutes,
+          parts.seconds
+        )
       );
+    } else if (property.params.TZID) {
+      const tzid = property.params.TZID.replace(/^\//, "");
+      try {
+        localDate = zonedTimeToDate(parts, WINDOWS_TIME_ZONES[tzid] || tzid);
+      } catch (error) {
+        // Unknown zone names fall back to floating time rather than failing the import.
+        console.warn(`Unknown time zone "${tzid}" in calendar file.`, error);
+      }
     }
-    if (target.dataset.field === "include") {
-      item.includeInEstimate = target.checked;
+    if (!localDate) {
+      localDate = new Date(
+        parts.year,
+        parts.month - 1,
+        parts.day,
+        parts.hours,
+        parts.minutes,
+        parts.seconds
+      );
     }
-    if (target.dataset.field === "high-value") {
-      // Update the high-value summary list immediately when toggled.
-      item.isHighValue = target.checked;
+    return { date: toDateKey(localDate), time: toTimeKey(localDate) };
+  };
+
+  const applyIcsDuration = (start, duration) => {
+    const match = duration
+      .trim()
+      .match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) {
+      return null;
     }
-    syncInventoryState();
-    renderRooms();
-  });
+    const [, sign, weeks, days, hours, minutes] = match;
+    const direction = sign === "-" ? -1 : 1;
+    const [year, month, day] = start.date.split("-").map(Number);
+    const [startHours, startMinutes] = (start.time || "00:00")
+      .split(":")
+      .map(Number);
+    const end = new Date(year, month - 1, day, startHours, startMinutes);
+    end.setDate(
+      end.getDate() + direction * (Number(weeks || 0) * 7 + Number(days || 0))
+    );
+    end.setHours(end.getHours() + direction * Number(hours || 0));
+    end.setMinutes(end.getMinutes() + direction * Number(minutes || 0));
+    return { date: toDateKey(end), time: start.time ? toTimeKey(end) : "" };
+  };
 
-  // Live search filters rooms, items, and notes as the user types.
-  inventorySearch.addEventListener("input", (event) => {
-    currentQuery = event.target.value;
-    renderRooms();
-  });
+  const parseCalendarFile = (text) => {
+    const importedEvents = [];
+    let current = null;
+    let nestedDepth = 0;
+    unfoldIcsLines(text).forEach((line) => {
+      const property = parseIcsLine(line);
+      if (!property) {
+        return;
+      }
+      if (property.name === "BEGIN" && property.value.toUpperCase() === "VEVENT") {
+        current = {};
+        nestedDepth = 0;
+        return;
+      }
+      if (!current) {
+        return;
+      }
+      // Skip nested components such as VALARM so their properties don't leak in.
+      if (property.name === "BEGIN") {
+        nestedDepth += 1;
+        return;
+      }
+      if (property.name === "END" && nestedDepth > 0) {
+        nestedDepth -= 1;
+        return;
+      }
+      if (property.name === "END" && property.value.toUpperCase() === "VEVENT") {
+        importedEvents.push(current);
+        current = null;
+        return;
+      }
+      if (nestedDepth === 0 && !current[property.name]) {
+        current[property.name] = property;
+      }
+    });
 
-  // Label preview & print handling.
-  const labelPanel = document.querySelector("#label-panel");
-  const labelTitle = document.querySelector("#label-title");
-  const labelRoom = document.querySelector("#label-room");
-  const labelWeight = document.querySelector("#label-weight");
-  const labelNotes = document.querySelector("#label-notes");
-  const labelNotesRow = document.querySelector("#label-notes-row");
-  const labelTitleInput = document.querySelector("#label-title-input");
-  const labelRoomInput = document.querySelector("#label-room-input");
-  const labelWeightInput = document.querySelector("#label-weight-input");
-  const labelNotesInput = document.querySelector("#label-notes-input");
-  const labelTitleSizeInput = document.querySelector("#label-title-size");
-  const labelBodySizeInput = document.querySelector("#label-body-size");
-  const labelTitleSizeValue = document.querySelector("#label-title-size-value");
-  const labelBodySizeValue = document.querySelector("#label-body-size-value");
-  const printLabelButton = document.querySelector("#print-label-button");
-  const downloadLabelButton = document.querySelector("#download-label-button");
-  const closeLabelButton = document.querySelector("#close-label-button");
-  const printLabel = document.querySelector("#print-label");
+    return importedEvents
+      .map((properties, index) => {
+        const start = properties.DTSTART
+          ? parseIcsDateValue(properties.DTSTART)
+          : null;
+        if (!start) {
+          return null;
+        }
+        let end = properties.DTEND ? parseIcsDateValue(properties.DTEND) : null;
+        if (!end && properties.DURATION) {
+          end = applyIcsDuration(start, properties.DURATION.value);
+        }
+        let endDate = "";
+        let endTime = "";
+        if (end && !start.time) {
+          // All-day DTEND is exclusive, so the last day is the day before it.
+          const lastDay = addDaysToKey(end.date, -1);
+          endDate = lastDay > start.date ? lastDay : "";
+        } else if (end) {
+          endDate = end.date > start.date ? end.date : "";
+          endTime = end.time;
+        }
+        const textOf = (name) =>
+          properties[name] ? unescapeIcsText(properties[name].value).trim() : "";
+        return {
+          uid: textOf("UID") || `imported-${Date.now()}-${index}`,
+          title: textOf("SUMMARY") || "Imported event",
+          date: start.date,
+          time: start.time,
+          endDate,
+          endTime,
+          location: textOf("LOCATION"),
+          notes: textOf("DESCRIPTION"),
+        };
+      })
+      .filter(Boolean);
+  };
 
-  const defaultLabelSettings = (room, item) => ({
-    title: item.label,
-    room: room.name,
-    weight: `${item.weight} lbs`,
-    notes: item.notes || "",
-    titleSize: 26,
-    bodySize: 18,
-  });
+  // Keyword hints used to suggest which logistics section an imported event belongs to.
+  // Order matters: "unpack" and delivery wording should win over the packers match.
+  const SECTION_MATCHERS = [
+    { eventId: "household-goods-delivery", keywords: ["deliver", "unpack"] },
+    { eventId: "move-consult", keywords: ["consult", "counsel"] },
+    { eventId: "packers", keywords: ["packer", "pack out", "pack-out", "packing"] },
+    { eventId: "load-truck", keywords: ["load", "pickup", "pick-up", "pick up"] },
+    { eventId: "family-departure", keywords: ["depart", "departure"] },
+    { eventId: "family-arrival", keywords: ["arrival", "arrive"] },
+  ];
 
-  const ensureLabelSettings = (room, item) => {
-    if (!item.labelSettings) {
-      item.labelSettings = defaultLabelSettings(room, item);
-    }
-    const defaults = defaultLabelSettings(room, item);
-    item.labelSettings = {
-      ...defaults,
-      ...item.labelSettings,
-    };
-    return item.labelSettings;
-  };
+  const slugifyUid = (uid) =>
+    uid
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || `${Date.now()}`;
 
-  const applyLabelPreview = (settings) => {
-    if (!labelTitle || !labelRoom || !labelWeight || !labelNotes || !printLabel) {
-      return;
+  // Events exported from this planner carry UIDs like "<event id>@pcs-pro".
+  const getExportedEventId = (uid) => uid.match(/^(.+)@pcs-pro$/)?.[1] || null;
+
+  // Imported custom events remember their UID; ones saved before that are matched
+  // by the id they were given, and our own exports by the id inside their UID.
+  const findImportedCustomEvent = (uid) =>
+    logistics.customEvents.find(
+      (savedEvent) =>
+        savedEvent.uid === uid ||
+        savedEvent.id === getExportedEventId(uid) ||
+        (!savedEvent.uid && savedEvent.id === `custom-${slugifyUid(uid)}`)
+    ) || null;
+
+  const suggestSectionForEvent = (importedEvent) => {
+    if (findImportedCustomEvent(importedEvent.uid)) {
+      return "custom";
     }
-    labelTitle.textContent = settings.title || "Box Label";
-    labelRoom.textContent = settings.room || "Room";
-    labelWeight.textContent = settings.weight || "Weight";
-    labelNotes.textContent = settings.notes || "";
-    if (labelNotesRow) {
-      labelNotesRow.hidden = !settings.notes;
+    const exportedMatch = importedEvent.uid.match(/^(.+)@pcs-pro$/);
+    if (
+      exportedMatch &&
+      logisticsSections.some(
+        (section) => section.dataset.eventId === exportedMatch[1]
+      )
+    ) {
+      return exportedMatch[1];
     }
-    printLabel.style.setProperty("--label-title-size", `${settings.titleSize}px`);
-    printLabel.style.setProperty("--label-body-size", `${settings.bodySize}px`);
+    const haystack = `${importedEvent.title} ${importedEvent.notes}`.toLowerCase();
+    const matcher = SECTION_MATCHERS.find(
+      ({ eventId, keywords }) =>
+        logisticsSections.some((section) => section.dataset.eventId === eventId) &&
+        keywords.some((keyword) => haystack.includes(keyword))
+    );
+    return matcher ? matcher.eventId : "custom";
   };
 
-  const syncLabelInputs = (settings) => {
-    if (labelTitleInput) {
-      labelTitleInput.value = settings.title;
-    }
-    if (labelRoomInput) {
-      labelRoomInput.value = settings.room;
+  const formatImportedWhen = (importedEvent) => {
+    const formatDate = (dateKey) => {
+      const [year, month, day] = dateKey.split("-").map(Number);
+      return new Date(year, month - 1, day).toLocaleDateString("en-US", {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+      });
+    };
+    const start = `${formatDate(importedEvent.date)}${
+      importedEvent.time ? ` ${parseTime(importedEvent.time)}` : ""
+    }`;
+    if (importedEvent.endDate) {
+      return `${start} – ${formatDate(importedEvent.endDate)}`;
     }
-    if (labelWeightInput) {
-      labelWeightInput.value = settings.weight;
+    if (importedEvent.endTime) {
+      return `${start} – ${parseTime(importedEvent.endTime)}`;
     }
-    if (labelNotesInput) {
-      labelNotesInput.value = settings.notes;
+    return importedEvent.time ? start : `${start} (all day)`;
+  };
+
+  const toCalendarEvent = (customEvent) => ({
+    id: customEvent.id,
+    title: customEvent.title,
+    date: customEvent.date,
+    time: customEvent.time,
+    endDate: customEvent.endDate,
+    endTime: customEvent.endTime,
+    location: customEvent.location,
+    notes: customEvent.notes,
+  });
+
+  const renderCustomEvents = () => {
+    if (!customEventsPanel || !customEventsList) {
+      return;
     }
-    if (labelTitleSizeInput) {
-      labelTitleSizeInput.value = settings.titleSize;
+    customEventsPanel.hidden = logistics.customEvents.length === 0;
+    customEventsList.innerHTML = "";
+    logistics.customEvents.forEach((customEvent) => {
+      const listItem = document.createElement("li");
+      listItem.className = "calendar-custom-item";
+      const details = document.createElement("div");
+      const title = document.createElement("strong");
+      title.textContent = customEvent.title;
+      const when = document.createElement("span");
+      when.className = "calendar-import-detail";
+      when.textContent = formatImportedWhen(customEvent);
+      details.append(title, when);
+      const removeButton = document.createElement("button");
+      removeButton.type = "button";
+      removeButton.className = "link-button";
+      removeButton.textContent = "Remove";
+      removeButton.addEventListener("click", () => {
+        logistics.customEvents = logistics.customEvents.filter(
+          (savedEvent) => savedEvent.id !== customEvent.id
+        );
+        saveLogistics(logistics);
+        removeEvent(customEvent.id);
+        renderCustomEvents();
+      });
+      listItem.append(details, removeButton);
+      customEventsList.appendChild(listItem);
+    });
+  };
+
+  let pendingImport = [];
+
+  const renderImportPreview = () => {
+    if (!calendarImportPreview || !calendarImportRows) {
+      return;
     }
-    if (labelBodySizeInput) {
-      labelBodySizeInput.value = settings.bodySize;
+    calendarImportRows.innerHTML = "";
+    pendingImport.forEach((importedEvent, index) => {
+      const row = document.createElement("tr");
+
+      const eventCell = document.createElement("td");
+      const title = document.createElement("strong");
+      title.textContent = importedEvent.title;
+      eventCell.appendChild(title);
+      if (importedEvent.location) {
+        const location = document.createElement("span");
+        location.className = "calendar-import-detail";
+        location.textContent = importedEvent.location;
+        eventCell.appendChild(location);
+      }
+
+      const whenCell = document.createElement("td");
+      whenCell.textContent = formatImportedWhen(importedEvent);
+
+      const targetCell = document.createElement("td");
+      const select = document.createElement("select");
+      select.dataset.importIndex = String(index);
+      select.setAttribute("aria-label", `Destination for ${importedEvent.title}`);
+      const options = [
+        { value: "custom", label: "New calendar event" },
+        ...logisticsSections.map((section) => ({
+          value: section.dataset.eventId,
+          label: section.dataset.eventTitle,
+        })),
+        { value: "skip", label: "Skip this event" },
+      ];
+      options.forEach(({ value, label }) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = label;
+        option.selected = value === importedEvent.target;
+        select.appendChild(option);
+      });
+      select.addEventListener("change", () => {
+        importedEvent.target = select.value;
+      });
+      targetCell.appendChild(select);
+
+      row.append(eventCell, whenCell, targetCell);
+      calendarImportRows.appendChild(row);
+    });
+    calendarImportPreview.hidden = pendingImport.length === 0;
+    if (!calendarImportPreview.hidden) {
+      calendarImportPreview.scrollIntoView({ behavior: "smooth", block: "start" });
     }
-    if (labelTitleSizeValue) {
-      labelTitleSizeValue.textContent = `${settings.titleSize}px`;
+  };
+
+  const closeImportPreview = () => {
+    pendingImport = [];
+    if (calendarImportPreview) {
+      calendarImportPreview.hidden = true;
     }
-    if (labelBodySizeValue) {
-      labelBodySizeValue.textContent = `${settings.bodySize}px`;
+    if (calendarImportRows) {
+      calendarImportRows.innerHTML = "";
     }
   };
 
-  const getActiveLabelContext = () => {
-    if (!activeLabelItem) {
-      return null;
-    }
-    const room = inventory.rooms[activeLabelItem.roomIndex];
-    const item = room?.items[activeLabelItem.itemIndex];
-    if (!room || !item) {
-      return null;
+  const setCalendarStatus = (message) => {
+    if (calendarExportStatus) {
+      calendarExportStatus.textContent = message;
     }
-    return { room, item };
   };
 
-  const openLabelPanel = (roomIndex, itemIndex) => {
-    if (!labelPanel) {
+  const importCalendarFiles = async (files) => {
+    const calendarFiles = Array.from(files).filter(
+      (file) => /\.ics$/i.test(file.name) || file.type === "text/calendar"
+    );
+    if (calendarFiles.length === 0) {
+      setCalendarStatus("Choose an .ics calendar file to import.");
       return;
     }
-    const room = inventory.rooms[roomIndex];
-    const item = room?.items[itemIndex];
-    if (!room || !item) {
+    const texts = await Promise.all(calendarFiles.map((file) => file.text()));
+    pendingImport = texts.flatMap(parseCalendarFile).map((importedEvent) => ({
+      ...importedEvent,
+      target: suggestSectionForEvent(importedEvent),
+    }));
+    if (pendingImport.length === 0) {
+      setCalendarStatus("No events were found in that calendar file.");
+      closeImportPreview();
       return;
     }
-    activeLabelItem = { roomIndex, itemIndex };
-    const labelSettings = ensureLabelSettings(room, item);
-    saveInventory(inventory);
-    syncLabelInputs(labelSettings);
-    applyLabelPreview(labelSettings);
-    labelPanel.hidden = false;
-    labelPanel.scrollIntoView({ behavior: "smooth", block: "start" });
+    setCalendarStatus(
+      `Found ${pendingImport.length} event${
+        pendingImport.length === 1 ? "" : "s"
+      }. Review them below.`
+    );
+    renderImportPreview();
   };
 
-  const updateLabelSetting = (field, value) => {
-    const context = getActiveLabelContext();
-    if (!context) {
-      return;
-    }
-    const labelSettings = ensureLabelSettings(context.room, context.item);
-    labelSettings[field] = value;
-    applyLabelPreview(labelSettings);
-    saveInventory(inventory);
+  const handleCalendarImportError = (error) => {
+    console.error("Unable to read the calendar file.", error);
+    closeImportPreview();
+    setCalendarStatus("That calendar file could not be read. Try exporting it again.");
   };
 
-  const slugify = (text) =>
-    text
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, "-")
-      .replace(/^-+|-+$/g, "")
-      .slice(0, 60) || "label";
-
-  const escapeHtml = (value) =>
-    String(value)
-      .replace(/&/g, "&amp;")
-      .replace(/</g, "&lt;")
-      .replace(/>/g, "&gt;")
-      .replace(/"/g, "&quot;")
-      .replace(/'/g, "&#39;");
-
-  // Label file generation is handled client-side to avoid any backend dependency.
-  const buildLabelFile = (settings) => {
-    const safeTitle = escapeHtml(settings.title);
-    const safeRoom = escapeHtml(settings.room);
-    const safeWeight = escapeHtml(settings.weight);
-    const safeNotes = escapeHtml(settings.notes);
-    const notesMarkup = settings.notes
-      ? `<div class="label-row"><span class="label-key">Notes:</span><span class="label-value label-body">${safeNotes}</span></div>`
-      : "";
-    return `<!doctype html>
-<html lang="en">
-  <head>
-    <meta charset="UTF-8" />
-    <meta name="viewport" content="width=device-width, initial-scale=1" />
-    <title>${safeTitle} Label</title>
-    <style>
-      body { margin: 0; padding: 2rem; font-family: "Inter", "Roboto", "Segoe UI", system-ui, sans-serif; background: #ffffff; }
-      .print-label { border: 2px solid #111827; border-radius: 12px; padding: 1.5rem; display: grid; gap: 0.75rem; }
-      .label-row { display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: baseline; }
-      .label-key { font-weight: 700; text-transform: uppercase; letter-spacing: 0.06em; font-size: 0.85rem; }
-      .label-value { font-weight: 600; color: #111827; }
-      .label-title { font-size: ${settings.titleSize}px; }
-      .label-body { font-size: ${settings.bodySize}px; }
-      @media print {
-        body { padding: 0; }
-        .print-label { page-break-inside: avoid; }
+  const applyImportToSection = (section, importedEvent) => {
+    const assign = (role, value) => {
+      const input = section.querySelector(`[data-role='${role}']`);
+      if (input && value) {
+        input.value = value;
       }
-    </style>
-  </head>
-  <body>
-    <div class="print-label">
-      <div class="label-row">
-        <span class="label-key">Box:</span>
-        <span class="label-value label-title">${safeTitle}</span>
-      </div>
-      <div class="label-row">
-        <span class="label-key">Room:</span>
-        <span class="label-value label-body">${safeRoom}</span>
-      </div>
-      <div class="label-row">
-        <span class="label-key">Est. Weight:</span>
-        <span class="label-value label-body">${safeWeight}</span>
-      </div>
-      ${notesMarkup}
-    </div>
-  </body>
-</html>`;
+    };
+    const dateInput = section.querySelector("[data-role='date']");
+    const timeInput = section.querySelector("[data-role='time']");
+    if (dateInput) {
+      dateInput.value = importedEvent.date;
+    }
+    if (timeInput) {
+      timeInput.value = importedEvent.time;
+    }
+    assign("location", importedEvent.location);
+    assign("notes", importedEvent.notes);
+    updateEventFromSection(section);
+    saveSection(section);
   };
 
-  if (labelTitleInput) {
-    labelTitleInput.addEventListener("input", (event) => {
-      updateLabelSetting("title", event.target.value);
+  if (confirmCalendarImportButton) {
+    confirmCalendarImportButton.addEventListener("click", () => {
+      let addedCount = 0;
+      pendingImport.forEach((importedEvent) => {
+        if (importedEvent.target === "skip") {
+          return;
+        }
+        if (importedEvent.target === "custom") {
+          const existingEvent = findImportedCustomEvent(importedEvent.uid);
+          const slugId = `custom-${slugifyUid(importedEvent.uid)}`;
+          // Different UIDs can share a slug, so a taken id falls back to a fresh one.
+          const newId = logistics.customEvents.some((savedEvent) => savedEvent.id === slugId)
+            ? createRecordId("custom")
+            : slugId;
+          const customEvent = {
+            id: existingEvent ? existingEvent.id : newId,
+            uid: importedEvent.uid,
+            title: importedEvent.title,
+            date: importedEvent.date,
+            time: importedEvent.time,
+            endDate: importedEvent.endDate,
+            endTime: importedEvent.endTime,
+            location: importedEvent.location,
+            notes: importedEvent.notes,
+          };
+          // Re-importing the same UID updates the existing custom event.
+          logistics.customEvents = [
+            ...logistics.customEvents.filter(
+              (savedEvent) => savedEvent.id !== customEvent.id
+            ),
+            customEvent,
+          ];
+          upsertEvent(toCalendarEvent(customEvent));
+          addedCount += 1;
+          return;
+        }
+        const section = logisticsSections.find(
+          (candidate) => candidate.dataset.eventId === importedEvent.target
+        );
+        if (section) {
+          applyImportToSection(section, importedEvent);
+          addedCount += 1;
+        }
+      });
+      saveLogistics(logistics);
+      renderCustomEvents();
+      closeImportPreview();
+      setCalendarStatus(
+        `Added ${addedCount} imported event${addedCount === 1 ? "" : "s"}.`
+      );
     });
   }
-  if (labelRoomInput) {
-    labelRoomInput.addEventListener("input", (event) => {
-      updateLabelSetting("room", event.target.value);
-    });
+
+  if (cancelCalendarImportButton) {
+    cancelCalendarImportButton.addEventListener("click", closeImportPreview);
   }
-  if (labelWeightInput) {
-    labelWeightInput.addEventListener("input", (event) => {
-      updateLabelSetting("weight", event.target.value);
+
+  if (calendarImportInput) {
+    calendarImportInput.addEventListener("change", () => {
+      importCalendarFiles(calendarImportInput.files || []).catch(handleCalendarImportError);
+      calendarImportInput.value = "";
     });
   }
-  if (labelNotesInput) {
-    labelNotesInput.addEventListener("input", (event) => {
-      updateLabelSetting("notes", event.target.value);
+
+  // Accept .ics files dropped anywhere on the logistics page.
+  const hasDraggedFiles = (event) =>
+    Array.from(event.dataTransfer?.types || []).includes("Files");
+
+  document.addEventListener("dragover", (event) => {
+    if (!hasDraggedFiles(event)) {
+      return;
+    }
+    event.preventDefault();
+    document.body.classList.add("is-dragging-calendar");
+  });
+
+  document.addEventListener("dragleave", (event) => {
+    if (!event.relatedTarget) {
+      document.body.classList.remove("is-dragging-calendar");
+    }
+  });
+
+  document.addEventListener("drop", (event) => {
+    if (!hasDraggedFiles(event)) {
+      return;
+    }
+    event.preventDefault();
+    document.body.classList.remove("is-dragging-calendar");
+    importCalendarFiles(event.dataTransfer.files).catch(handleCalendarImportError);
+  });
+
+  logistics.customEvents.forEach((customEvent) => {
+    upsertEvent(toCalendarEvent(customEvent));
+  });
+  renderCustomEvents();
+
+  calendarToggleButtons.forEach((button) => {
+    button.addEventListener("click", () => {
+      const newView = button.dataset.view;
+      if (!newView || newView === calendarState.view) {
+        return;
+      }
+      calendarState.view = newView;
+      calendarToggleButtons.forEach((toggle) => {
+        toggle.classList.toggle("is-active", toggle.dataset.view === newView);
+      });
+      renderCalendar();
     });
-  }
-  if (labelTitleSizeInput) {
-    labelTitleSizeInput.addEventListener("input", (event) => {
-      const size = Number(event.target.value) || 26;
-      if (labelTitleSizeValue) {
-        labelTitleSizeValue.textContent = `${size}px`;
+  });
+
+  calendarNavButtons.forEach((button) => {
+    button.addEventListener("click", () => {
+      const action = button.dataset.nav;
+      const newDate = new Date(calendarState.focusDate);
+
+      switch (action) {
+        case "prev-month":
+          newDate.setMonth(newDate.getMonth() - 1);
+          break;
+        case "next-month":
+          newDate.setMonth(newDate.getMonth() + 1);
+          break;
+        case "prev-week":
+          newDate.setDate(newDate.getDate() - 7);
+          break;
+        case "next-week":
+          newDate.setDate(newDate.getDate() + 7);
+          break;
+        default:
+          return;
       }
-      updateLabelSetting("titleSize", size);
+
+      calendarState.focusDate = newDate;
+      renderCalendar();
     });
-  }
-  if (labelBodySizeInput) {
-    labelBodySizeInput.addEventListener("input", (event) => {
-      const size = Number(event.target.value) || 18;
-      if (labelBodySizeValue) {
-        labelBodySizeValue.textContent = `${size}px`;
+  });
+
+  renderCalendar();
+}
+
+// Move claims workspace: damage and loss claim lines built from inventory items.
+const claimsLinesContainer = document.querySelector("#claims-lines");
+const claimsTotals = document.querySelector("#claims-totals");
+const claimsHighValue = document.querySelector("#claims-high-value");
+const claimsStatus = document.querySelector("#claims-status");
+const claimsPrint = document.querySelector("#claims-print");
+const addFlaggedClaimsButton = document.querySelector("#add-flagged-claims");
+const claimsFlaggedHint = document.querySelector("#claims-flagged-hint");
+const claimsPickForm = document.querySelector("#claims-pick-form");
+const claimsItemSelect = document.querySelector("#claims-item-select");
+const printClaimsButton = document.querySelector("#print-claims");
+const exportClaimsButton = document.querySelector("#export-claims-csv");
+const downloadClaimsButton = document.querySelector("#download-claims");
+
+// Dollar amounts shared by the claims and PPM planners; blank fields stay null.
+const currencyFormatter = new Intl.NumberFormat("en-US", {
+  style: "currency",
+  currency: "USD",
+});
+
+const formatCost = (value) =>
+  Number.isFinite(value) ? currencyFormatter.format(value) : "—";
+
+const parseCost = (value) => {
+  const number = Number.parseFloat(value);
+  return value === "" || !Number.isFinite(number)
+    ? null
+    : Math.round(Math.max(number, 0) * 100) / 100;
+};
+
+// Why each line is on the claim; inventory delivery results take precedence.
+const CLAIM_SOURCES = {
+  damaged: "Damaged",
+  missing: "Missing",
+  manual: "Added by hand",
+};
+
+if (claimsLinesContainer && claimsTotals) {
+  const claims = loadClaims();
+  const inventory = loadInventory();
+
+  const findInventoryItem = (itemId) => {
+    for (const room of inventory.rooms) {
+      const item = room.items.find((candidate) => candidate.id === itemId);
+      if (item) {
+        return { room, item };
+      }
+    }
+    return null;
+  };
+
+  const getFlaggedSource = (item) =>
+    item.delivery?.status === "damaged" || item.delivery?.status === "missing"
+      ? item.delivery.status
+      : null;
+
+  // Lines keep a copy of the item so a claim survives the item being deleted.
+  const copyItemToLine = (line, room, item) => {
+    line.label = item.label;
+    line.room = room.name;
+    line.category = item.category;
+    line.weight = item.weight;
+    line.quantity = item.quantity;
+    line.notes = item.notes || "";
+    line.isHighValue = Boolean(item.isHighValue);
+    line.itemPhotoIds = normalizePhotoIds(item.photoIds);
+    line.source = getFlaggedSource(item) || line.source || "manual";
+  };
+
+  const createClaimLine = (room, item) => {
+    const line = {
+      id: createRecordId("claim"),
+      itemId: item.id,
+      purchaseDate: "",
+      originalCost: null,
+      replacementCost: null,
+      damageDescription:
+        item.delivery?.status === "damaged" ? item.delivery.note || "" : "",
+      photoIds: [],
+    };
+    copyItemToLine(line, room, item);
+    return line;
+  };
+
+  const refreshLinesFromInventory = () => {
+    const before = JSON.stringify(claims);
+    claims.lines.forEach((line) => {
+      const context = findInventoryItem(line.itemId);
+      if (context) {
+        copyItemToLine(line, context.room, context.item);
+      }
+    });
+    if (JSON.stringify(claims) !== before) {
+      saveClaims(claims);
+    }
+  };
+
+  const isClaimed = (itemId) => claims.lines.some((line) => line.itemId === itemId);
+
+  const getUnclaimedFlaggedItems = () =>
+    inventory.rooms.flatMap((room) =>
+      room.items
+        .filter((item) => getFlaggedSource(item) && !isClaimed(item.id))
+        .map((item) => ({ room, item }))
+    );
+
+  // Claims read by room, then item name, in every view and export.
+  const getSortedLines = () =>
+    [...claims.lines].sort(
+      (a, b) =>
+        a.room.localeCompare(b.room, "en-US") ||
+        a.label.localeCompare(b.label, "en-US")
+    );
+
+  const groupLinesByRoom = (lines) =>
+    lines.reduce((groups, line) => {
+      const group = groups.find((entry) => entry.room === line.room);
+      if (group) {
+        group.lines.push(line);
+      } else {
+        groups.push({ room: line.room, lines: [line] });
+      }
+      return groups;
+    }, []);
+
+  // Lines from before quantities (or from deleted items) count as one piece.
+  const getLineQuantity = (line) => coerceQuantity(line.quantity, 1);
+
+  // `weight` is per piece, like the inventory item it was copied from.
+  const getLineWeight = (line) => (Number(line.weight) || 0) * getLineQuantity(line);
+
+  const sumCosts = (lines) =>
+    lines.reduce(
+      (totals, line) => ({
+        original: totals.original + (line.originalCost || 0),
+        replacement: totals.replacement + (line.replacementCost || 0),
+        weight: totals.weight + getLineWeight(line),
+        pieces: totals.pieces + getLineQuantity(line),
+      }),
+      { original: 0, replacement: 0, weight: 0, pieces: 0 }
+    );
+
+  const showClaimsStatus = (message) => {
+    if (!claimsStatus) {
+      return;
+    }
+    claimsStatus.textContent = message;
+    claimsStatus.hidden = !message;
+  };
+
+  const renderPicker = () => {
+    if (addFlaggedClaimsButton) {
+      const flaggedCount = getUnclaimedFlaggedItems().length;
+      addFlaggedClaimsButton.disabled = flaggedCount === 0;
+      if (claimsFlaggedHint) {
+        claimsFlaggedHint.textContent =
+          flaggedCount > 0
+            ? `${flaggedCount} damaged or missing ${
+                flaggedCount === 1 ? "item is" : "items are"
+              } not on this claim yet.`
+            : "No damaged or missing items are waiting to be added.";
+      }
+    }
+    if (claimsItemSelect) {
+      const groups = inventory.rooms
+        .map((room) => ({
+          room,
+          items: room.items.filter((item) => !isClaimed(item.id)),
+        }))
+        .filter((group) => group.items.length > 0);
+      claimsItemSelect.innerHTML = groups.length
+        ? `<option value="">Choose an item…</option>
+          ${groups
+            .map(
+              ({ room, items }) => `
+                <optgroup label="${escapeHtml(room.name)}">
+                  ${items
+                    .map(
+                      (item) =>
+                        `<option value="${item.id}">${escapeHtml(item.label)}</option>`
+                    )
+                    .join("")}
+                </optgroup>
+              `
+            )
+            .join("")}`
+        : `<option value="">Every inventory item is already on the claim</option>`;
+      claimsItemSelect.disabled = groups.length === 0;
+    }
+  };
+
+  const renderTotals = () => {
+    const totals = sumCosts(claims.lines);
+    const highValueCount = claims.lines.filter((line) => line.isHighValue).length;
+    claimsTotals.innerHTML = `
+      <div><dt>Claim lines</dt><dd>${claims.lines.length}</dd></div>
+      <div><dt>Original cost</dt><dd>${formatCost(totals.original)}</dd></div>
+      <div><dt>Replacement cost</dt><dd>${formatCost(totals.replacement)}</dd></div>
+      <div><dt>High-value items</dt><dd>${highValueCount}</dd></div>
+    `;
+    if (claimsHighValue) {
+      const highValueLines = getSortedLines().filter((line) => line.isHighValue);
+      claimsHighValue.hidden = highValueLines.length === 0;
+      claimsHighValue.innerHTML = highValueLines.length
+        ? `<strong>High-value items on this claim</strong>
+          <ul>
+            ${highValueLines
+              .map(
+                (line) =>
+                  `<li>${escapeHtml(line.label)} (${escapeHtml(line.room)}) – ${formatCost(
+                    line.replacementCost
+                  )}</li>`
+              )
+              .join("")}
+          </ul>`
+        : "";
+    }
+  };
+
+  // Inventory photos of the item come first, then photos attached to the claim.
+  const getLinePhotoIds = (line) => [
+    ...normalizePhotoIds(line.itemPhotoIds),
+    ...line.photoIds,
+  ];
+
+  const renderPhotoList = (line, photoIds, { removable }) =>
+    photoIds.length === 0
+      ? ""
+      : `<ul class="claim-photo-list">
+          ${photoIds
+            .map(
+              (photoId) => `
+                <li class="claim-photo">
+                  <img data-photo-id="${photoId}" alt="Photo of ${escapeHtml(line.label)}" />
+                  ${
+                    removable
+                      ? `<button
+                          type="button"
+                          class="link-button"
+                          data-claim-action="remove-photo"
+                          data-line-id="${line.id}"
+                          data-photo-id="${photoId}"
+                        >
+                          Remove
+                        </button>`
+                      : ""
+                  }
+                </li>
+              `
+            )
+            .join("")}
+        </ul>`;
+
+  const renderClaimLine = (line) => `
+    <article
+      class="claim-line ${line.isHighValue ? "claim-line--high-value" : ""}"
+      data-line-id="${line.id}"
+    >
+      <div class="claim-line-header">
+        <div>
+          <h3>${escapeHtml(line.label)}</h3>
+          <p class="claim-line-meta">
+            ${escapeHtml(line.category || "Miscellaneous")} ·
+            ${getLineQuantity(line) > 1 ? `${getLineQuantity(line)} × ` : ""}${
+              Number(line.weight) || 0
+            } lbs
+          </p>
+        </div>
+        <div class="claim-line-badges">
+          <span class="claim-badge claim-badge--${line.source}">
+            ${CLAIM_SOURCES[line.source] || CLAIM_SOURCES.manual}
+          </span>
+          ${
+            line.isHighValue
+              ? `<span class="delivery-high-value-badge">High value</span>`
+              : ""
+          }
+          ${
+            findInventoryItem(line.itemId)
+              ? ""
+              : `<span class="claim-badge">No longer in inventory</span>`
+          }
+        </div>
+      </div>
+      ${
+        line.notes
+          ? `<p class="inventory-notes">Inventory notes: ${escapeHtml(line.notes)}</p>`
+          : ""
+      }
+      <div class="claim-line-fields">
+        <label class="logistics-field">
+          Purchase date
+          <input
+            type="date"
+            value="${escapeHtml(line.purchaseDate || "")}"
+            data-claim-field="purchaseDate"
+            data-line-id="${line.id}"
+          />
+        </label>
+        <label class="logistics-field">
+          Original cost ($)
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            inputmode="decimal"
+            value="${Number.isFinite(line.originalCost) ? line.originalCost : ""}"
+            data-claim-field="originalCost"
+            data-line-id="${line.id}"
+          />
+        </label>
+        <label class="logistics-field">
+          Replacement cost ($)
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            inputmode="decimal"
+            value="${Number.isFinite(line.replacementCost) ? line.replacementCost : ""}"
+            data-claim-field="replacementCost"
+            data-line-id="${line.id}"
+          />
+        </label>
+        <label class="logistics-field claim-line-description">
+          Description of damage
+          <textarea
+            rows="3"
+            data-claim-field="damageDescription"
+            data-line-id="${line.id}"
+            placeholder="What is damaged or missing, and how it was found"
+          >${escapeHtml(line.damageDescription || "")}</textarea>
+        </label>
+      </div>
+      ${
+        normalizePhotoIds(line.itemPhotoIds).length
+          ? `<div class="claim-photos">
+              <p class="claim-line-meta">Photos from the inventory</p>
+              ${renderPhotoList(line, line.itemPhotoIds, { removable: false })}
+            </div>`
+          : ""
       }
-      updateLabelSetting("bodySize", size);
-    });
-  }
+      <div class="claim-photos">
+        ${renderPhotoList(line, line.photoIds, { removable: true })}
+        <label class="label-action secondary claim-photo-button">
+          Attach photos
+          <input
+            type="file"
+            accept="image/*"
+            multiple
+            data-claim-photos
+            data-line-id="${line.id}"
+          />
+        </label>
+      </div>
+      <div class="claim-line-actions">
+        <button
+          type="button"
+          class="link-button item-menu-item--danger"
+          data-claim-action="remove-line"
+          data-line-id="${line.id}"
+        >
+          Remove from claim
+        </button>
+      </div>
+    </article>
+  `;
 
-  if (printLabelButton) {
-    printLabelButton.addEventListener("click", () => {
-      if (!activeLabelItem) {
-        return;
+  // The printed summary and the downloadable claim file share this markup.
+  const buildClaimSummaryMarkup = () => {
+    const profile = getActiveProfile();
+    const groups = groupLinesByRoom(getSortedLines());
+    const totals = sumCosts(claims.lines);
+    const route = [profile.origin, profile.destination].filter(Boolean).join(" → ");
+    const highValueLines = getSortedLines().filter((line) => line.isHighValue);
+    return `
+      <h1>Household goods claim summary</h1>
+      <p class="claims-print-meta">
+        ${escapeHtml(profile.name)}${route ? ` · ${escapeHtml(route)}` : ""} · Prepared
+        ${new Date().toLocaleDateString("en-US", {
+          year: "numeric",
+          month: "long",
+          day: "numeric",
+        })}
+      </p>
+      ${
+        highValueLines.length
+          ? `<div class="claims-print-callout">
+              <strong>High-value items (${highValueLines.length})</strong>
+              ${highValueLines
+                .map(
+                  (line) =>
+                    `${escapeHtml(line.label)} (${escapeHtml(line.room)}) ${formatCost(
+                      line.replacementCost
+                    )}`
+                )
+                .join(" · ")}
+            </div>`
+          : ""
       }
-      window.print();
+      <table class="claims-table">
+        <thead>
+          <tr>
+            <th scope="col">Item</th>
+            <th scope="col">Status</th>
+            <th scope="col">Quantity</th>
+            <th scope="col">Weight</th>
+            <th scope="col">Purchased</th>
+            <th scope="col">Original cost</th>
+            <th scope="col">Replacement cost</th>
+            <th scope="col">Description of damage</th>
+          </tr>
+        </thead>
+        ${groups
+          .map((group) => {
+            const subtotal = sumCosts(group.lines);
+            return `
+              <tbody>
+                <tr class="claims-table-room">
+                  <th scope="rowgroup" colspan="8">${escapeHtml(group.room)}</th>
+                </tr>
+                ${group.lines
+                  .map(
+                    (line) => `
+                      <tr>
+                        <td>
+                          ${escapeHtml(line.label)}${
+                            line.isHighValue
+                              ? ` <strong class="claims-table-flag">High value</strong>`
+                              : ""
+                          }
+                        </td>
+                        <td>${CLAIM_SOURCES[line.source] || CLAIM_SOURCES.manual}</td>
+                        <td>${getLineQuantity(line)}</td>
+                        <td>${getLineWeight(line)} lbs</td>
+                        <td>${escapeHtml(line.purchaseDate || "—")}</td>
+                        <td>${formatCost(line.originalCost)}</td>
+                        <td>${formatCost(line.replacementCost)}</td>
+                        <td>${escapeHtml(line.damageDescription || "")}</td>
+                      </tr>
+                    `
+                  )
+                  .join("")}
+                <tr class="claims-table-subtotal">
+                  <th scope="row" colspan="5">${escapeHtml(group.room)} subtotal</th>
+                  <td>${formatCost(subtotal.original)}</td>
+                  <td>${formatCost(subtotal.replacement)}</td>
+                  <td></td>
+                </tr>
+              </tbody>
+            `;
+          })
+          .join("")}
+        <tfoot>
+          <tr>
+            <th scope="row" colspan="2">Total (${claims.lines.length} items)</th>
+            <td>${totals.pieces}</td>
+            <td>${totals.weight} lbs</td>
+            <td></td>
+            <td>${formatCost(totals.original)}</td>
+            <td>${formatCost(totals.replacement)}</td>
+            <td></td>
+          </tr>
+        </tfoot>
+      </table>
+      ${getSortedLines()
+        .filter((line) => getLinePhotoIds(line).length > 0)
+        .map(
+          (line) => `
+            <section class="claims-print-photos">
+              <h2>${escapeHtml(line.label)} (${escapeHtml(line.room)})</h2>
+              ${renderPhotoList(line, getLinePhotoIds(line), { removable: false })}
+            </section>
+          `
+        )
+        .join("")}
+    `;
+  };
+
+  const renderPrintSummary = () => {
+    if (claimsPrint) {
+      claimsPrint.innerHTML = buildClaimSummaryMarkup();
+    }
+  };
+
+  const renderClaims = () => {
+    renderPicker();
+    renderTotals();
+    const groups = groupLinesByRoom(getSortedLines());
+    claimsLinesContainer.innerHTML = groups.length
+      ? groups
+          .map((group) => {
+            const subtotal = sumCosts(group.lines);
+            return `
+              <section class="claims-room">
+                <div class="inventory-room-heading">
+                  <h2>${escapeHtml(group.room)}</h2>
+                  <span class="inventory-room-meta">
+                    ${group.lines.length} ${group.lines.length === 1 ? "item" : "items"} ·
+                    ${formatCost(subtotal.replacement)} replacement
+                  </span>
+                </div>
+                ${group.lines.map((line) => renderClaimLine(line)).join("")}
+              </section>
+            `;
+          })
+          .join("")
+      : `<section class="info-panel">
+          <h2>No claim lines yet</h2>
+          <p>
+            Add the items you are claiming above. Mark damaged or missing items
+            during delivery check-in on Move Inventory to add them in one step.
+          </p>
+        </section>`;
+    renderPrintSummary();
+    loadPhotoImages(claimsLinesContainer);
+    if (claimsPrint) {
+      loadPhotoImages(claimsPrint);
+    }
+  };
+
+  const findLine = (lineId) => claims.lines.find((line) => line.id === lineId) || null;
+
+  if (addFlaggedClaimsButton) {
+    addFlaggedClaimsButton.addEventListener("click", () => {
+      const flagged = getUnclaimedFlaggedItems();
+      flagged.forEach(({ room, item }) => {
+        claims.lines.push(createClaimLine(room, item));
+      });
+      saveClaims(claims);
+      showClaimsStatus(
+        `Added ${flagged.length} ${flagged.length === 1 ? "item" : "items"} to the claim.`
+      );
+      renderClaims();
     });
   }
 
-  if (downloadLabelButton) {
-    downloadLabelButton.addEventListener("click", () => {
-      const context = getActiveLabelContext();
-      if (!context) {
+  if (claimsPickForm && claimsItemSelect) {
+    claimsPickForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const context = findInventoryItem(claimsItemSelect.value);
+      if (!context || isClaimed(context.item.id)) {
         return;
       }
-      const settings = ensureLabelSettings(context.room, context.item);
-      const fileContents = buildLabelFile(settings);
-      const filename = `${slugify(settings.title || settings.room)}-label.html`;
-      const blob = new Blob([fileContents], { type: "text/html" });
-      const url = URL.createObjectURL(blob);
-      const anchor = document.createElement("a");
-      anchor.href = url;
-      anchor.download = filename;
-      document.body.appendChild(anchor);
-      anchor.click();
-      document.body.removeChild(anchor);
-      URL.revokeObjectURL(url);
-    });
-  }
-
-  if (closeLabelButton && labelPanel) {
-    closeLabelButton.addEventListener("click", () => {
-      labelPanel.hidden = true;
-      activeLabelItem = null;
+      claims.lines.push(createClaimLine(context.room, context.item));
+      saveClaims(claims);
+      showClaimsStatus(`Added ${context.item.label} to the claim.`);
+      renderClaims();
     });
   }
 
-  // Close item action menus when clicking elsewhere on the page.
-  document.addEventListener("click", (event) => {
-    if (!event.target.closest(".inventory-item-menu")) {
-      closeItemMenus();
-    }
-    if (!event.target.closest(".inventory-room-menu")) {
-      closeRoomMenus();
-    }
-  });
-
-  // Item-level action menu handlers (move, rename, delete, label shortcuts).
-  roomsContainer.addEventListener("click", (event) => {
-    const actionButton = event.target.closest("[data-action]");
-    if (!actionButton) {
+  // Typing updates totals and the printable summary without redrawing the form.
+  claimsLinesContainer.addEventListener("input", (event) => {
+    const field = event.target.closest("[data-claim-field]");
+    const line = field ? findLine(field.dataset.lineId) : null;
+    if (!line) {
       return;
     }
-    const action = actionButton.dataset.action;
-    const roomIndex = Number(actionButton.dataset.roomIndex);
-    if (Number.isNaN(roomIndex)) {
+    const key = field.dataset.claimField;
+    if (!CLAIM_LINE_FIELDS.includes(key)) {
       return;
     }
-    const room = inventory.rooms[roomIndex];
-    if (!room) {
-      return;
+    line[key] = key.endsWith("Cost") ? parseCost(field.value) : field.value;
+    saveClaims(claims);
+    renderTotals();
+    renderPrintSummary();
+    if (claimsPrint) {
+      loadPhotoImages(claimsPrint);
     }
+  });
 
-    // Room-level action menu handling.
-    if (action === "toggle-room-menu") {
-      event.preventDefault();
-      event.stopPropagation();
-      const menuWrapper = actionButton.closest(".inventory-room-menu");
-      const menu = menuWrapper?.querySelector(".item-menu-dropdown");
-      if (!menu || !menuWrapper) {
-        return;
-      }
-      const shouldOpen = activeRoomMenuIndex !== roomIndex || menu.hidden;
-      closeRoomMenus();
-      closeItemMenus();
-      if (shouldOpen) {
-        menu.hidden = false;
-        actionButton.setAttribute("aria-expanded", "true");
-        activeRoomMenuIndex = roomIndex;
-      }
+  claimsLinesContainer.addEventListener("change", async (event) => {
+    const fileInput = event.target.closest("[data-claim-photos]");
+    const line = fileInput ? findLine(fileInput.dataset.lineId) : null;
+    if (!line) {
       return;
     }
-    if (action === "open-room-panel") {
-      event.preventDefault();
-      event.stopPropagation();
-      const panelName = actionButton.dataset.panel;
-      const roomCard = actionButton.closest(".inventory-room");
-      closeRoomMenus();
-      closeItemMenus();
-      // Track per-room edit mode so rename controls only appear when requested.
-      setRoomEditMode(roomIndex, panelName, roomCard);
-      const panel = roomCard?.querySelector(
-        `[data-room-panel="${panelName}"]`
+    const files = Array.from(fileInput.files || []).filter((file) =>
+      file.type.startsWith("image/")
+    );
+    fileInput.value = "";
+    try {
+      for (const file of files) {
+        line.photoIds.push(await savePhoto(file));
+      }
+      showClaimsStatus("");
+    } catch (error) {
+      console.error("Unable to save claim photos.", error);
+      showClaimsStatus(
+        "Some photos could not be saved on this device. Free up space and try again."
       );
-      const focusTarget = panel?.querySelector("input");
-      focusTarget?.focus();
-      return;
     }
-    if (action === "cancel-room-panel") {
-      event.preventDefault();
-      event.stopPropagation();
-      const roomCard = actionButton.closest(".inventory-room");
-      setRoomEditMode(roomIndex, null, roomCard);
+    saveClaims(claims);
+    renderClaims();
+  });
+
+  claimsLinesContainer.addEventListener("click", (event) => {
+    const actionButton = event.target.closest("[data-claim-action]");
+    const line = actionButton ? findLine(actionButton.dataset.lineId) : null;
+    if (!line) {
       return;
     }
-    if (action === "confirm-room-rename") {
-      event.preventDefault();
-      event.stopPropagation();
-      const roomCard = actionButton.closest(".inventory-room");
-      const input = roomCard?.querySelector("[data-room-rename-input]");
-      const newName = input?.value.trim();
-      if (!newName) {
-        return;
-      }
-      const oldRoomName = room.name;
-      room.name = newName;
-      room.editMode = null;
-      room.items.forEach((item) => {
-        if (
-          item.labelSettings &&
-          (!item.labelSettings.room || item.labelSettings.room === oldRoomName)
-        ) {
-          item.labelSettings.room = newName;
-        }
-      });
-      syncInventoryState();
-      renderRooms();
-      refreshActiveLabelPanel();
+    if (actionButton.dataset.claimAction === "remove-photo") {
+      const photoId = actionButton.dataset.photoId;
+      line.photoIds = line.photoIds.filter((id) => id !== photoId);
+      saveClaims(claims);
+      deletePhotos([photoId]).catch((error) =>
+        console.warn(`Unable to delete photo "${photoId}".`, error)
+      );
+      renderClaims();
       return;
     }
-    if (action === "delete-room") {
-      event.preventDefault();
-      event.stopPropagation();
+    if (actionButton.dataset.claimAction === "remove-line") {
       const confirmed = window.confirm(
-        "Delete this room and all items inside it? This cannot be undone."
+        `Remove ${line.label} from the claim? Its claim details and photos will be deleted.`
       );
       if (!confirmed) {
         return;
       }
-      const wasActiveRoom =
-        activeLabelItem && activeLabelItem.roomIndex === roomIndex;
-      inventory.rooms.splice(roomIndex, 1);
-      if (wasActiveRoom) {
-        if (labelPanel) {
-          labelPanel.hidden = true;
-        }
-        activeLabelItem = null;
-      } else if (activeLabelItem && activeLabelItem.roomIndex > roomIndex) {
-        activeLabelItem = {
-          roomIndex: activeLabelItem.roomIndex - 1,
-          itemIndex: activeLabelItem.itemIndex,
-        };
-      }
-      openRoomIndexes = new Set(
-        Array.from(openRoomIndexes)
-          .filter((index) => index !== roomIndex)
-          .map((index) => (index > roomIndex ? index - 1 : index))
+      claims.lines = claims.lines.filter((candidate) => candidate.id !== line.id);
+      saveClaims(claims);
+      deletePhotos(line.photoIds).catch((error) =>
+        console.warn("Unable to delete claim photos.", error)
       );
-      closeRoomMenus();
-      closeItemMenus();
-      syncInventoryState();
-      renderRooms();
-      refreshActiveLabelPanel();
-      return;
+      renderClaims();
     }
+  });
 
-    const itemIndex = Number(actionButton.dataset.itemIndex);
-    const item = room?.items[itemIndex];
-    if (!item) {
-      return;
-    }
+  const toCsvValue = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
 
-    if (action === "toggle-item-menu") {
-      // Toggle the clicked menu, ensuring only one menu is open at a time.
-      const menuWrapper = actionButton.closest(".inventory-item-menu");
-      const menu = menuWrapper?.querySelector(".item-menu-dropdown");
-      if (!menu || !menuWrapper) {
-        return;
+  const buildClaimsCsv = () => {
+    const formatAmount = (value) => (Number.isFinite(value) ? value.toFixed(2) : "");
+    const rows = [
+      [
+        "Room",
+        "Item",
+        "Category",
+        "Status",
+        "High value",
+        "Quantity",
+        "Weight each (lbs)",
+        "Total weight (lbs)",
+        "Purchase date",
+        "Original cost",
+        "Replacement cost",
+        "Description of damage",
+        "Inventory notes",
+        "Photos",
+      ],
+      ...getSortedLines().map((line) => [
+        line.room,
+        line.label,
+        line.category,
+        CLAIM_SOURCES[line.source] || CLAIM_SOURCES.manual,
+        line.isHighValue ? "Yes" : "No",
+        getLineQuantity(line),
+        Number(line.weight) || 0,
+        getLineWeight(line),
+        line.purchaseDate,
+        formatAmount(line.originalCost),
+        formatAmount(line.replacementCost),
+        line.damageDescription,
+        line.notes,
+        getLinePhotoIds(line).length,
+      ]),
+    ];
+    const totals = sumCosts(claims.lines);
+    rows.push([
+      "Total",
+      `${claims.lines.length} items`,
+      "",
+      "",
+      claims.lines.filter((line) => line.isHighValue).length,
+      totals.pieces,
+      "",
+      totals.weight,
+      "",
+      formatAmount(totals.original),
+      formatAmount(totals.replacement),
+      "",
+      "",
+      claims.lines.reduce((count, line) => count + getLinePhotoIds(line).length, 0),
+    ]);
+    return rows.map((row) => row.map(toCsvValue).join(",")).join("\r\n");
+  };
+
+  if (exportClaimsButton) {
+    exportClaimsButton.addEventListener("click", () => {
+      const stamp = new Date().toISOString().slice(0, 10);
+      downloadFile(buildClaimsCsv(), `pcs-move-claim-${stamp}.csv`, "text/csv");
+    });
+  }
+
+  // Downloaded claims embed full-size photos so the file can be sent as-is.
+  const buildClaimFile = async () => {
+    const container = document.createElement("div");
+    container.innerHTML = buildClaimSummaryMarkup();
+    await Promise.all(
+      Array.from(container.querySelectorAll("img[data-photo-id]")).map(async (image) => {
+        try {
+          const record = await loadPhoto(image.dataset.photoId);
+          if (record) {
+            image.src = await readBlobAsDataUrl(record.blob);
+            return;
+          }
+        } catch (error) {
+          console.warn(`Unable to embed photo "${image.dataset.photoId}".`, error);
+        }
+        image.alt = "Photo unavailable on this device";
+      })
+    );
+    return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>Household Goods Claim Summary</title>
+    <style>
+      body { margin: 0; padding: 2rem; font-family: "Inter", "Roboto", "Segoe UI", system-ui, sans-serif; color: #111827; background: #ffffff; }
+      .claims-table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+      .claims-table th, .claims-table td { border: 1px solid #d1d5db; padding: 0.35rem 0.5rem; text-align: left; vertical-align: top; }
+      .claims-table-room th { background: #f3f4f6; }
+      .claims-table-subtotal, .claims-table tfoot { font-weight: 700; }
+      .claims-table-flag { color: #9b1c1c; }
+      .claims-print-callout { margin: 0 0 1rem; border: 2px solid #9b1c1c; border-radius: 8px; padding: 0.5rem 0.75rem; }
+      .claims-print-photos { break-inside: avoid; margin-top: 1rem; }
+      .claims-print-photos h2 { font-size: 1rem; margin: 0 0 0.5rem; }
+      .claim-photo-list { list-style: none; margin: 0; padding: 0; display: flex; flex-wrap: wrap; gap: 0.75rem; }
+      .claim-photo img { max-width: 100%; width: 4in; border: 1px solid #d1d5db; border-radius: 8px; }
+      @media print { body { padding: 0; } }
+    </style>
+  </head>
+  <body>
+    ${container.innerHTML}
+  </body>
+</html>`;
+  };
+
+  if (downloadClaimsButton) {
+    downloadClaimsButton.addEventListener("click", async () => {
+      downloadClaimsButton.disabled = true;
+      try {
+        const stamp = new Date().toISOString().slice(0, 10);
+        downloadFile(await buildClaimFile(), `pcs-move-claim-${stamp}.html`, "text/html");
+      } finally {
+        downloadClaimsButton.disabled = false;
       }
-      const menuId = `${roomIndex}-${itemIndex}`;
-      const shouldOpen = activeMenuItemId !== menuId || menu.hidden;
-      closeItemMenus();
-      closeRoomMenus();
-      if (shouldOpen) {
-        menu.hidden = false;
-        actionButton.setAttribute("aria-expanded", "true");
-        activeMenuItemId = menuId;
+    });
+  }
+
+  if (printClaimsButton) {
+    printClaimsButton.addEventListener("click", () => {
+      renderPrintSummary();
+      if (claimsPrint) {
+        loadPhotoImages(claimsPrint).finally(() => window.print());
+        return;
       }
-      return;
-    }
-    if (action === "open-panel") {
-      const panelName = actionButton.dataset.panel;
-      const itemCard = actionButton.closest(".inventory-item");
-      closeItemMenus();
-      closeRoomMenus();
-      // Track per-item edit mode so move/rename controls only appear when requested.
-      setItemEditMode(roomIndex, itemIndex, panelName, itemCard);
-      const panel = itemCard?.querySelector(
-        `.inventory-item-panel[data-panel="${panelName}"]`
-      );
-      const focusTarget = panel?.querySelector("input, select");
-      focusTarget?.focus();
-      return;
+      window.print();
+    });
+  }
+
+  refreshLinesFromInventory();
+  renderClaims();
+}
+
+// PPM planner: incentive from the rate table in ppm-rates.js versus expenses.
+const ppmForm = document.querySelector("#ppm-form");
+const ppmEstimatedWeight = document.querySelector("#ppm-estimated-weight");
+const ppmShareInput = document.querySelector("#ppm-share");
+const ppmWeightUsed = document.querySelector("#ppm-weight-used");
+const ppmNet = document.querySelector("#ppm-net");
+const ppmTotals = document.querySelector("#ppm-totals");
+const ppmRateSource = document.querySelector("#ppm-rate-source");
+const ppmTripsList = document.querySelector("#ppm-trips");
+const ppmAddTripButton = document.querySelector("#ppm-add-trip");
+
+const ppmRateTable = typeof PPM_RATE_TABLE === "undefined" ? null : PPM_RATE_TABLE;
+
+if (ppmForm && ppmTripsList) {
+  const ppm = loadPpm();
+  const inventory = loadInventory();
+
+  const parseWeight = (value) => {
+    const number = Number.parseFloat(value);
+    return value === "" || !Number.isFinite(number) ? null : Math.max(Math.round(number), 0);
+  };
+
+  // A trip only counts once both its empty and full tickets are recorded.
+  const getTripNetWeight = (trip) =>
+    Number.isFinite(trip.emptyWeight) && Number.isFinite(trip.fullWeight)
+      ? Math.max(trip.fullWeight - trip.emptyWeight, 0)
+      : null;
+
+  const getPpmWeight = () => {
+    const completedTrips = ppm.trips.filter((trip) => getTripNetWeight(trip) !== null);
+    if (completedTrips.length > 0) {
+      return {
+        weight: completedTrips.reduce((total, trip) => total + getTripNetWeight(trip), 0),
+        isActual: true,
+        tripCount: completedTrips.length,
+      };
     }
-    if (action === "cancel-panel") {
-      const itemCard = actionButton.closest(".inventory-item");
-      setItemEditMode(roomIndex, itemIndex, null, itemCard);
-      return;
+    return {
+      weight: Math.round(((inventory.totalWeight || 0) * ppm.sharePercent) / 100),
+      isActual: false,
+      tripCount: 0,
+    };
+  };
+
+  const getRatePerCwt = (distance) =>
+    ppmRateTable.bands.find((band) => band.maxMiles === null || distance <= band.maxMiles)
+      ?.ratePerCwt ?? null;
+
+  const getPpmSummary = () => {
+    const { weight } = getPpmWeight();
+    const expenses = PPM_EXPENSE_FIELDS.reduce(
+      (total, field) => total + (ppm.expenses[field] || 0),
+      0
+    );
+    const ratePerCwt =
+      ppmRateTable && Number.isFinite(ppm.distance) ? getRatePerCwt(ppm.distance) : null;
+    if (ratePerCwt === null) {
+      return { expenses, incentive: null };
     }
-    if (action === "confirm-move") {
-      const itemCard = actionButton.closest(".inventory-item");
-      const select = itemCard?.querySelector("[data-move-select]");
-      const destinationIndex = Number(select?.value);
-      if (Number.isNaN(destinationIndex)) {
-        return;
-      }
-      if (destinationIndex === roomIndex) {
-        setItemEditMode(roomIndex, itemIndex, null, itemCard);
-        return;
-      }
-      const oldRoomName = room.name;
-      const [movedItem] = room.items.splice(itemIndex, 1);
-      if (!movedItem) {
-        return;
-      }
-      movedItem.editMode = null;
-      const wasActive =
-        activeLabelItem &&
-        activeLabelItem.roomIndex === roomIndex &&
-        activeLabelItem.itemIndex === itemIndex;
-      if (!wasActive) {
-        adjustActiveLabelIndexOnRemoval(roomIndex, itemIndex);
-      }
-      const destinationRoom = inventory.rooms[destinationIndex];
-      destinationRoom.items.push(movedItem);
-      if (movedItem.labelSettings && movedItem.labelSettings.room === oldRoomName) {
-        movedItem.labelSettings.room = destinationRoom.name;
-      }
-      if (wasActive) {
-        activeLabelItem = {
-          roomIndex: destinationIndex,
-          itemIndex: destinationRoom.items.length - 1,
-        };
-      }
-      syncInventoryState();
-      renderRooms();
-      refreshActiveLabelPanel();
-      return;
+    const incentive =
+      Math.round((weight / 100) * ratePerCwt * ppmRateTable.incentivePercent) / 100;
+    // Documented expenses come off the taxable part of the incentive.
+    const taxable = Math.max(incentive - expenses, 0);
+    const withholding =
+      Math.round(taxable * ppmRateTable.withholdingPercent) / 100;
+    return {
+      expenses,
+      ratePerCwt,
+      incentive,
+      withholding,
+      net: Math.round((incentive - expenses - withholding) * 100) / 100,
+    };
+  };
+
+  const renderPpmWeight = () => {
+    const totalWeight = inventory.totalWeight || 0;
+    ppmEstimatedWeight.innerHTML =
+      totalWeight > 0
+        ? `Your <a href="move-inventory.html">move inventory</a> estimates ${formatPounds(
+            totalWeight
+          )} of household goods.`
+        : `Add items to your <a href="move-inventory.html">move inventory</a> to estimate the weight, or record weight tickets below.`;
+    ppmShareInput.value = ppm.sharePercent;
+    const { weight, isActual, tripCount } = getPpmWeight();
+    ppmWeightUsed.textContent = isActual
+      ? `Using ${formatPounds(weight)} of actual scale weight from ${tripCount} trip${
+          tripCount === 1 ? "" : "s"
+        }.`
+      : `Using an estimated ${formatPounds(weight)} until weight tickets are recorded.`;
+  };
+
+  const renderPpmSummary = () => {
+    const summary = getPpmSummary();
+    ppmNet.classList.remove("ppm-net--gain", "ppm-net--loss");
+    if (!ppmRateTable) {
+      ppmNet.textContent = "The PPM rate table (ppm-rates.js) did not load.";
+    } else if (summary.incentive === null) {
+      ppmNet.textContent = "Enter the one-way distance to estimate your incentive.";
+    } else {
+      ppmNet.classList.add(summary.net >= 0 ? "ppm-net--gain" : "ppm-net--loss");
+      ppmNet.textContent =
+        summary.net >= 0
+          ? `Projected gain: ${formatCost(summary.net)}`
+          : `Projected loss: ${formatCost(-summary.net)}`;
     }
-    if (action === "confirm-rename") {
-      const itemCard = actionButton.closest(".inventory-item");
-      const input = itemCard?.querySelector("[data-rename-input]");
-      const newLabel = input?.value.trim();
-      if (!newLabel) {
-        return;
-      }
-      const oldLabel = item.label;
-      item.label = newLabel;
-      item.editMode = null;
-      if (
-        item.labelSettings &&
-        (!item.labelSettings.title || item.labelSettings.title === oldLabel)
-      ) {
-        item.labelSettings.title = newLabel;
-      }
-      syncInventoryState();
-      renderRooms();
-      refreshActiveLabelPanel();
-      return;
+    const rows = [
+      [
+        "Estimated incentive",
+        formatCost(summary.incentive),
+        summary.ratePerCwt ? `${formatCost(summary.ratePerCwt)} per 100 lbs` : "",
+      ],
+      ["Expenses", formatCost(summary.expenses), ""],
+      [
+        "Estimated withholding",
+        formatCost(summary.withholding),
+        ppmRateTable ? `${ppmRateTable.withholdingPercent}% of incentive minus expenses` : "",
+      ],
+      ["Net", formatCost(summary.net), ""],
+    ];
+    ppmTotals.innerHTML = rows
+      .map(
+        ([label, value, detail]) => `
+          <div>
+            <dt>${label}</dt>
+            <dd>${value}</dd>
+            ${detail ? `<span class="ppm-total-detail">${detail}</span>` : ""}
+          </div>
+        `
+      )
+      .join("");
+  };
+
+  const renderTicket = (trip, kind, label) => {
+    const weight = trip[`${kind}Weight`];
+    const isDone = Number.isFinite(weight);
+    return `
+      <li class="ppm-ticket ${isDone ? "ppm-ticket--done" : ""}">
+        <span class="ppm-ticket-check" aria-hidden="true">${isDone ? "✓" : ""}</span>
+        <label class="logistics-field">
+          ${label} (lbs)
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value="${isDone ? weight : ""}"
+            data-trip-id="${trip.id}"
+            data-trip-field="${kind}Weight"
+          />
+        </label>
+      </li>
+    `;
+  };
+
+  const renderTrips = () => {
+    ppmTripsList.innerHTML =
+      ppm.trips.length === 0
+        ? `<li class="inventory-empty">No trips yet. Add one for each load you weigh.</li>`
+        : ppm.trips
+            .map((trip, index) => {
+              const netWeight = getTripNetWeight(trip);
+              return `
+                <li class="ppm-trip">
+                  <div class="claims-summary-header">
+                    <h3>Trip ${index + 1}</h3>
+                    <button
+                      type="button"
+                      class="link-button"
+                      data-action="remove-trip"
+                      data-trip-id="${trip.id}"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                  <ul class="ppm-tickets">
+                    ${renderTicket(trip, "empty", "Empty weight ticket")}
+                    ${renderTicket(trip, "full", "Full weight ticket")}
+                  </ul>
+                  <p class="ppm-trip-net">
+                    ${
+                      netWeight === null
+                        ? "Record both tickets to count this trip."
+                        : `Net weight: ${formatPounds(netWeight)}`
+                    }
+                  </p>
+                </li>
+              `;
+            })
+            .join("");
+  };
+
+  const renderPpm = () => {
+    renderPpmWeight();
+    renderPpmSummary();
+  };
+
+  const syncPpmForm = () => {
+    ppmForm.elements.distance.value = Number.isFinite(ppm.distance) ? ppm.distance : "";
+    ppmForm.querySelectorAll("[data-ppm-expense]").forEach((input) => {
+      const value = ppm.expenses[input.dataset.ppmExpense];
+      input.value = Number.isFinite(value) ? value : "";
+    });
+  };
+
+  ppmForm.addEventListener("submit", (event) => event.preventDefault());
+
+  ppmForm.addEventListener("input", (event) => {
+    if (event.target.name === "distance") {
+      ppm.distance = parseWeight(event.target.value);
     }
-    if (action === "delete-item") {
-      const confirmed = window.confirm(
-        "Are you sure you want to delete this item? This cannot be undone."
-      );
-      if (!confirmed) {
-        return;
-      }
-      const wasActive =
-        activeLabelItem &&
-        activeLabelItem.roomIndex === roomIndex &&
-        activeLabelItem.itemIndex === itemIndex;
-      room.items.splice(itemIndex, 1);
-      if (wasActive) {
-        if (labelPanel) {
-          labelPanel.hidden = true;
-        }
-        activeLabelItem = null;
-      } else {
-        adjustActiveLabelIndexOnRemoval(roomIndex, itemIndex);
-      }
-      syncInventoryState();
-      renderRooms();
-      refreshActiveLabelPanel();
+    const expenseField = event.target.dataset.ppmExpense;
+    if (expenseField) {
+      ppm.expenses[expenseField] = parseCost(event.target.value);
+    }
+    savePpm(ppm);
+    renderPpmSummary();
+  });
+
+  ppmShareInput.addEventListener("change", () => {
+    const share = Math.round(Number(ppmShareInput.value));
+    ppm.sharePercent = Number.isFinite(share) ? Math.min(Math.max(share, 1), 100) : 100;
+    savePpm(ppm);
+    renderPpm();
+  });
+
+  // Ticket weights update the totals as they are typed; the list redraws on change.
+  ppmTripsList.addEventListener("input", (event) => {
+    const { tripId, tripField } = event.target.dataset;
+    const trip = ppm.trips.find((candidate) => candidate.id === tripId);
+    if (!trip || !tripField) {
       return;
     }
-    if (action === "view-label") {
-      openLabelPanel(roomIndex, itemIndex);
+    trip[tripField] = parseWeight(event.target.value);
+    savePpm(ppm);
+    renderPpm();
+  });
+
+  ppmTripsList.addEventListener("change", (event) => {
+    if (event.target.dataset.tripField) {
+      renderTrips();
+    }
+  });
+
+  ppmTripsList.addEventListener("click", (event) => {
+    const actionButton = event.target.closest("[data-action='remove-trip']");
+    if (!actionButton) {
       return;
     }
-    if (action === "print-label") {
-      openLabelPanel(roomIndex, itemIndex);
-      setTimeout(() => window.print(), 50);
+    const confirmed = window.confirm("Remove this trip and its weight tickets?");
+    if (!confirmed) {
+      return;
     }
+    ppm.trips = ppm.trips.filter((trip) => trip.id !== actionButton.dataset.tripId);
+    savePpm(ppm);
+    renderTrips();
+    renderPpm();
   });
 
-  syncInventoryState();
-  renderRooms();
+  ppmAddTripButton?.addEventListener("click", () => {
+    ppm.trips.push({ id: createRecordId("trip"), emptyWeight: null, fullWeight: null });
+    savePpm(ppm);
+    renderTrips();
+    ppmTripsList.querySelector(".ppm-trip:last-child input")?.focus();
+  });
+
+  if (ppmRateSource && ppmRateTable) {
+    ppmRateSource.textContent = `${ppmRateTable.source}. The incentive is ${ppmRateTable.incentivePercent}% of the estimated cost and is taxable income.`;
+  }
+
+  syncPpmForm();
+  renderTrips();
+  renderPpm();
 }
 
-// Move logistics calendar + accordion events.
-const calendarGrid = document.querySelector("#calendar-grid");
-const calendarLabel = document.querySelector("#calendar-label");
-const calendarToggleButtons = Array.from(
-  document.querySelectorAll("[data-view]")
-);
-const calendarNavButtons = Array.from(
-  document.querySelectorAll("[data-nav]")
-);
-const logisticsSections = Array.from(
-  document.querySelectorAll(".logistics-section[data-event-id]")
-);
-const itineraryStopsContainer = document.querySelector("#itinerary-stops");
-const itineraryTemplate = document.querySelector("#itinerary-stop-template");
-const addItineraryStopButton = document.querySelector("#add-itinerary-stop");
+// Backup & restore for every page: one versioned JSON bundle covers all saved data.
+const BACKUP_APP_ID = "pcs-pro";
+// Version 3 bundles hold every move profile. Version 2 bundles hold a single
+// move with each section's schema version; version 1 bundles predate schemas
+// and hold unversioned (v0) data. Single-move bundles restore into the active move.
+const BACKUP_VERSION = 3;
+const siteFooterContainer = document.querySelector(".site-footer .container");
 
-if (calendarGrid && calendarLabel) {
-  const calendarState = {
-    view: "month",
-    focusDate: new Date(),
-  };
-  const events = new Map();
+const countInventory = (inventory) => ({
+  rooms: inventory.rooms.length,
+  items: inventory.rooms.reduce((total, room) => total + room.items.length, 0),
+});
 
-  const toDateKey = (date) =>
-    [
-      date.getFullYear(),
-      String(date.getMonth() + 1).padStart(2, "0"),
-      String(date.getDate()).padStart(2, "0"),
-    ].join("-");
+const countCheckedTasks = (checklist) =>
+  Object.values(checklist.checked).filter((value) => value === true).length;
 
-  const parseTime = (value) => {
-    if (!value) {
-      return "";
+const countScheduledEvents = (logistics) =>
+  Object.values(logistics.sections).filter((section) => section.date).length +
+  logistics.stops.filter((stop) => stop.date && stop.addToCalendar).length +
+  logistics.customEvents.length;
+
+const BACKUP_SECTION_KEYS = {
+  checklist: STORAGE_KEY,
+  inventory: INVENTORY_KEY,
+  logistics: LOGISTICS_KEY,
+  claims: CLAIMS_KEY,
+  ppm: PPM_KEY,
+};
+
+const PROFILE_FIELDS = ["name", "origin", "destination", "reportDate"];
+
+const buildBackupBundle = () => ({
+  app: BACKUP_APP_ID,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  schemaVersions: Object.entries(BACKUP_SECTION_KEYS).reduce(
+    (versions, [section, key]) => {
+      versions[section] = STORAGE_SCHEMAS[key].version;
+      return versions;
+    },
+    { categories: STORAGE_SCHEMAS[CATEGORY_SETTINGS_KEY].version }
+  ),
+  // Household categories and keyword rules are shared by every move.
+  categories: loadCategorySettings(),
+  activeProfileId,
+  profiles: profileRegistry.profiles.map((profile) => ({
+    ...profile,
+    // Round-trip through JSON so transient editMode flags are left out.
+    data: JSON.parse(
+      JSON.stringify(loadProfileData(profile.id), inventoryReplacer)
+    ),
+  })),
+});
+
+// Photos used by the exported moves, embedded so a backup restores on a new device.
+const buildBackupPhotos = async (profiles) => {
+  const photoIds = new Set(profiles.flatMap((profile) => collectProfilePhotoIds(profile.data)));
+  const photos = [];
+  for (const photoId of photoIds) {
+    const record = await loadPhoto(photoId);
+    if (record) {
+      photos.push({
+        id: record.id,
+        name: record.name,
+        createdAt: record.createdAt,
+        dataUrl: await readBlobAsDataUrl(record.blob),
+      });
     }
-    const [hours, minutes] = value.split(":").map(Number);
-    const clock = new Date();
-    clock.setHours(hours, minutes || 0, 0, 0);
-    return clock.toLocaleTimeString("en-US", {
-      hour: "numeric",
-      minute: "2-digit",
-    });
-  };
+  }
+  return photos;
+};
 
-  const startOfWeek = (date) => {
-    const start = new Date(date);
-    start.setHours(0, 0, 0, 0);
-    start.setDate(start.getDate() - start.getDay());
-    return start;
-  };
+const normalizeBackupPhotos = (photos) =>
+  (Array.isArray(photos) ? photos : [])
+    .filter(
+      (photo) =>
+        isPlainObject(photo) &&
+        typeof photo.id === "string" &&
+        typeof photo.dataUrl === "string" &&
+        photo.dataUrl.startsWith("data:image/")
+    )
+    .map((photo) => ({
+      id: photo.id,
+      name: typeof photo.name === "string" ? photo.name : "photo.jpg",
+      createdAt:
+        typeof photo.createdAt === "string" ? photo.createdAt : new Date().toISOString(),
+      dataUrl: photo.dataUrl,
+    }));
 
-  const endOfWeek = (date) => {
-    const end = startOfWeek(date);
-    end.setDate(end.getDate() + 6);
-    return end;
-  };
+// Imported inventories run through the same defaults as stored ones.
+const normalizeInventoryBackupItems = (inventory) => ({
+  ...inventory,
+  rooms: inventory.rooms
+    .filter((room) => isPlainObject(room) && typeof room.name === "string")
+    .filter((room) => room.name.trim())
+    .map((room) => ({
+      ...room,
+      name: room.name.trim(),
+      photoIds: normalizePhotoIds(room.photoIds),
+      editMode: null,
+      items: (Array.isArray(room.items) ? room.items : [])
+        .filter((item) => isPlainObject(item) && typeof item.label === "string")
+        .filter((item) => item.label.trim())
+        .map((item) => {
+          const normalizedItem = {
+            ...item,
+            label: item.label.trim(),
+            notes: typeof item.notes === "string" ? item.notes : "",
+            photoIds: normalizePhotoIds(item.photoIds),
+          };
+          ensureItemDefaults(normalizedItem);
+          return normalizedItem;
+        }),
+    })),
+});
 
-  const updateCalendarLabel = (startDate, endDate) => {
-    if (calendarState.view === "month") {
-      calendarLabel.textContent = new Intl.DateTimeFormat("en-US", {
-        month: "long",
-        year: "numeric",
-      }).format(calendarState.focusDate);
+const normalizeInventoryBackup = (inventory) => {
+  const normalized = normalizeInventoryBackupItems(inventory);
+  normalized.rooms.forEach((room) => ensureRoomDefaults(room, normalized.rooms));
+  assignMissingItemNumbers(normalized);
+  return normalized;
+};
+
+const normalizeLogisticsBackup = (logistics) => ({
+  sections: isPlainObject(logistics.sections)
+    ? Object.entries(logistics.sections).reduce((sections, [id, record]) => {
+        if (!isPlainObject(record)) {
+          return sections;
+        }
+        sections[id] = Object.keys(SECTION_FIELDS).reduce((fields, key) => {
+          fields[key] = typeof record[key] === "string" ? record[key] : "";
+          return fields;
+        }, {});
+        return sections;
+      }, {})
+    : {},
+  stops: (Array.isArray(logistics.stops) ? logistics.stops : []).filter(
+    (stop) => isPlainObject(stop) && typeof stop.id === "string"
+  ),
+  customEvents: (Array.isArray(logistics.customEvents)
+    ? logistics.customEvents
+    : []
+  ).filter(
+    (customEvent) =>
+      isPlainObject(customEvent) &&
+      typeof customEvent.id === "string" &&
+      typeof customEvent.date === "string"
+  ),
+});
+
+const normalizeClaimsBackup = (claims) => ({
+  lines: claims.lines.map((line) => ({
+    ...line,
+    label: typeof line.label === "string" ? line.label : "Unnamed item",
+    room: typeof line.room === "string" ? line.room : "",
+    photoIds: normalizePhotoIds(line.photoIds),
+    itemPhotoIds: normalizePhotoIds(line.itemPhotoIds),
+  })),
+});
+
+const normalizeBackupNumber = (value) => (Number.isFinite(value) ? value : null);
+
+const normalizePpmBackup = (ppm) => ({
+  distance: normalizeBackupNumber(ppm.distance),
+  sharePercent: Number.isFinite(ppm.sharePercent) ? ppm.sharePercent : 100,
+  expenses: PPM_EXPENSE_FIELDS.reduce((expenses, field) => {
+    expenses[field] = normalizeBackupNumber(ppm.expenses[field]);
+    return expenses;
+  }, {}),
+  trips: ppm.trips.map((trip) => ({
+    id: trip.id,
+    emptyWeight: normalizeBackupNumber(trip.emptyWeight),
+    fullWeight: normalizeBackupNumber(trip.fullWeight),
+  })),
+});
+
+const normalizeCategorySettingsBackup = (settings) => {
+  const miscellaneous = CATEGORY_DEFINITIONS[CATEGORY_DEFINITIONS.length - 1];
+  const seenLabels = new Set(CATEGORY_DEFINITIONS.map((category) => normalize(category.label)));
+  const categories = settings.categories
+    .map((category) => ({ ...category, label: category.label.trim() }))
+    .filter((category) => {
+      const key = normalize(category.label);
+      if (!key || seenLabels.has(key)) {
+        return false;
+      }
+      seenLabels.add(key);
+      return true;
+    })
+    .map((category) => ({
+      id: typeof category.id === "string" && category.id ? category.id : createRecordId("category"),
+      label: category.label,
+      defaultWeight: coerceWeight(category.defaultWeight, miscellaneous.defaultWeight),
+      defaultVolume: coerceVolume(category.defaultVolume, miscellaneous.defaultVolume),
+      keywords: (Array.isArray(category.keywords) ? category.keywords : [])
+        .filter((keyword) => typeof keyword === "string" && keyword.trim())
+        .map((keyword) => normalize(keyword)),
+      isProGear: category.isProGear === true,
+    }));
+  const rules = settings.rules
+    .map((rule) => ({ ...rule, keyword: normalize(rule.keyword) }))
+    .filter((rule) => rule.keyword && rule.category)
+    .map((rule) => ({
+      id: typeof rule.id === "string" && rule.id ? rule.id : createRecordId("rule"),
+      keyword: rule.keyword,
+      category: rule.category,
+    }));
+  return { categories, rules };
+};
+
+// Returns { errors, data } where data only holds the sections present in the backup.
+const validateBackupSections = (sections, schemaVersions, moveName) => {
+  const errors = [];
+  // Older sections are upgraded through the same migrations as stored records.
+  const migrated = {};
+  const sectionErrors = {
+    checklist: "Checklist progress in the backup is not in the expected format.",
+    inventory: "The move inventory in the backup is not in the expected format.",
+    logistics: "Move logistics in the backup are not in the expected format.",
+    claims: "Move claims in the backup are not in the expected format.",
+    ppm: "The PPM planner in the backup is not in the expected format.",
+  };
+  Object.entries(BACKUP_SECTION_KEYS).forEach(([section, key]) => {
+    if (sections[section] === undefined) {
       return;
     }
-    const formatter = new Intl.DateTimeFormat("en-US", {
-      month: "short",
-      day: "numeric",
-    });
-    calendarLabel.textContent = `Week of ${formatter.format(
-      startDate
-    )} – ${formatter.format(endDate)}`;
-  };
+    const sectionVersion = schemaVersions?.[section];
+    try {
+      if (!Number.isInteger(sectionVersion)) {
+        throw new Error(`Missing schema version for ${section}.`);
+      }
+      migrated[section] = migrateRecordData(
+        key,
+        sections[section],
+        sectionVersion
+      );
+    } catch (error) {
+      console.warn(`Unable to upgrade backup section "${section}".`, error);
+      errors.push(
+        moveName ? `${moveName}: ${sectionErrors[section]}` : sectionErrors[section]
+      );
+    }
+  });
 
-  const renderCalendar = () => {
-    const focusDate = calendarState.focusDate;
-    const monthStart = new Date(focusDate.getFullYear(), focusDate.getMonth(), 1);
-    const monthEnd = new Date(focusDate.getFullYear(), focusDate.getMonth() + 1, 0);
-    let startDate = monthStart;
-    let endDate = monthEnd;
+  const data = {};
+  if (migrated.checklist) {
+    data.checklist = normalizeChecklistBackup(migrated.checklist);
+  }
+  if (migrated.inventory) {
+    data.inventory = normalizeInventoryBackup(migrated.inventory);
+  }
+  if (migrated.logistics) {
+    data.logistics = normalizeLogisticsBackup(migrated.logistics);
+  }
+  if (migrated.claims) {
+    data.claims = normalizeClaimsBackup(migrated.claims);
+  }
+  if (migrated.ppm) {
+    data.ppm = normalizePpmBackup(migrated.ppm);
+  }
+  return { errors, data };
+};
 
-    if (calendarState.view === "month") {
-      startDate = startOfWeek(monthStart);
-      endDate = endOfWeek(monthEnd);
-    } else {
-      startDate = startOfWeek(focusDate);
-      endDate = endOfWeek(focusDate);
-    }
+const normalizeProfileBackup = (profile) =>
+  PROFILE_FIELDS.reduce(
+    (normalized, field) => {
+      const value = typeof profile[field] === "string" ? profile[field].trim() : "";
+      normalized[field] = value;
+      return normalized;
+    },
+    { id: typeof profile.id === "string" && profile.id ? profile.id : null }
+  );
 
-    updateCalendarLabel(startDate, endDate);
-    calendarGrid.innerHTML = "";
+// Returns { errors, profiles, photos, categories } where each profile carries the
+// sections present in the bundle.
+const validateBackupBundle = (bundle) => {
+  const errors = [];
+  if (!isPlainObject(bundle) || bundle.app !== BACKUP_APP_ID) {
+    return { errors: ["This file is not a PCS Pro backup."], profiles: null };
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+    errors.push("The backup is missing its version number.");
+  } else if (bundle.version > BACKUP_VERSION) {
+    errors.push(
+      "This backup was made by a newer version of PCS Pro. Update the app and try again."
+    );
+  }
+  const isMultiMove = bundle.version >= 3;
+  if (
+    isMultiMove
+      ? !Array.isArray(bundle.profiles) ||
+        !bundle.profiles.some((profile) => isPlainObject(profile?.data))
+      : !isPlainObject(bundle.data)
+  ) {
+    errors.push("The backup does not contain any saved data.");
+  }
+  if (errors.length > 0) {
+    return { errors, profiles: null };
+  }
 
-    const eventsByDate = {};
-    events.forEach((event) => {
-      if (!event.date) {
-        return;
+  const activeProfile = getActiveProfile();
+  const sourceProfiles = isMultiMove
+    ? bundle.profiles.filter((profile) => isPlainObject(profile?.data))
+    : [{ ...activeProfile, data: bundle.data }];
+  const schemaVersions =
+    bundle.version === 1
+      ? Object.keys(BACKUP_SECTION_KEYS).reduce((versions, section) => {
+          versions[section] = 0;
+          return versions;
+        }, {})
+      : bundle.schemaVersions;
+  const profiles = [];
+  sourceProfiles.forEach((sourceProfile, index) => {
+    const profile = normalizeProfileBackup(sourceProfile);
+    profile.id = profile.id || createRecordId("move");
+    profile.name = profile.name || `Restored move ${index + 1}`;
+    const result = validateBackupSections(
+      sourceProfile.data,
+      schemaVersions,
+      isMultiMove && sourceProfiles.length > 1 ? profile.name : ""
+    );
+    errors.push(...result.errors);
+    if (Object.keys(result.data).length > 0) {
+      profiles.push({ ...profile, data: result.data });
+    }
+  });
+  if (errors.length === 0 && profiles.length === 0) {
+    errors.push("The backup does not contain any saved data.");
+  }
+  let categories = null;
+  if (bundle.categories !== undefined) {
+    try {
+      if (!Number.isInteger(schemaVersions?.categories)) {
+        throw new Error("Missing schema version for categories.");
       }
-      if (!eventsByDate[event.date]) {
-        eventsByDate[event.date] = [];
+      categories = normalizeCategorySettingsBackup(
+        migrateRecordData(CATEGORY_SETTINGS_KEY, bundle.categories, schemaVersions.categories)
+      );
+    } catch (error) {
+      console.warn("Unable to upgrade backup inventory categories.", error);
+      errors.push("Inventory categories in the backup are not in the expected format.");
+    }
+  }
+  return {
+    errors,
+    profiles: errors.length === 0 ? profiles : null,
+    photos: normalizeBackupPhotos(bundle.photos),
+    categories,
+  };
+};
+
+const normalizeChecklistBackup = (checklist) => {
+  const household = checklist.household.map(normalizeHouseholdMember).filter(Boolean);
+  return {
+    checked: keepCheckboxStates(checklist.checked),
+    customItems: checklist.customItems.map(normalizeCustomChecklistItem).filter(Boolean),
+    hiddenItems: checklist.hiddenItems.filter((itemId) => typeof itemId === "string"),
+    household,
+    assignments: normalizeChecklistAssignments(checklist.assignments, household),
+  };
+};
+
+// Household items and people merge by id; hidden items from either side stay
+// hidden, and a task keeps everyone either side assigned to it.
+const mergeChecklistBackup = (current, incoming) => {
+  const checked = { ...current.checked };
+  Object.entries(incoming.checked).forEach(([id, isChecked]) => {
+    checked[id] = Boolean(checked[id]) || isChecked;
+  });
+  const assignments = { ...current.assignments };
+  Object.entries(incoming.assignments).forEach(([taskId, personIds]) => {
+    assignments[taskId] = Array.from(new Set([...(assignments[taskId] || []), ...personIds]));
+  });
+  return {
+    checked,
+    customItems: [
+      ...current.customItems,
+      ...incoming.customItems.filter(
+        (item) => !current.customItems.some((existing) => existing.id === item.id)
+      ),
+    ],
+    hiddenItems: Array.from(new Set([...current.hiddenItems, ...incoming.hiddenItems])),
+    household: [
+      ...current.household,
+      ...incoming.household.filter(
+        (member) => !current.household.some((existing) => existing.id === member.id)
+      ),
+    ],
+    assignments,
+  };
+};
+
+// Rooms merge by id or name; items already present (same id, or same label and
+// notes) are not duplicated.
+const mergeInventoryBackup = (current, incoming) => {
+  const merged = JSON.parse(JSON.stringify(current));
+  incoming.rooms.forEach((incomingRoom) => {
+    const existingRoom = merged.rooms.find(
+      (room) =>
+        room.id === incomingRoom.id ||
+        normalize(room.name) === normalize(incomingRoom.name)
+    );
+    if (!existingRoom) {
+      merged.rooms.push(JSON.parse(JSON.stringify(incomingRoom)));
+      return;
+    }
+    incomingRoom.items.forEach((incomingItem) => {
+      const isDuplicate = existingRoom.items.some(
+        (item) =>
+          item.id === incomingItem.id ||
+          (normalize(item.label) === normalize(incomingItem.label) &&
+            normalize(item.notes || "") === normalize(incomingItem.notes || ""))
+      );
+      if (!isDuplicate) {
+        const mergedItem = JSON.parse(JSON.stringify(incomingItem));
+        // A box number already taken in this room moves to the end of the count.
+        if (existingRoom.items.some((item) => item.itemNumber === mergedItem.itemNumber)) {
+          mergedItem.itemNumber = nextItemNumber(merged, existingRoom);
+        }
+        existingRoom.items.push(mergedItem);
       }
-      eventsByDate[event.date].push(event);
     });
+  });
+  // Items moved between rooms on one side can share an id; keep ids unique.
+  return assignInventoryIds(merged);
+};
 
-    Object.values(eventsByDate).forEach((dayEvents) => {
-      dayEvents.sort((a, b) => (a.time || "").localeCompare(b.time || ""));
-    });
+// Fields already filled in on this device win; the backup only fills the gaps.
+const mergeLogisticsBackup = (current, incoming) => {
+  const sections = { ...current.sections };
+  Object.entries(incoming.sections).forEach(([id, record]) => {
+    const existing = sections[id] || {};
+    sections[id] = Object.keys(SECTION_FIELDS).reduce((fields, key) => {
+      fields[key] = existing[key] || record[key] || "";
+      return fields;
+    }, {});
+  });
+  const appendMissing = (existingList, incomingList) => [
+    ...existingList,
+    ...incomingList.filter(
+      (entry) => !existingList.some((existing) => existing.id === entry.id)
+    ),
+  ];
+  return {
+    sections,
+    stops: appendMissing(current.stops, incoming.stops),
+    customEvents: appendMissing(current.customEvents, incoming.customEvents),
+  };
+};
 
-    const dayIterator = new Date(startDate);
-    const todayKey = toDateKey(new Date());
+// Claim lines merge by id or inventory item; lines already on this device win.
+const mergeClaimsBackup = (current, incoming) => ({
+  lines: [
+    ...current.lines,
+    ...incoming.lines.filter(
+      (line) =>
+        !current.lines.some(
+          (existing) => existing.id === line.id || existing.itemId === line.itemId
+        )
+    ),
+  ],
+});
 
-    while (dayIterator <= endDate) {
-      const dayKey = toDateKey(dayIterator);
-      const dayCell = document.createElement("div");
-      dayCell.className = "calendar-day";
-      dayCell.setAttribute("role", "gridcell");
+// PPM figures already entered on this device win; trips merge by id.
+const mergePpmBackup = (current, incoming) => ({
+  distance: current.distance ?? incoming.distance,
+  sharePercent: current.sharePercent,
+  expenses: PPM_EXPENSE_FIELDS.reduce((expenses, field) => {
+    expenses[field] = current.expenses[field] ?? incoming.expenses[field] ?? null;
+    return expenses;
+  }, {}),
+  trips: [
+    ...current.trips,
+    ...incoming.trips.filter(
+      (trip) => !current.trips.some((existing) => existing.id === trip.id)
+    ),
+  ],
+});
 
-      if (calendarState.view === "month" && dayIterator.getMonth() !== focusDate.getMonth()) {
-        dayCell.classList.add("is-outside");
-      }
-      if (dayKey === todayKey) {
-        dayCell.classList.add("is-today");
-      }
+// Categories and rules already on this device win over ones with the same name.
+const mergeCategorySettingsBackup = (current, incoming) => ({
+  categories: [
+    ...current.categories,
+    ...incoming.categories.filter(
+      (category) =>
+        !current.categories.some(
+          (existing) => normalize(existing.label) === normalize(category.label)
+        )
+    ),
+  ],
+  rules: [
+    ...current.rules,
+    ...incoming.rules.filter(
+      (rule) => !current.rules.some((existing) => existing.keyword === rule.keyword)
+    ),
+  ],
+});
 
-      const header = document.createElement("div");
-      header.className = "calendar-day-header";
-      header.textContent = dayIterator.toLocaleDateString("en-US", {
-        weekday: "short",
-        day: "numeric",
+const resolveRestoredData = (incoming, mode, profileId) => {
+  const current = loadProfileData(profileId);
+  if (mode === "replace") {
+    return { ...current, ...incoming };
+  }
+  return {
+    checklist: incoming.checklist
+      ? mergeChecklistBackup(current.checklist, incoming.checklist)
+      : current.checklist,
+    inventory: incoming.inventory
+      ? mergeInventoryBackup(current.inventory, incoming.inventory)
+      : current.inventory,
+    logistics: incoming.logistics
+      ? mergeLogisticsBackup(current.logistics, incoming.logistics)
+      : current.logistics,
+    claims: incoming.claims
+      ? mergeClaimsBackup(current.claims, incoming.claims)
+      : current.claims,
+    ppm: incoming.ppm ? mergePpmBackup(current.ppm, incoming.ppm) : current.ppm,
+  };
+};
+
+const summarizeData = (data) => {
+  const inventoryCounts = countInventory(data.inventory);
+  return {
+    rooms: inventoryCounts.rooms,
+    items: inventoryCounts.items,
+    tasks: countCheckedTasks(data.checklist),
+    events: countScheduledEvents(data.logistics),
+    stops: data.logistics.stops.length,
+    claims: data.claims.lines.length,
+    trips: data.ppm.trips.length,
+  };
+};
+
+const sumSummaries = (summaries) =>
+  summaries.reduce(
+    (total, summary) => {
+      Object.keys(summary).forEach((key) => {
+        total[key] += summary[key];
       });
-      dayCell.appendChild(header);
+      return total;
+    },
+    {
+      moves: summaries.length,
+      rooms: 0,
+      items: 0,
+      tasks: 0,
+      events: 0,
+      stops: 0,
+      claims: 0,
+      trips: 0,
+    }
+  );
 
-      const eventList = document.createElement("div");
-      eventList.className = "calendar-events";
-      const dayEvents = eventsByDate[dayKey] || [];
-      dayEvents.forEach((event) => {
-        const eventCard = document.createElement("div");
-        eventCard.className = "calendar-event";
+// Backup moves match device moves by id; unmatched moves are added as new profiles.
+const planRestore = (incomingProfiles, mode) =>
+  incomingProfiles.map((incoming) => {
+    const existing = profileRegistry.profiles.find(
+      (profile) => profile.id === incoming.id
+    );
+    return {
+      incoming,
+      existing,
+      result: resolveRestoredData(incoming.data, mode, incoming.id),
+    };
+  });
 
-        const title = document.createElement("div");
-        title.className = "calendar-event-title";
-        title.textContent = event.title;
-        eventCard.appendChild(title);
+if (siteFooterContainer) {
+  const backupTools = document.createElement("div");
+  backupTools.className = "data-tools";
+  backupTools.innerHTML = `
+    <span class="data-tools-label">Your data stays on this device.</span>
+    <button type="button" class="link-button" data-backup-action="export">
+      Back up data
+    </button>
+    <button type="button" class="link-button" data-backup-action="restore">
+      Restore from backup
+    </button>
+    <input type="file" accept="application/json,.json" data-backup-file hidden />
+  `;
+  siteFooterContainer.appendChild(backupTools);
 
-        const metaPieces = [];
-        if (event.time) {
-          metaPieces.push(parseTime(event.time));
-        }
-        if (event.location) {
-          metaPieces.push(event.location);
-        }
-        if (metaPieces.length > 0) {
-          const meta = document.createElement("div");
-          meta.className = "calendar-event-meta";
-          meta.textContent = metaPieces.join(" • ");
-          eventCard.appendChild(meta);
-        }
+  const restorePanel = document.createElement("section");
+  restorePanel.className = "modal-panel";
+  restorePanel.hidden = true;
+  restorePanel.setAttribute("role", "dialog");
+  restorePanel.setAttribute("aria-modal", "true");
+  restorePanel.setAttribute("aria-labelledby", "backup-panel-title");
+  restorePanel.innerHTML = `
+    <div class="modal-panel-card">
+      <div>
+        <p class="label-eyebrow">Restore backup</p>
+        <h2 id="backup-panel-title">Review your backup</h2>
+        <p class="modal-panel-meta" data-backup-meta></p>
+      </div>
+      <ul class="backup-errors" data-backup-errors hidden></ul>
+      <div class="backup-review" data-backup-review>
+        <table class="backup-diff">
+          <thead>
+            <tr>
+              <th scope="col">Saved data</th>
+              <th scope="col">On this device</th>
+              <th scope="col">In backup</th>
+              <th scope="col">After restore</th>
+            </tr>
+          </thead>
+          <tbody data-backup-diff></tbody>
+        </table>
+        <fieldset class="backup-mode">
+          <legend>How should the backup be applied?</legend>
+          <label>
+            <input type="radio" name="backup-mode" value="merge" checked />
+            Merge — keep what is on this device and add anything new from the backup
+          </label>
+          <label>
+            <input type="radio" name="backup-mode" value="replace" />
+            Replace — overwrite the matching moves on this device with the backup
+          </label>
+        </fieldset>
+      </div>
+      <div class="modal-panel-actions">
+        <button type="button" class="label-action" data-backup-action="confirm">
+          Restore
+        </button>
+        <button type="button" class="label-action secondary" data-backup-action="cancel">
+          Cancel
+        </button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(restorePanel);
 
-        eventList.appendChild(eventCard);
-      });
+  const fileInput = backupTools.querySelector("[data-backup-file]");
+  const metaLine = restorePanel.querySelector("[data-backup-meta]");
+  const errorList = restorePanel.querySelector("[data-backup-errors]");
+  const reviewSection = restorePanel.querySelector("[data-backup-review]");
+  const diffBody = restorePanel.querySelector("[data-backup-diff]");
+  const confirmButton = restorePanel.querySelector(
+    "[data-backup-action='confirm']"
+  );
+  let pendingBackup = null;
+  let pendingPhotos = [];
+  let pendingCategories = null;
 
-      dayCell.appendChild(eventList);
-      calendarGrid.appendChild(dayCell);
+  const selectedMode = () =>
+    restorePanel.querySelector("input[name='backup-mode']:checked")?.value ||
+    "merge";
 
-      dayIterator.setDate(dayIterator.getDate() + 1);
+  const renderBackupDiff = () => {
+    if (!pendingBackup) {
+      return;
     }
+    const plan = planRestore(pendingBackup, selectedMode());
+    const current = sumSummaries(
+      profileRegistry.profiles.map((profile) =>
+        summarizeData(loadProfileData(profile.id))
+      )
+    );
+    const incoming = sumSummaries(
+      pendingBackup.map((profile) =>
+        summarizeData({
+          checklist: profile.data.checklist || { checked: {} },
+          inventory: profile.data.inventory || { rooms: [] },
+          logistics: profile.data.logistics || {
+            sections: {},
+            stops: [],
+            customEvents: [],
+          },
+          claims: profile.data.claims || { lines: [] },
+          ppm: profile.data.ppm || { trips: [] },
+        })
+      )
+    );
+    // Moves the backup does not touch are carried over unchanged.
+    const result = sumSummaries([
+      ...profileRegistry.profiles
+        .filter((profile) => !plan.some((entry) => entry.existing === profile))
+        .map((profile) => summarizeData(loadProfileData(profile.id))),
+      ...plan.map((entry) => summarizeData(entry.result)),
+    ]);
+    const rows = [
+      ["Moves", "moves"],
+      ["Rooms", "rooms"],
+      ["Inventory items", "items"],
+      ["Checked checklist tasks", "tasks"],
+      ["Scheduled logistics events", "events"],
+      ["Itinerary stops", "stops"],
+      ["Claim lines", "claims"],
+      ["PPM trips", "trips"],
+    ];
+    diffBody.innerHTML = rows
+      .map(
+        ([label, key]) => `
+          <tr>
+            <th scope="row">${label}</th>
+            <td>${current[key]}</td>
+            <td>${incoming[key]}</td>
+            <td>${result[key]}</td>
+          </tr>
+        `
+      )
+      .join("");
   };
 
-  const upsertEvent = (event) => {
-    events.set(event.id, event);
-    renderCalendar();
+  const openRestorePanel = ({
+    errors,
+    profiles,
+    photos = [],
+    categories = null,
+    exportedAt,
+  }) => {
+    pendingBackup = profiles;
+    pendingPhotos = photos;
+    pendingCategories = categories;
+    const exportedDate = exportedAt ? new Date(exportedAt) : null;
+    metaLine.textContent = [
+      exportedDate && !Number.isNaN(exportedDate.getTime())
+        ? `Backup created ${exportedDate.toLocaleString("en-US")}.`
+        : "",
+      photos.length > 0
+        ? `Includes ${photos.length} photo${photos.length === 1 ? "" : "s"}.`
+        : "",
+      categories && categories.categories.length + categories.rules.length > 0
+        ? `Includes ${categories.categories.length} custom ${
+            categories.categories.length === 1 ? "category" : "categories"
+          } and ${categories.rules.length} keyword ${
+            categories.rules.length === 1 ? "rule" : "rules"
+          }.`
+        : "",
+    ]
+      .filter(Boolean)
+      .join(" ");
+    errorList.innerHTML = "";
+    errors.forEach((message) => {
+      const listItem = document.createElement("li");
+      listItem.textContent = message;
+      errorList.appendChild(listItem);
+    });
+    errorList.hidden = errors.length === 0;
+    reviewSection.hidden = !profiles;
+    confirmButton.hidden = !profiles;
+    renderBackupDiff();
+    restorePanel.hidden = false;
+    confirmButton.focus();
   };
 
-  const removeEvent = (eventId) => {
-    if (events.has(eventId)) {
-      events.delete(eventId);
-      renderCalendar();
-    }
+  const closeRestorePanel = () => {
+    pendingBackup = null;
+    pendingPhotos = [];
+    pendingCategories = null;
+    restorePanel.hidden = true;
   };
 
-  const updateEventFromSection = (section) => {
-    const eventId = section.dataset.eventId;
-    const title = section.dataset.eventTitle;
-    const dateInput = section.querySelector("[data-role='date']");
-    const timeInput = section.querySelector("[data-role='time']");
-    const locationInput = section.querySelector("[data-role='location']");
-    const notesInput = section.querySelector("[data-role='notes']");
-
-    if (!dateInput || !title || !eventId) {
+  backupTools.addEventListener("click", async (event) => {
+    const actionButton = event.target.closest("[data-backup-action]");
+    if (!actionButton) {
       return;
     }
+    if (actionButton.dataset.backupAction === "export") {
+      const dateStamp = new Date().toISOString().slice(0, 10);
+      const bundle = buildBackupBundle();
+      try {
+        bundle.photos = await buildBackupPhotos(bundle.profiles);
+      } catch (error) {
+        // The rest of the backup is still worth saving without photos.
+        console.warn("Unable to add photos to the backup.", error);
+      }
+      downloadFile(
+        JSON.stringify(bundle, null, 2),
+        `pcs-pro-backup-${dateStamp}.json`,
+        "application/json"
+      );
+    }
+    if (actionButton.dataset.backupAction === "restore") {
+      fileInput.click();
+    }
+  });
 
-    const dateValue = dateInput.value;
-    if (!dateValue) {
-      removeEvent(eventId);
+  fileInput.addEventListener("change", async () => {
+    const [file] = Array.from(fileInput.files || []);
+    fileInput.value = "";
+    if (!file) {
       return;
     }
-
-    upsertEvent({
-      id: eventId,
-      title,
-      date: dateValue,
-      time: timeInput ? timeInput.value : "",
-      location: locationInput ? locationInput.value.trim() : "",
-      notes: notesInput ? notesInput.value.trim() : "",
-    });
-  };
-
-  const attachSectionListeners = (section) => {
-    const inputs = Array.from(
-      section.querySelectorAll(
-        "[data-role='date'], [data-role='time'], [data-role='location'], [data-role='notes']"
-      )
-    );
-
-    inputs.forEach((input) => {
-      input.addEventListener("input", () => updateEventFromSection(section));
-      input.addEventListener("change", () => updateEventFromSection(section));
-    });
-
-    const clearButton = section.querySelector("[data-action='clear-event']");
-    const dateInput = section.querySelector("[data-role='date']");
-    const timeInput = section.querySelector("[data-role='time']");
-
-    if (clearButton && dateInput) {
-      clearButton.addEventListener("click", () => {
-        dateInput.value = "";
-        if (timeInput) {
-          timeInput.value = "";
-        }
-        updateEventFromSection(section);
+    let bundle = null;
+    try {
+      bundle = JSON.parse(await file.text());
+    } catch (error) {
+      console.warn("Unable to parse backup file.", error);
+      openRestorePanel({
+        errors: ["This file could not be read as a PCS Pro backup."],
+        profiles: null,
       });
+      return;
     }
-  };
+    const { errors, profiles, photos, categories } = validateBackupBundle(bundle);
+    openRestorePanel({
+      errors,
+      profiles,
+      photos,
+      categories,
+      exportedAt: bundle?.exportedAt,
+    });
+  });
 
-  logisticsSections.forEach((section) => {
-    attachSectionListeners(section);
+  restorePanel.addEventListener("change", (event) => {
+    if (event.target.name === "backup-mode") {
+      renderBackupDiff();
+    }
   });
 
-  const renderItineraryStop = () => {
-    if (!itineraryStopsContainer || !itineraryTemplate) {
+  restorePanel.addEventListener("click", async (event) => {
+    if (event.target === restorePanel) {
+      closeRestorePanel();
       return;
     }
-    const clone = itineraryTemplate.content.cloneNode(true);
-    const stopElement = clone.querySelector(".itinerary-stop");
-    if (!stopElement) {
+    const actionButton = event.target.closest("[data-backup-action]");
+    if (!actionButton) {
       return;
     }
-    const stopId = `stop-${Date.now()}-${Math.floor(Math.random() * 10000)}`;
-    stopElement.dataset.stopId = stopId;
+    if (actionButton.dataset.backupAction === "cancel") {
+      closeRestorePanel();
+      return;
+    }
+    if (actionButton.dataset.backupAction === "confirm" && pendingBackup) {
+      const mode = selectedMode();
+      const backup = pendingBackup;
+      confirmButton.disabled = true;
+      try {
+        await importPhotos(pendingPhotos);
+      } catch (error) {
+        // Items keep their photo ids, so photos show up again if restored later.
+        console.warn("Unable to restore photos from the backup.", error);
+      }
+      if (pendingCategories) {
+        saveCategorySettings(
+          mode === "replace"
+            ? pendingCategories
+            : mergeCategorySettingsBackup(loadCategorySettings(), pendingCategories)
+        );
+      }
+      planRestore(backup, mode).forEach(({ incoming, existing, result }) => {
+        saveProfileData(incoming.id, result);
+        if (!existing) {
+          const { data, ...profile } = incoming;
+          profileRegistry.profiles.push(profile);
+          return;
+        }
+        PROFILE_FIELDS.forEach((field) => {
+          if (incoming[field] && (mode === "replace" || !existing[field])) {
+            existing[field] = incoming[field];
+          }
+        });
+      });
+      saveProfiles(profileRegistry);
+      // Reload so every module on the page re-reads the restored state.
+      window.location.reload();
+    }
+  });
 
-    const updateStopEvent = () => {
-      const dateInput = stopElement.querySelector("[data-role='stop-date']");
-      const cityInput = stopElement.querySelector("[data-role='stop-city']");
-      const lodgingInput = stopElement.querySelector("[data-role='stop-lodging']");
-      const calendarToggle = stopElement.querySelector("[data-role='stop-calendar']");
+  document.addEventListener("keydown", (event) => {
+    if (event.key === "Escape" && !restorePanel.hidden) {
+      closeRestorePanel();
+    }
+  });
+}
 
-      if (!dateInput || !calendarToggle) {
-        return;
-      }
+// Move profile switcher in the shared header, plus a dialog for managing moves.
+const siteNav = document.querySelector(".site-nav");
+const MANAGE_PROFILES_VALUE = "__manage";
 
-      const eventId = `itinerary-${stopId}`;
-      if (!calendarToggle.checked || !dateInput.value) {
-        removeEvent(eventId);
-        return;
-      }
+const switchProfile = (profileId) => {
+  profileRegistry.activeProfileId = profileId;
+  saveProfiles(profileRegistry);
+  // Reload so every module on the page reads the selected move's data.
+  window.location.reload();
+};
 
-      const city = cityInput ? cityInput.value.trim() : "";
-      const lodging = lodgingInput ? lodgingInput.value.trim() : "";
-      const title = city ? `Itinerary stop: ${city}` : "Itinerary stop";
-      const locationDetail = lodging || city;
+const describeProfileRoute = (profile) =>
+  [profile.origin, profile.destination].filter(Boolean).join(" → ");
 
-      upsertEvent({
-        id: eventId,
-        title,
-        date: dateInput.value,
-        time: "",
-        location: locationDetail,
+const formatReportDate = (dateKey) => {
+  const date = new Date(`${dateKey}T00:00:00`);
+  return Number.isNaN(date.getTime())
+    ? ""
+    : date.toLocaleDateString("en-US", {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
       });
-    };
+};
 
-    const inputs = Array.from(
-      stopElement.querySelectorAll(
-        "[data-role='stop-city'], [data-role='stop-date'], [data-role='stop-lodging'], [data-role='stop-calendar']"
-      )
-    );
+if (siteNav) {
+  const profileSwitcher = document.createElement("label");
+  profileSwitcher.className = "profile-switcher";
+  profileSwitcher.innerHTML = `
+    <span class="profile-switcher-label">Move</span>
+    <select data-profile-select aria-label="Current PCS move"></select>
+  `;
+  siteNav.appendChild(profileSwitcher);
+  const profileSelect = profileSwitcher.querySelector("[data-profile-select]");
 
-    inputs.forEach((input) => {
-      input.addEventListener("input", updateStopEvent);
-      input.addEventListener("change", updateStopEvent);
+  const profilePanel = document.createElement("section");
+  profilePanel.className = "modal-panel";
+  profilePanel.hidden = true;
+  profilePanel.setAttribute("role", "dialog");
+  profilePanel.setAttribute("aria-modal", "true");
+  profilePanel.setAttribute("aria-labelledby", "profile-panel-title");
+  profilePanel.innerHTML = `
+    <div class="modal-panel-card">
+      <div>
+        <p class="label-eyebrow">Move profiles</p>
+        <h2 id="profile-panel-title">Your PCS moves</h2>
+        <p class="modal-panel-meta">
+          Each move keeps its own checklist, inventory, and logistics on this device.
+        </p>
+      </div>
+      <ul class="profile-list" data-profile-list></ul>
+      <form class="profile-form" data-profile-form>
+        <h3 data-profile-form-title>Add a move</h3>
+        <div class="logistics-field-grid">
+          <label class="logistics-field">
+            Move name
+            <input type="text" name="name" required placeholder="Fort Bliss to Fort Riley" />
+          </label>
+          <label class="logistics-field">
+            Report date
+            <input type="date" name="reportDate" />
+          </label>
+          <label class="logistics-field">
+            Origin base
+            <input type="text" name="origin" list="duty-station-options" />
+          </label>
+          <label class="logistics-field">
+            Destination base
+            <input type="text" name="destination" list="duty-station-options" />
+          </label>
+          <label class="logistics-field" data-profile-clone-field>
+            Start inventory from
+            <select name="cloneFrom"></select>
+          </label>
+        </div>
+        <datalist id="duty-station-options">
+          ${DUTY_STATIONS.map((station) => `<option value="${station}"></option>`).join("")}
+        </datalist>
+        <div class="modal-panel-actions">
+          <button type="submit" class="label-action" data-profile-submit>
+            Add move
+          </button>
+          <button type="button" class="label-action secondary" data-profile-action="reset" hidden>
+            Cancel edit
+          </button>
+        </div>
+      </form>
+      <div class="modal-panel-actions">
+        <button type="button" class="label-action secondary" data-profile-action="close">
+          Close
+        </button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(profilePanel);
+
+  const profileList = profilePanel.querySelector("[data-profile-list]");
+  const profileForm = profilePanel.querySelector("[data-profile-form]");
+  const formTitle = profilePanel.querySelector("[data-profile-form-title]");
+  const submitButton = profilePanel.querySelector("[data-profile-submit]");
+  const resetButton = profilePanel.querySelector(
+    "[data-profile-action='reset']"
+  );
+  const cloneField = profilePanel.querySelector("[data-profile-clone-field]");
+  const cloneSelect = profileForm.elements.cloneFrom;
+  let editingProfileId = null;
+
+  const renderProfileSelect = () => {
+    profileSelect.innerHTML = "";
+    profileRegistry.profiles.forEach((profile) => {
+      const option = document.createElement("option");
+      option.value = profile.id;
+      option.textContent = profile.name;
+      profileSelect.appendChild(option);
     });
+    const manageOption = document.createElement("option");
+    manageOption.value = MANAGE_PROFILES_VALUE;
+    manageOption.textContent = "Manage moves…";
+    profileSelect.appendChild(manageOption);
+    profileSelect.value = activeProfileId;
+  };
 
-    const removeButton = stopElement.querySelector("[data-action='remove-stop']");
-    if (removeButton) {
-      removeButton.addEventListener("click", () => {
-        removeEvent(`itinerary-${stopId}`);
-        stopElement.remove();
-      });
-    }
+  const renderProfileList = () => {
+    profileList.innerHTML = "";
+    profileRegistry.profiles.forEach((profile) => {
+      const isActive = profile.id === activeProfileId;
+      const listItem = document.createElement("li");
+      listItem.className = "profile-list-item";
+      listItem.dataset.profileId = profile.id;
+      const details = document.createElement("div");
+      const name = document.createElement("strong");
+      name.textContent = profile.name;
+      const meta = document.createElement("span");
+      meta.className = "profile-list-meta";
+      const reportDate = formatReportDate(profile.reportDate);
+      meta.textContent = [
+        describeProfileRoute(profile),
+        reportDate ? `Report by ${reportDate}` : "",
+      ]
+        .filter(Boolean)
+        .join(" · ");
+      details.append(name, meta);
+      if (isActive) {
+        const badge = document.createElement("span");
+        badge.className = "profile-active-badge";
+        badge.textContent = "Current";
+        name.append(" ", badge);
+      }
+      const actions = document.createElement("div");
+      actions.className = "profile-list-actions";
+      actions.innerHTML = `
+        <button type="button" class="link-button" data-profile-action="switch" ${
+          isActive ? "hidden" : ""
+        }>Switch</button>
+        <button type="button" class="link-button" data-profile-action="edit">Edit</button>
+        <button type="button" class="link-button" data-profile-action="delete" ${
+          isActive ? "hidden" : ""
+        }>Delete</button>
+      `;
+      listItem.append(details, actions);
+      profileList.appendChild(listItem);
+    });
+  };
 
-    itineraryStopsContainer.appendChild(stopElement);
+  const resetProfileForm = () => {
+    editingProfileId = null;
+    profileForm.reset();
+    formTitle.textContent = "Add a move";
+    submitButton.textContent = "Add move";
+    resetButton.hidden = true;
+    cloneField.hidden = false;
+    cloneSelect.innerHTML = '<option value="">Start with an empty inventory</option>';
+    profileRegistry.profiles.forEach((profile) => {
+      const option = document.createElement("option");
+      option.value = profile.id;
+      option.textContent = `Copy inventory from ${profile.name}`;
+      cloneSelect.appendChild(option);
+    });
   };
 
-  if (addItineraryStopButton) {
-    addItineraryStopButton.addEventListener("click", renderItineraryStop);
-  }
+  const editProfile = (profile) => {
+    editingProfileId = profile.id;
+    PROFILE_FIELDS.forEach((field) => {
+      profileForm.elements[field].value = profile[field] || "";
+    });
+    formTitle.textContent = `Edit ${profile.name}`;
+    submitButton.textContent = "Save changes";
+    resetButton.hidden = false;
+    cloneField.hidden = true;
+    profileForm.elements.name.focus();
+  };
 
-  calendarToggleButtons.forEach((button) => {
-    button.addEventListener("click", () => {
-      const newView = button.dataset.view;
-      if (!newView || newView === calendarState.view) {
-        return;
-      }
-      calendarState.view = newView;
-      calendarToggleButtons.forEach((toggle) => {
-        toggle.classList.toggle("is-active", toggle.dataset.view === newView);
+  const deleteProfile = (profile) => {
+    const confirmed = window.confirm(
+      `Delete "${profile.name}"? Its checklist, inventory, logistics, claims, and PPM plan will be removed from this device. This cannot be undone.`
+    );
+    if (!confirmed) {
+      return;
+    }
+    const profilePhotoIds = collectProfilePhotoIds(loadProfileData(profile.id));
+    Object.keys(STORAGE_SCHEMAS)
+      .filter((key) => STORAGE_SCHEMAS[key].perProfile)
+      .forEach((key) => {
+        localStorage.removeItem(profileStorageKey(key, profile.id));
       });
-      renderCalendar();
-    });
+    sessionStorage.removeItem(`${INVENTORY_HISTORY_KEY}:${profile.id}`);
+    profileRegistry.profiles = profileRegistry.profiles.filter(
+      (candidate) => candidate.id !== profile.id
+    );
+    saveProfiles(profileRegistry);
+    // Cloned moves can share photos, so only ones no other move uses are deleted.
+    const referencedPhotoIds = collectReferencedPhotoIds();
+    deletePhotos(
+      profilePhotoIds.filter((photoId) => !referencedPhotoIds.has(photoId))
+    ).catch((error) => console.warn("Unable to delete move photos.", error));
+    resetProfileForm();
+    renderProfileList();
+    renderProfileSelect();
+  };
+
+  const openProfilePanel = () => {
+    resetProfileForm();
+    renderProfileList();
+    profilePanel.hidden = false;
+    profileForm.elements.name.focus();
+  };
+
+  const closeProfilePanel = () => {
+    profilePanel.hidden = true;
+    profileSelect.focus();
+  };
+
+  profileSelect.addEventListener("change", () => {
+    if (profileSelect.value === MANAGE_PROFILES_VALUE) {
+      profileSelect.value = activeProfileId;
+      openProfilePanel();
+      return;
+    }
+    switchProfile(profileSelect.value);
   });
 
-  calendarNavButtons.forEach((button) => {
-    button.addEventListener("click", () => {
-      const action = button.dataset.nav;
-      const newDate = new Date(calendarState.focusDate);
+  profileForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const fields = PROFILE_FIELDS.reduce((values, field) => {
+      values[field] = profileForm.elements[field].value.trim();
+      return values;
+    }, {});
+    if (!fields.name) {
+      return;
+    }
+    if (editingProfileId) {
+      const profile = profileRegistry.profiles.find(
+        (candidate) => candidate.id === editingProfileId
+      );
+      Object.assign(profile, fields);
+      saveProfiles(profileRegistry);
+      resetProfileForm();
+      renderProfileList();
+      renderProfileSelect();
+      return;
+    }
+    const profile = { id: createRecordId("move"), ...fields };
+    // A new move can start from a copy of an earlier move's inventory. The copy
+    // gets fresh ids so labels from the earlier move never match the new one.
+    if (cloneSelect.value) {
+      writeStoredRecord(
+        INVENTORY_KEY,
+        assignInventoryIds(
+          readStoredRecord(INVENTORY_KEY, { profileId: cloneSelect.value }),
+          { regenerate: true }
+        ),
+        { profileId: profile.id, replacer: inventoryReplacer }
+      );
+    }
+    profileRegistry.profiles.push(profile);
+    switchProfile(profile.id);
+  });
 
-      switch (action) {
-        case "prev-month":
-          newDate.setMonth(newDate.getMonth() - 1);
-          break;
-        case "next-month":
-          newDate.setMonth(newDate.getMonth() + 1);
-          break;
-        case "prev-week":
-          newDate.setDate(newDate.getDate() - 7);
-          break;
-        case "next-week":
-          newDate.setDate(newDate.getDate() + 7);
-          break;
-        default:
-          return;
+  profilePanel.addEventListener("click", (event) => {
+    if (event.target === profilePanel) {
+      closeProfilePanel();
+      return;
+    }
+    const actionButton = event.target.closest("[data-profile-action]");
+    if (!actionButton) {
+      return;
+    }
+    const action = actionButton.dataset.profileAction;
+    if (action === "close") {
+      closeProfilePanel();
+      return;
+    }
+    if (action === "reset") {
+      resetProfileForm();
+      return;
+    }
+    const profile = profileRegistry.profiles.find(
+      (candidate) =>
+        candidate.id === actionButton.closest("[data-profile-id]")?.dataset.profileId
+    );
+    if (!profile) {
+      return;
+    }
+    if (action === "switch") {
+      switchProfile(profile.id);
+    }
+    if (action === "edit") {
+      editProfile(profile);
+    }
+    if (action === "delete" && profile.id !== activeProfileId) {
+      deleteProfile(profile);
+    }
+  });
+
+  document.addEventListener("keydown", (event) => {
+    if (event.key === "Escape" && !profilePanel.hidden) {
+      closeProfilePanel();
+    }
+  });
+
+  renderProfileSelect();
+}
+
+// Storage recovery warnings: surface quarantined records until they are dismissed.
+const pageMain = document.querySelector("main");
+
+const listRecoveryEntries = () =>
+  Object.keys(localStorage)
+    .filter((key) => key.includes(RECOVERY_KEY_MARKER))
+    .sort()
+    .map((recoveryKey) => {
+      try {
+        return { recoveryKey, ...JSON.parse(localStorage.getItem(recoveryKey)) };
+      } catch (error) {
+        return null;
       }
+    })
+    .filter((entry) => entry && !entry.acknowledged);
 
-      calendarState.focusDate = newDate;
-      renderCalendar();
+if (pageMain) {
+  const recoveryBanner = document.createElement("section");
+  recoveryBanner.className = "storage-recovery-banner";
+  recoveryBanner.setAttribute("role", "alert");
+  recoveryBanner.hidden = true;
+  pageMain.prepend(recoveryBanner);
+
+  const renderRecoveryBanner = () => {
+    const entries = listRecoveryEntries();
+    recoveryBanner.hidden = entries.length === 0;
+    if (entries.length === 0) {
+      recoveryBanner.innerHTML = "";
+      return;
+    }
+    recoveryBanner.innerHTML = `
+      <h2>Some saved data could not be read</h2>
+      <p>
+        PCS Pro started fresh for the data listed below and kept a copy of the
+        unreadable version on this device. Download the copy before clearing
+        your browser data if you want to recover it.
+      </p>
+      <ul class="storage-recovery-list"></ul>
+      <button type="button" class="label-action secondary" data-recovery-action="dismiss">
+        Dismiss
+      </button>
+    `;
+    const list = recoveryBanner.querySelector(".storage-recovery-list");
+    entries.forEach((entry) => {
+      const listItem = document.createElement("li");
+      const description = document.createElement("span");
+      const label = STORAGE_SCHEMAS[entry.key]?.label || entry.key;
+      const recoveredAt = new Date(entry.recoveredAt);
+      description.textContent = `${label[0].toUpperCase()}${label.slice(1)} (${
+        Number.isNaN(recoveredAt.getTime())
+          ? "unknown date"
+          : recoveredAt.toLocaleString("en-US")
+      }): ${entry.reason}`;
+      const downloadButton = document.createElement("button");
+      downloadButton.type = "button";
+      downloadButton.className = "link-button";
+      downloadButton.dataset.recoveryAction = "download";
+      downloadButton.dataset.recoveryKey = entry.recoveryKey;
+      downloadButton.textContent = "Download copy";
+      listItem.append(description, " ", downloadButton);
+      list.appendChild(listItem);
     });
+  };
+
+  recoveryBanner.addEventListener("click", (event) => {
+    const actionButton = event.target.closest("[data-recovery-action]");
+    if (!actionButton) {
+      return;
+    }
+    if (actionButton.dataset.recoveryAction === "download") {
+      const recoveryKey = actionButton.dataset.recoveryKey;
+      const entry = listRecoveryEntries().find(
+        (candidate) => candidate.recoveryKey === recoveryKey
+      );
+      if (entry) {
+        downloadFile(
+          entry.raw,
+          `${recoveryKey.replace(/[^a-z0-9]+/gi, "-")}.txt`,
+          "text/plain"
+        );
+      }
+      return;
+    }
+    if (actionButton.dataset.recoveryAction === "dismiss") {
+      // Dismissing keeps the quarantined copies; it only hides the warning.
+      listRecoveryEntries().forEach(({ recoveryKey, ...entry }) => {
+        localStorage.setItem(
+          recoveryKey,
+          JSON.stringify({ ...entry, acknowledged: true })
+        );
+      });
+      renderRecoveryBanner();
+    }
   });
 
-  renderCalendar();
+  document.addEventListener("pcs-storage-recovered", renderRecoveryBanner);
+  renderRecoveryBanner();
 }
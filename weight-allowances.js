@@ -0,0 +1,25 @@
+// JTR household goods weight allowances, in pounds, used by the move inventory.
+// Update this table when the Joint Travel Regulations change; script.js reads
+// it on load and nothing else needs to be edited.
+const WEIGHT_ALLOWANCE_TABLE = {
+  source: "Joint Travel Regulations, Table 5-37 (PCS weight allowances)",
+  // Professional books, papers, and equipment (PBP&E) do not count against
+  // the allowance up to this many pounds for the service member.
+  pbpeLimit: 2000,
+  grades: [
+    { id: "O-7", label: "O-7 to O-10", withoutDependents: 18000, withDependents: 18000 },
+    { id: "O-6", label: "O-6", withoutDependents: 18000, withDependents: 18000 },
+    { id: "O-5", label: "O-5 / W-5", withoutDependents: 16000, withDependents: 17500 },
+    { id: "O-4", label: "O-4 / W-4", withoutDependents: 14000, withDependents: 17000 },
+    { id: "O-3", label: "O-3 / W-3", withoutDependents: 13000, withDependents: 14500 },
+    { id: "O-2", label: "O-2 / W-2", withoutDependents: 12500, withDependents: 13500 },
+    { id: "O-1", label: "O-1 / W-1 / service academy graduate", withoutDependents: 10000, withDependents: 12000 },
+    { id: "E-9", label: "E-9", withoutDependents: 13000, withDependents: 15000 },
+    { id: "E-8", label: "E-8", withoutDependents: 12000, withDependents: 14000 },
+    { id: "E-7", label: "E-7", withoutDependents: 11000, withDependents: 13000 },
+    { id: "E-6", label: "E-6", withoutDependents: 8000, withDependents: 11000 },
+    { id: "E-5", label: "E-5", withoutDependents: 7000, withDependents: 9000 },
+    { id: "E-4", label: "E-4", withoutDependents: 7000, withDependents: 8000 },
+    { id: "E-1", label: "E-1 to E-3", withoutDependents: 5000, withDependents: 8000 },
+  ],
+};